@@ -0,0 +1,833 @@
+import { firestore } from "../firebase.js";
+import { format as formatDate } from "date-fns";
+import { getSubmissionStore } from "../lib/storage/index.js";
+import { verifyLoginRequest } from "../lib/loginIdentity.js";
+import { issueSession, revokeTeamSessions } from "../lib/sessions.js";
+import { sendSession } from "../lib/sessionTransport.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_COLUMN_NAMES,
+  streamSubmissionExport,
+} from "../lib/submissionExport.js";
+import {
+  listUnsyncedSubmissions,
+  resyncSubmission,
+} from "../lib/sheetSync.js";
+import { logger } from "../lib/logger.js";
+import { withSubmissionLock } from "../lib/submissionLock.js";
+import { serializeSubmission } from "../lib/submissionSchema.js";
+import { recordRevision, listRevisions, getRevision } from "../lib/submissionHistory.js";
+import { requestLinkCheck } from "../lib/linkChecker.js";
+import {
+  TEMPLATE_IDS,
+  getTemplate,
+  validateTemplate,
+  saveTemplate,
+  resetTemplate,
+} from "../lib/emailTemplates.js";
+import { listEmailLog } from "../lib/notifications.js";
+import {
+  WEBHOOK_EVENTS,
+  emitWebhookEvent,
+  toWebhookSubmission,
+  validateWebhook,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  replayDelivery,
+} from "../lib/webhooks.js";
+import { publishSubmissionChange, subscribeToAdmin, getLiveSubmissionCounts } from "../lib/liveEvents.js";
+import { createEventStream, closeWhenSessionEnds } from "../lib/sse.js";
+import { getTeamLookupStats } from "../lib/teamLookup.js";
+
+const MAX_PAGE_SIZE = 100;
+
+// Admin sessions can be refreshed for up to 12 hours after login
+const ADMIN_SESSION_TTL_SECONDS = 60 * 60 * 12;
+
+/**
+ * Check whether a verified login identity is an organizer
+ * Admins have the `admin` custom claim or a document in the `admins` collection (keyed by uid)
+ */
+const isAdminUser = async ({ uid, claims }) => {
+  if (claims?.admin === true) {
+    return true;
+  }
+  const adminDoc = await firestore.collection("admins").doc(uid).get();
+  return adminDoc.exists;
+};
+
+/**
+ * Derive a submission's status: edited once it has a last edited time
+ */
+const getSubmissionStatus = (submission) => (
+  submission.lastEditedTime ? "edited" : "submitted"
+);
+
+/**
+ * Admin login
+ * Body: { idToken } - same identity check as the team login, but for organizers
+ */
+export const authenticateAdmin = async (req, res, next) => {
+  try {
+    // Verify the Firebase ID token (or the dev-only uid/email pair)
+    let identity;
+    try {
+      identity = await verifyLoginRequest(req.body);
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      return res.status(error.status).json({
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+
+    const { uid, email } = identity;
+
+    res.locals.auditActor = { uid, email };
+
+    if (!(await isAdminUser(identity))) {
+      return res.status(403).json({
+        error: "Only organizers are allowed to login here",
+      });
+    }
+
+    const session = await issueSession({
+      uid: uid,
+      email: email,
+      role: "admin",
+    }, ADMIN_SESSION_TTL_SECONDS);
+
+    logger.info("[ADMIN AUTH] Admin logged in", { uid });
+
+    return res.status(200).json({
+      message: "Login successful",
+      uid: uid,
+      email: email,
+      role: "admin",
+      ...sendSession(req, res, session),
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN AUTH ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * List all submissions with pagination
+ * Admin route
+ * Query: page (default 1), pageSize (default 20, max 100),
+ *        status (submitted | edited), late (true | false)
+ */
+export const listSubmissions = async (req, res, next) => {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(Number.parseInt(req.query.pageSize, 10) || 20, 1),
+      MAX_PAGE_SIZE
+    );
+    const { status, late } = req.query;
+
+    if (status && !["submitted", "edited"].includes(status)) {
+      return res.status(400).json({
+        error: "Invalid query",
+        details: ["status must be one of: submitted, edited"],
+      });
+    }
+    if (late && !["true", "false"].includes(late)) {
+      return res.status(400).json({
+        error: "Invalid query",
+        details: ["late must be true or false"],
+      });
+    }
+
+    const submissions = (await getSubmissionStore().list())
+      .map((submission) => ({ ...submission, status: getSubmissionStatus(submission) }))
+      .filter((submission) => !status || submission.status === status)
+      .filter((submission) => !late || Boolean(submission.isLate) === (late === "true"))
+      .sort((a, b) => (a.submissionTime || "").localeCompare(b.submissionTime || ""));
+
+    const total = submissions.length;
+    const start = (page - 1) * pageSize;
+
+    return res.status(200).json({
+      message: "Submissions retrieved successfully",
+      data: submissions.slice(start, start + pageSize),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN LIST SUBMISSIONS ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Export all submissions enriched with team registration data
+ * Admin route - streams the response instead of building it in memory
+ * Query: format (csv | json | ndjson, default csv),
+ *        columns (comma-separated, default all),
+ *        from / to (ISO dates, filter on submission time, inclusive)
+ */
+export const exportSubmissions = async (req, res, next) => {
+  try {
+    const format = (req.query.format || "csv").toLowerCase();
+    const errors = [];
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      errors.push(`format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+    }
+
+    const columns = req.query.columns
+      ? String(req.query.columns).split(",").map((column) => column.trim()).filter(Boolean)
+      : EXPORT_COLUMN_NAMES;
+    const unknownColumns = columns.filter((column) => !EXPORT_COLUMN_NAMES.includes(column));
+    if (unknownColumns.length > 0 || columns.length === 0) {
+      errors.push(`columns must be a comma-separated list of: ${EXPORT_COLUMN_NAMES.join(", ")}`);
+    }
+
+    const parseDateParam = (name) => {
+      if (!req.query[name]) {
+        return null;
+      }
+      const date = new Date(req.query[name]);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${name} must be a valid ISO date`);
+        return null;
+      }
+      return date;
+    };
+    const from = parseDateParam("from");
+    const to = parseDateParam("to");
+    if (from && to && from > to) {
+      errors.push("from must be before to");
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid query",
+        details: errors,
+      });
+    }
+
+    const contentTypes = {
+      csv: "text/csv; charset=utf-8",
+      json: "application/json; charset=utf-8",
+      ndjson: "application/x-ndjson; charset=utf-8",
+    };
+    const filename = `submissions-${formatDate(new Date(), "yyyyMMdd-HHmmss")}.${format}`;
+
+    res.status(200);
+    res.setHeader("Content-Type", contentTypes[format]);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    res.locals.auditDetails = { format, columns, from: req.query.from || null, to: req.query.to || null };
+
+    const count = await streamSubmissionExport(getSubmissionStore(), res, { format, columns, from, to });
+    res.end();
+
+    logger.info("[ADMIN EXPORT] Submissions exported", { count, format, adminUid: req.user.uid });
+
+  } catch (error) {
+    logger.error("[ADMIN EXPORT ERROR]", { error });
+    // Once streaming has started the status is already sent, so just cut the response
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+}
+
+/**
+ * Get a team's full registration and its submission
+ * Admin route
+ */
+export const getTeamDetails = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+
+    // teamId is stored on the registration, falling back to the document ID
+    const teamRegistrationQuery = await firestore
+      .collection("teamRegistrations")
+      .where("teamId", "==", teamId)
+      .limit(1)
+      .get();
+
+    let teamDoc = teamRegistrationQuery.empty ? null : teamRegistrationQuery.docs[0];
+    if (!teamDoc) {
+      const docById = await firestore.collection("teamRegistrations").doc(teamId).get();
+      teamDoc = docById.exists ? docById : null;
+    }
+
+    if (!teamDoc) {
+      return res.status(404).json({
+        error: "Team registration not found",
+      });
+    }
+
+    const submission = await getSubmissionStore().findByTeamId(teamId);
+
+    return res.status(200).json({
+      message: "Team retrieved successfully",
+      data: {
+        registration: {
+          id: teamDoc.id,
+          ...teamDoc.data(),
+        },
+        submission: submission
+          ? { ...submission, status: getSubmissionStatus(submission) }
+          : null,
+        hasSubmission: Boolean(submission),
+      },
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN TEAM DETAILS ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Delete a team's submission so the team can submit again
+ * Admin route - the deleted submission is kept in the audit log
+ */
+export const deleteSubmission = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+    const store = getSubmissionStore();
+
+    const submission = await withSubmissionLock(teamId, async () => {
+      const existingSubmission = await store.findByTeamId(teamId);
+      if (!existingSubmission) {
+        return null;
+      }
+
+      // Set before removing, so the audit log keeps it even if a later step fails
+      res.locals.auditDetails = { teamId, deletedSubmission: existingSubmission };
+      await store.remove(teamId);
+      await recordRevision({
+        teamId,
+        action: "delete",
+        actor: req.user,
+        before: existingSubmission,
+        after: null,
+      });
+      return existingSubmission;
+    }, { distributed: !store.hasAtomicCreate });
+
+    if (!submission) {
+      return res.status(404).json({
+        error: "No submission found for this team",
+      });
+    }
+
+    logger.info("[ADMIN] Submission deleted", { teamId, adminUid: req.user.uid });
+    emitWebhookEvent("submission.deleted", { teamId, submission: toWebhookSubmission(submission) });
+    publishSubmissionChange("deleted", submission);
+
+    return res.status(200).json({
+      message: "Submission deleted successfully. The team can submit again.",
+      teamId,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN DELETE SUBMISSION ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Get every revision of a team's submission, newest first
+ * Admin route - includes actor uids, request IDs and full snapshots
+ */
+export const getSubmissionHistoryForTeam = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+    const revisions = await listRevisions(teamId);
+
+    return res.status(200).json({
+      message: "Submission history retrieved successfully",
+      data: revisions,
+      count: revisions.length,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN SUBMISSION HISTORY ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Restore a team's submission to a previous revision
+ * Admin route - also brings back a deleted submission
+ * The restore is recorded as a new revision; earlier revisions are never changed
+ */
+export const restoreSubmissionRevision = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+    const revisionNumber = Number(req.params.revision);
+
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: ["revision must be a positive integer"],
+      });
+    }
+
+    const revision = await getRevision(teamId, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({
+        error: "Revision not found",
+      });
+    }
+
+    const store = getSubmissionStore();
+    const { current, restored, newRevision } = await withSubmissionLock(teamId, async () => {
+      const currentSubmission = await store.findByTeamId(teamId);
+      const restoredSubmission = {
+        ...revision.snapshot,
+        lastEditedTime: formatDate(new Date(), "yyyy-MM-dd HH:mm:ss"),
+      };
+
+      if (currentSubmission) {
+        await store.update(teamId, restoredSubmission);
+      } else {
+        await store.create(restoredSubmission);
+      }
+
+      const recorded = await recordRevision({
+        teamId,
+        action: "restore",
+        actor: req.user,
+        before: currentSubmission,
+        after: restoredSubmission,
+        restoredFrom: revisionNumber,
+      });
+      return { current: currentSubmission, restored: restoredSubmission, newRevision: recorded };
+    }, { distributed: !store.hasAtomicCreate });
+
+    requestLinkCheck(restored);
+    emitWebhookEvent(current ? "submission.updated" : "submission.created", {
+      submission: toWebhookSubmission(restored),
+      restoredFrom: revisionNumber,
+    });
+    publishSubmissionChange(current ? "updated" : "created", restored);
+
+    res.locals.auditDetails = { teamId, restoredFrom: revisionNumber, revision: newRevision };
+    logger.info("[ADMIN] Submission restored", { teamId, restoredFrom: revisionNumber, adminUid: req.user.uid });
+
+    return res.status(200).json({
+      message: `Submission restored to revision ${revisionNumber}`,
+      data: serializeSubmission(restored),
+      revision: newRevision,
+      restoredFrom: revisionNumber,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN RESTORE SUBMISSION ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Log out every member of a team: revoke all refresh tokens and current access tokens
+ * Admin route
+ */
+export const revokeSessionsForTeam = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+
+    const revokedRefreshTokens = await revokeTeamSessions(teamId);
+    res.locals.auditDetails = { teamId, revokedRefreshTokens };
+
+    logger.info("[ADMIN] Sessions revoked", { teamId, adminUid: req.user.uid });
+
+    return res.status(200).json({
+      message: "All sessions for this team have been revoked",
+      teamId,
+      revokedRefreshTokens,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN REVOKE SESSIONS ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * List submissions that are pending or failed to sync to Google Sheets
+ * Admin route
+ */
+export const getSheetSyncStatus = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    const submissions = await listUnsyncedSubmissions(limit);
+
+    return res.status(200).json({
+      message: "Unsynced submissions retrieved successfully",
+      data: submissions,
+      count: submissions.length,
+    });
+
+  } catch (error) {
+    logger.error("[SHEET SYNC STATUS ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Runtime metrics for this instance
+ * Admin route - team lookup cache hits, misses and invalidations
+ */
+export const getMetrics = (req, res) => {
+  return res.status(200).json({
+    message: "Metrics retrieved successfully",
+    data: {
+      teamLookupCache: getTeamLookupStats(),
+    },
+  });
+}
+
+/**
+ * Manually re-sync a team's submission to Google Sheets
+ * Admin route
+ */
+export const resyncTeamSubmission = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+
+    const queued = await resyncSubmission(teamId);
+    if (!queued) {
+      return res.status(404).json({
+        error: "No submission found for this team",
+      });
+    }
+
+    logger.info("[SHEET SYNC] Manual re-sync queued", { teamId });
+
+    return res.status(202).json({
+      message: "Submission queued for sync",
+      teamId,
+    });
+
+  } catch (error) {
+    logger.error("[SHEET RESYNC ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * List the email templates with their current subject and bodies
+ * Admin route - customized is true when an admin override is in use
+ */
+export const listEmailTemplates = async (req, res, next) => {
+  try {
+    const templates = await Promise.all(TEMPLATE_IDS.map(getTemplate));
+
+    return res.status(200).json({
+      message: "Email templates retrieved successfully",
+      data: templates,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN EMAIL TEMPLATES ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Edit an email template
+ * Admin route - body: { subject, text, html? }
+ * Placeholders must be variables the template provides
+ */
+export const updateEmailTemplate = async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+
+    if (!TEMPLATE_IDS.includes(templateId)) {
+      return res.status(404).json({
+        error: "Email template not found",
+        details: [`templateId must be one of: ${TEMPLATE_IDS.join(", ")}`],
+      });
+    }
+
+    const errors = validateTemplate(templateId, req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    const template = await saveTemplate(templateId, req.body, req.user.uid);
+    res.locals.auditDetails = { templateId };
+
+    logger.info("[ADMIN] Email template updated", { templateId, adminUid: req.user.uid });
+
+    return res.status(200).json({
+      message: "Email template updated successfully",
+      data: template,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN UPDATE EMAIL TEMPLATE ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Go back to the default version of an email template
+ * Admin route
+ */
+export const resetEmailTemplate = async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+
+    if (!TEMPLATE_IDS.includes(templateId)) {
+      return res.status(404).json({
+        error: "Email template not found",
+        details: [`templateId must be one of: ${TEMPLATE_IDS.join(", ")}`],
+      });
+    }
+
+    const template = await resetTemplate(templateId);
+    res.locals.auditDetails = { templateId };
+
+    logger.info("[ADMIN] Email template reset", { templateId, adminUid: req.user.uid });
+
+    return res.status(200).json({
+      message: "Email template reset to default",
+      data: template,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN RESET EMAIL TEMPLATE ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * List recent email send attempts, newest first
+ * Admin route - query: teamId (optional), limit (default 100, max 500)
+ */
+export const getEmailLog = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    const teamId = typeof req.query.teamId === "string" && req.query.teamId ? req.query.teamId : undefined;
+    const entries = await listEmailLog({ teamId, limit });
+
+    return res.status(200).json({
+      message: "Email log retrieved successfully",
+      data: entries,
+      count: entries.length,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN EMAIL LOG ERROR]", { error });
+    next(error);
+  }
+}
+
+
+/**
+ * List webhook endpoints (signing secrets are not returned)
+ * Admin route
+ */
+export const getWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await listWebhooks();
+
+    return res.status(200).json({
+      message: "Webhooks retrieved successfully",
+      data: webhooks,
+      events: WEBHOOK_EVENTS,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN WEBHOOKS ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Register a webhook endpoint
+ * Admin route - body: { url, events, description? }
+ * The response contains the signing secret; it is not shown again
+ */
+export const addWebhook = async (req, res, next) => {
+  try {
+    const errors = validateWebhook(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    const webhook = await createWebhook(req.body, req.user.uid);
+    res.locals.auditDetails = { webhookId: webhook.id, url: webhook.url, events: webhook.events };
+
+    logger.info("[ADMIN] Webhook created", { webhookId: webhook.id, adminUid: req.user.uid });
+
+    return res.status(201).json({
+      message: "Webhook created. Store the secret now - it is not shown again.",
+      data: webhook,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN CREATE WEBHOOK ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Remove a webhook endpoint
+ * Admin route
+ */
+export const removeWebhook = async (req, res, next) => {
+  try {
+    const { webhookId } = req.params;
+
+    const deleted = await deleteWebhook(webhookId);
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Webhook not found",
+      });
+    }
+    res.locals.auditDetails = { webhookId };
+
+    logger.info("[ADMIN] Webhook deleted", { webhookId, adminUid: req.user.uid });
+
+    return res.status(200).json({
+      message: "Webhook deleted successfully",
+      webhookId,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN DELETE WEBHOOK ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * List webhook deliveries with every attempt, newest first
+ * Admin route - query: webhookId, status (pending | delivered | failed), limit (default 100, max 500)
+ */
+export const getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    const { webhookId, status } = req.query;
+
+    if (status !== undefined && !["pending", "delivered", "failed"].includes(status)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: ["status must be one of: pending, delivered, failed"],
+      });
+    }
+
+    const deliveries = await listDeliveries({
+      webhookId: typeof webhookId === "string" && webhookId ? webhookId : undefined,
+      status,
+      limit,
+    });
+
+    return res.status(200).json({
+      message: "Webhook deliveries retrieved successfully",
+      data: deliveries,
+      count: deliveries.length,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN WEBHOOK DELIVERIES ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Send a webhook delivery again
+ * Admin route - the replay is a new delivery with the same event id and payload
+ */
+export const replayWebhookDelivery = async (req, res, next) => {
+  try {
+    const { deliveryId } = req.params;
+
+    const newDeliveryId = await replayDelivery(deliveryId);
+    if (!newDeliveryId) {
+      return res.status(404).json({
+        error: "Delivery or its webhook not found",
+      });
+    }
+    res.locals.auditDetails = { deliveryId, replayDeliveryId: newDeliveryId };
+
+    logger.info("[ADMIN] Webhook delivery replayed", { deliveryId, replayDeliveryId: newDeliveryId });
+
+    return res.status(202).json({
+      message: "Delivery queued for replay",
+      deliveryId: newDeliveryId,
+      replayOf: deliveryId,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN REPLAY WEBHOOK ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Live submission counts over Server-Sent Events
+ * Admin route - EventSource clients may pass the token as ?access_token=
+ * Events: `counts` (on connect and whenever they change) and `activity`
+ * (each created, updated or deleted submission). The stream ends with a
+ * `sessionEnded` event when the access token expires or is revoked
+ */
+export const streamAdminEvents = async (req, res, next) => {
+  try {
+    // Changes published while the counts are read are sent after them
+    const stream = createEventStream(req, res);
+    let pending = [];
+    const unsubscribe = subscribeToAdmin((message) => {
+      if (pending) {
+        pending.push(message);
+      } else {
+        stream.send(message.event, message.data);
+      }
+    });
+    stream.onClose(unsubscribe);
+
+    let counts;
+    try {
+      counts = await getLiveSubmissionCounts();
+    } catch (error) {
+      stream.close();
+      throw error;
+    }
+
+    // The client left while the counts were read
+    if (stream.isClosed()) {
+      return;
+    }
+
+    stream.open();
+    stream.send("counts", counts);
+    pending.forEach((message) => stream.send(message.event, message.data));
+    pending = null;
+    closeWhenSessionEnds(stream, req.accessToken);
+
+    logger.debug("[ADMIN EVENTS] Stream opened", { adminUid: req.user.uid });
+
+  } catch (error) {
+    logger.error("[ADMIN EVENTS ERROR]", { error });
+    next(error);
+  }
+}
@@ -0,0 +1,35 @@
+import { getReadiness } from "../lib/health.js";
+import { logger } from "../lib/logger.js";
+
+/**
+ * Liveness probe - the process is up and serving requests
+ * Deliberately checks no dependencies, so a Firestore or Sheets outage doesn't restart the server
+ */
+export const getLiveness = (req, res) => {
+  return res.status(200).json({
+    status: "ok",
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Readiness probe - every dependency needed to serve traffic is reachable
+ * Returns 503 with per-dependency status and latency when one is not
+ */
+export const getReadinessStatus = async (req, res, next) => {
+  try {
+    const readiness = await getReadiness();
+
+    if (readiness.status !== "ready") {
+      logger.warn("[READINESS] Not ready", { checks: readiness.checks });
+    }
+
+    res.set("Cache-Control", "no-store");
+    return res.status(readiness.status === "ready" ? 200 : 503).json(readiness);
+
+  } catch (error) {
+    logger.error("[READINESS ERROR]", { error });
+    next(error);
+  }
+}
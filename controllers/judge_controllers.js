@@ -0,0 +1,437 @@
+import { firestore } from "../firebase.js";
+import { getSubmissionStore } from "../lib/storage/index.js";
+import { verifyLoginRequest } from "../lib/loginIdentity.js";
+import { issueSession } from "../lib/sessions.js";
+import { sendSession } from "../lib/sessionTransport.js";
+import {
+  validateRubric,
+  computeWeightedTotal,
+  hasConflict,
+  planAssignments,
+  buildLeaderboard,
+  getRubric,
+  saveRubric,
+  getJudge,
+  listJudges,
+  listAssignments,
+  saveAssignments,
+  deleteAssignment,
+  isAssigned,
+  getScoresForJudge,
+  saveScore,
+  listScores,
+} from "../lib/judging.js";
+import { logger } from "../lib/logger.js";
+import { SUBMISSION_FIELDS } from "../lib/submissionSchema.js";
+
+const MAX_JUDGES_PER_SUBMISSION = 10;
+
+// Judge sessions can be refreshed for up to 12 hours after login
+const JUDGE_SESSION_TTL_SECONDS = 60 * 60 * 12;
+
+/**
+ * Load every team registration keyed by teamId (falling back to document ID)
+ */
+const getRegistrationsByTeamId = async () => {
+  const snapshot = await firestore.collection("teamRegistrations").get();
+  return new Map(snapshot.docs.map((doc) => [doc.data().teamId || doc.id, doc.data()]));
+};
+
+/**
+ * Only the fields judges need - no leader contact details
+ */
+const toJudgeView = (submission) => ({
+  teamId: submission.teamId,
+  teamName: submission.teamName || "",
+  submissionTime: submission.submissionTime || "",
+  lastEditedTime: submission.lastEditedTime || "",
+  isLate: Boolean(submission.isLate),
+  ...Object.fromEntries(SUBMISSION_FIELDS.map((field) => [field.name, submission[field.name] || ""])),
+});
+
+/**
+ * Judge login
+ * Body: { idToken } - judges are listed in the `judges` collection (keyed by uid)
+ */
+export const authenticateJudge = async (req, res, next) => {
+  try {
+    // Verify the Firebase ID token (or the dev-only uid/email pair)
+    let identity;
+    try {
+      identity = await verifyLoginRequest(req.body);
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      return res.status(error.status).json({
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+
+    const { uid, email } = identity;
+
+    const judge = await getJudge(uid);
+    if (!judge) {
+      return res.status(403).json({
+        error: "Only judges are allowed to login here",
+      });
+    }
+
+    const session = await issueSession({
+      uid: uid,
+      email: email,
+      role: "judge",
+    }, JUDGE_SESSION_TTL_SECONDS);
+
+    logger.info("[JUDGE AUTH] Judge logged in", { uid });
+
+    return res.status(200).json({
+      message: "Login successful",
+      uid: uid,
+      email: email,
+      name: judge.name || "",
+      role: "judge",
+      ...sendSession(req, res, session),
+    });
+
+  } catch (error) {
+    logger.error("[JUDGE AUTH ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Get the authenticated judge's queue: assigned submissions, the rubric and own scores
+ * Judge route
+ */
+export const getJudgeQueue = async (req, res, next) => {
+  try {
+    const { uid } = req.user;
+
+    const [rubric, assignments] = await Promise.all([getRubric(), listAssignments(uid)]);
+    const teamIds = assignments.map((assignment) => assignment.teamId);
+
+    // One store read for the whole queue rather than one per assigned team
+    const [scores, submissions] = await Promise.all([
+      getScoresForJudge(uid, teamIds),
+      teamIds.length > 0 ? getSubmissionStore().list() : [],
+    ]);
+    const submissionsByTeamId = new Map(submissions.map((submission) => [submission.teamId, submission]));
+
+    const queue = [];
+    for (const teamId of teamIds) {
+      const submission = submissionsByTeamId.get(teamId);
+      // Skip submissions that were deleted after assignment
+      if (!submission) {
+        continue;
+      }
+      const score = scores.get(teamId);
+      queue.push({
+        submission: toJudgeView(submission),
+        score: score ? { scores: score.scores, comment: score.comment, updatedAt: score.updatedAt } : null,
+        isScored: Boolean(score),
+      });
+    }
+
+    return res.status(200).json({
+      message: "Judging queue retrieved successfully",
+      data: {
+        rubric: { criteria: rubric.criteria },
+        queue,
+        total: queue.length,
+        scored: queue.filter((item) => item.isScored).length,
+      },
+    });
+
+  } catch (error) {
+    logger.error("[JUDGE QUEUE ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Create or update the judge's score for an assigned submission
+ * Judge route - body shape is checked by validateScore middleware
+ */
+export const submitScore = async (req, res, next) => {
+  try {
+    const { uid } = req.user;
+    const { teamId } = req.params;
+    const { scores, comment } = req.body;
+
+    if (!(await isAssigned(uid, teamId))) {
+      return res.status(403).json({
+        error: "You are not assigned to this submission",
+      });
+    }
+
+    const submission = await getSubmissionStore().findByTeamId(teamId);
+    if (!submission) {
+      return res.status(404).json({
+        error: "No submission found for this team",
+      });
+    }
+
+    // Every rubric criterion needs a score within its range
+    const rubric = await getRubric();
+    const errors = [];
+    rubric.criteria.forEach((criterion) => {
+      const score = scores[criterion.id];
+      if (typeof score !== "number") {
+        errors.push(`scores.${criterion.id} is required`);
+      } else if (score < 0 || score > criterion.maxScore) {
+        errors.push(`scores.${criterion.id} must be between 0 and ${criterion.maxScore}`);
+      }
+    });
+    const unknownCriteria = Object.keys(scores).filter(
+      (criterionId) => !rubric.criteria.some((criterion) => criterion.id === criterionId)
+    );
+    if (unknownCriteria.length > 0) {
+      errors.push(`Unknown criteria: ${unknownCriteria.join(", ")}`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    const score = await saveScore({
+      judgeUid: uid,
+      teamId,
+      teamName: submission.teamName || "",
+      scores,
+      comment,
+      total: computeWeightedTotal(scores, rubric),
+    });
+
+    logger.info("[JUDGE SCORE] Score saved", { teamId, judgeUid: uid });
+
+    return res.status(200).json({
+      message: "Score saved successfully",
+      data: score,
+    });
+
+  } catch (error) {
+    logger.error("[JUDGE SCORE ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Get the judging rubric
+ * Admin route
+ */
+export const getJudgingRubric = async (req, res, next) => {
+  try {
+    const rubric = await getRubric();
+
+    return res.status(200).json({
+      message: "Rubric retrieved successfully",
+      data: rubric,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN RUBRIC ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Replace the judging rubric
+ * Admin route - body: { criteria: [{ id, name, description, weight, maxScore }] }
+ */
+export const updateJudgingRubric = async (req, res, next) => {
+  try {
+    const errors = validateRubric(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    const rubric = await saveRubric(req.body.criteria, req.user.uid);
+    res.locals.auditDetails = { rubric };
+
+    return res.status(200).json({
+      message: "Rubric updated successfully",
+      data: rubric,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN RUBRIC ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * List all judge assignments
+ * Admin route
+ */
+export const listJudgeAssignments = async (req, res, next) => {
+  try {
+    const [judges, assignments] = await Promise.all([listJudges(), listAssignments()]);
+
+    const load = judges.map((judge) => ({
+      judgeUid: judge.uid,
+      name: judge.name || "",
+      assigned: assignments.filter((assignment) => assignment.judgeUid === judge.uid).length,
+    }));
+
+    return res.status(200).json({
+      message: "Assignments retrieved successfully",
+      data: { assignments, load },
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN ASSIGNMENTS ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Assign judges to every submission, balancing load and skipping conflicts
+ * Admin route - body: { judgesPerSubmission (default 2) }
+ * Existing assignments are kept, so this can be re-run after new submissions
+ */
+export const autoAssignJudges = async (req, res, next) => {
+  try {
+    const judgesPerSubmission = req.body?.judgesPerSubmission ?? 2;
+    if (!Number.isInteger(judgesPerSubmission) || judgesPerSubmission < 1 || judgesPerSubmission > MAX_JUDGES_PER_SUBMISSION) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: [`judgesPerSubmission must be an integer between 1 and ${MAX_JUDGES_PER_SUBMISSION}`],
+      });
+    }
+
+    const [judges, existingAssignments, submissions, registrations] = await Promise.all([
+      listJudges(),
+      listAssignments(),
+      getSubmissionStore().list(),
+      getRegistrationsByTeamId(),
+    ]);
+
+    if (judges.length === 0) {
+      return res.status(400).json({
+        error: "No active judges found",
+      });
+    }
+
+    const { assignments, shortfalls } = planAssignments({
+      teamIds: submissions.map((submission) => submission.teamId),
+      judges,
+      existingAssignments,
+      registrations,
+      judgesPerSubmission,
+    });
+
+    await saveAssignments(assignments, req.user.uid);
+    res.locals.auditDetails = { judgesPerSubmission, created: assignments.length, shortfalls };
+
+    logger.info("[ADMIN ASSIGNMENTS] Assignments created", { count: assignments.length });
+
+    return res.status(200).json({
+      message: "Judges assigned successfully",
+      data: { created: assignments, shortfalls },
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN ASSIGNMENTS ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Assign one judge to one submission
+ * Admin route - body: { judgeUid, teamId, force }
+ * Conflicts are rejected unless force is true
+ */
+export const assignJudge = async (req, res, next) => {
+  try {
+    const { judgeUid, teamId, force } = req.body || {};
+    if (typeof judgeUid !== "string" || typeof teamId !== "string" || !judgeUid || !teamId) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: ["judgeUid and teamId are required strings"],
+      });
+    }
+
+    const judge = await getJudge(judgeUid);
+    if (!judge) {
+      return res.status(404).json({ error: "Judge not found" });
+    }
+
+    const submission = await getSubmissionStore().findByTeamId(teamId);
+    if (!submission) {
+      return res.status(404).json({ error: "No submission found for this team" });
+    }
+
+    if (force !== true) {
+      const registrations = await getRegistrationsByTeamId();
+      if (hasConflict(judge, teamId, registrations.get(teamId))) {
+        return res.status(409).json({
+          error: "Conflict of interest",
+          details: ["This judge has a conflict with the team. Send force: true to assign anyway."],
+        });
+      }
+    }
+
+    await saveAssignments([{ judgeUid, teamId }], req.user.uid);
+
+    return res.status(201).json({
+      message: "Judge assigned successfully",
+      data: { judgeUid, teamId },
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN ASSIGNMENTS ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Remove a judge from a submission
+ * Admin route
+ */
+export const unassignJudge = async (req, res, next) => {
+  try {
+    const { judgeUid, teamId } = req.params;
+
+    const removed = await deleteAssignment(judgeUid, teamId);
+    if (!removed) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+
+    return res.status(200).json({
+      message: "Judge unassigned successfully",
+      data: { judgeUid, teamId },
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN ASSIGNMENTS ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Ranked leaderboard with per-judge normalization
+ * Admin route
+ */
+export const getLeaderboard = async (req, res, next) => {
+  try {
+    const [rubric, scores] = await Promise.all([getRubric(), listScores()]);
+    const leaderboard = buildLeaderboard(scores, rubric);
+
+    return res.status(200).json({
+      message: "Leaderboard retrieved successfully",
+      data: leaderboard,
+    });
+
+  } catch (error) {
+    logger.error("[ADMIN LEADERBOARD ERROR]", { error });
+    next(error);
+  }
+}
@@ -1,87 +1,107 @@
-import { auth, firestore } from "../firebase.js";
 import jwt from "jsonwebtoken";
 import { format } from "date-fns";
+import { config } from "../lib/config.js";
+import { getSubmissionStore } from "../lib/storage/index.js";
+import { verifyLoginRequest } from "../lib/loginIdentity.js";
 import {
-  findRowByTeamId,
-  addRowToSheet,
-  getSubmissionByTeamId,
-} from "../lib/googleSheets.js";
+  issueSession,
+  refreshSession,
+  revokeAccessToken,
+  revokeRefreshToken,
+} from "../lib/sessions.js";
+import {
+  sendSession,
+  clearSession,
+  getRequestToken,
+  getRequestRefreshToken,
+  getCsrfToken,
+  usesBearer,
+  usesCookies,
+} from "../lib/sessionTransport.js";
+import { logger } from "../lib/logger.js";
+import { withSubmissionLock } from "../lib/submissionLock.js";
+import { getSubmissionWindow, serializeWindow, getCountdown } from "../lib/submissionWindow.js";
+import { requestLinkCheck, getLinkCheck } from "../lib/linkChecker.js";
+import { recordRevision, listRevisions, toTeamRevisionView } from "../lib/submissionHistory.js";
+import { notifySubmissionReceipt } from "../lib/notifications.js";
+import { emitWebhookEvent, toWebhookSubmission } from "../lib/webhooks.js";
+import { publishSubmissionChange, subscribeToTeam, countTeamStreams } from "../lib/liveEvents.js";
+import { createEventStream, closeWhenSessionEnds } from "../lib/sse.js";
+import { findTeamByLeader, findTeamByMemberEmail } from "../lib/teamLookup.js";
+import {
+  pickSubmissionFields,
+  serializeSubmission,
+  describeSubmissionFields,
+} from "../lib/submissionSchema.js";
 
-export const authenticateUser = async (req, res, next) => {
-  try {
-    const { uid, email } = req.body;
+// Team sessions can be refreshed for up to 24 hours after login
+const TEAM_SESSION_TTL_SECONDS = 60 * 60 * 24;
 
-    // Validate required parameters
-    if (!uid || !email) {
-      return res.status(400).json({ 
-        error: "Missing required fields",
-        details: ["uid and email are required"]
-      });
-    }
+/**
+ * Get a team's link check, or null if it can't be read right now
+ * Link checks are only informational, so they never fail the response
+ */
+const readLinkCheck = async (teamId) => {
+  try {
+    return await getLinkCheck(teamId);
+  } catch (error) {
+    logger.error("[LINK CHECK] Error reading link check", { teamId, error });
+    return null;
+  }
+};
 
-    // Validate types
-    if (typeof uid !== 'string' || typeof email !== 'string') {
-      return res.status(400).json({
-        error: "Invalid input types",
-        details: ["uid and email must be strings"]
+/**
+ * Team login for leaders and members
+ * Body: { idToken } - a Firebase ID token (see lib/loginIdentity.js)
+ * Leaders get role "leader"; anyone listed in members gets read-only role "member"
+ */
+export const authenticateUser = async (req, res, next) => {
+  try {
+    // Verify the Firebase ID token (or the dev-only uid/email pair)
+    let identity;
+    try {
+      identity = await verifyLoginRequest(req.body);
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      return res.status(error.status).json({
+        error: error.message,
+        ...(error.details && { details: error.details }),
       });
     }
 
-    // Sanitize inputs (trim and limit length)
-    const sanitizedUid = uid.trim().slice(0, 128);
-    const sanitizedEmail = email.trim().toLowerCase().slice(0, 255);
+    const { uid, email, emailVerified } = identity;
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(sanitizedEmail)) {
-      return res.status(400).json({
-        error: "Invalid email format",
-        details: ["email must be a valid email address"]
-      });
-    }
+    logger.debug("[AUTH] Verified user", { uid, email });
 
-    // Validate UID format (Firebase UIDs are typically 28 characters)
-    if (sanitizedUid.length < 10 || sanitizedUid.length > 128) {
-      return res.status(400).json({
-        error: "Invalid UID format",
-        details: ["uid must be between 10 and 128 characters"]
-      });
-    }
-
-    // Verify user exists in Firebase Auth (use sanitized values)
-    let userRecord;
-    try {
-      userRecord = await auth.getUser(sanitizedUid);
-    } catch (error) {
-      return res.status(401).json({ error: "Invalid user: User not found in Firebase Auth" });
-    }
+    // Check Firestore if user is team leader
+    let role = "leader";
+    let team = await findTeamByLeader(uid);
 
-    // Verify email matches (case-insensitive, use sanitized email)
-    if (userRecord.email?.toLowerCase() !== sanitizedEmail) {
-      return res.status(401).json({ error: "Email does not match the user record" });
+    // Not a leader: check if the user is a member of a team (matched by verified email)
+    if (!team) {
+      if (!emailVerified) {
+        return res.status(403).json({
+          error: "Email not verified",
+          details: ["Verify your email address to log in as a team member"],
+        });
+      }
+      team = await findTeamByMemberEmail(email);
+      role = "member";
     }
 
-    console.log("[AUTH] Verifying user:", sanitizedUid, sanitizedEmail);
-
-    // Check Firestore if user is team leader (use sanitized UID)
-    const teamRegistrationQuery = await firestore
-      .collection("teamRegistrations")
-      .where("leaderUserId", "==", sanitizedUid)
-      .limit(1)
-      .get();
-
-    if (teamRegistrationQuery.empty) {
+    if (!team) {
       return res.status(403).json({
-        error: "Only team leaders are allowed to login",
+        error: "Only registered team members are allowed to login",
       });
     }
 
-    console.log("[AUTH] User is a team leader:", uid, email);
+    // Get team registration data (teamId falls back to the document ID)
+    const teamData = team.data;
+    const teamId = team.teamId;
 
-    // Get team registration data
-    const teamDoc = teamRegistrationQuery.docs[0];
-    const teamData = teamDoc.data();
-    const teamId = teamData.teamId || teamDoc.id; // Use teamId field if exists, otherwise use document ID
+    logger.debug("[AUTH] User belongs to a team", { uid, email, teamId, role });
 
     const teamStatus = teamData?.status 
 
@@ -92,96 +112,35 @@ export const authenticateUser = async (req, res, next) => {
       });
     }
 
-    // Generate JWT session token (use sanitized values)
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      console.error("[AUTH] JWT_SECRET is not set in environment variables");
-      return res.status(500).json({ error: "Server configuration error" });
-    }
-    
-    const expiresIn = 60 * 60 * 24; // 24 hours in seconds
-    const token = jwt.sign(
-      {
-        uid: sanitizedUid,
-        email: sanitizedEmail,
-        leaderUserId: sanitizedUid,
-        teamId: teamId,
-      },
-      jwtSecret,
-      { expiresIn }
-    );
-
-    // Set cookie with session token (secure settings)
-    // Automatically detect cross-origin by comparing request origin with backend host
-    const isProduction = process.env.NODE_ENV === "production";
-    const requestOrigin = req.headers.origin;
-    
-    // Get backend URL (handle proxy scenarios)
-    const backendHost = req.get('host') || req.hostname;
-    const forwardedProto = req.headers['x-forwarded-proto'];
-    const backendProtocol = forwardedProto || req.protocol || (req.secure ? 'https' : 'http');
-    const backendUrl = `${backendProtocol}://${backendHost}`;
-    
-    // Check if request is cross-origin (different domain)
-    // Also check if explicitly set via env var
-    const isExplicitCrossOrigin = process.env.COOKIE_SAME_SITE === "none";
-    let isAutoDetectedCrossOrigin = false;
-    
-    if (requestOrigin) {
-      try {
-        const originHostname = new URL(requestOrigin).hostname;
-        const backendHostname = new URL(backendUrl).hostname;
-        isAutoDetectedCrossOrigin = originHostname !== backendHostname;
-      } catch (e) {
-        // If URL parsing fails, check simple string comparison
-        isAutoDetectedCrossOrigin = requestOrigin !== backendUrl && 
-                                    !requestOrigin.includes(backendHost);
-      }
-    }
-    
-    const isCrossOrigin = isExplicitCrossOrigin || isAutoDetectedCrossOrigin;
-    
-    // Determine if request is over HTTPS
-    const isHttps = req.secure || 
-                    req.protocol === 'https' || 
-                    forwardedProto === 'https' ||
-                    (requestOrigin && requestOrigin.startsWith('https://'));
-    
-    // For cross-origin: MUST use sameSite: "none" with secure: true (HTTPS required)
-    // For same-origin: use sameSite: "strict" (production) or "lax" (development)
-    const cookieOptions = {
-      httpOnly: true, // Prevents XSS attacks
-      secure: isCrossOrigin ? true : (isProduction || isHttps), // Must be true for cross-origin
-      sameSite: isCrossOrigin ? "none" : (isProduction ? "strict" : "lax"), // CSRF protection
-      maxAge: expiresIn * 1000, // Convert to milliseconds
-      path: "/", // Cookie available for all paths
-      // For cross-origin: DO NOT set domain (let browser handle it)
-      // For same-origin subdomains: set domain if provided
-      ...(process.env.COOKIE_DOMAIN && !isCrossOrigin && { domain: process.env.COOKIE_DOMAIN }),
-    };
+    // Start a session: short-lived access token plus a refresh token
+    const session = await issueSession({
+      uid: uid,
+      email: email,
+      leaderUserId: teamData.leaderUserId || uid,
+      teamId: teamId,
+      role,
+    }, TEAM_SESSION_TTL_SECONDS);
 
-    // For localStorage flows return the token in the response body so the
-    // client can store it in localStorage and send it as
-    // `Authorization: Bearer <token>` on subsequent requests.
-    console.log('[AUTH] Generated JWT for user (not setting cookie for localStorage flow)');
+    logger.info("[AUTH] Session started", { uid, teamId, role });
+    emitWebhookEvent("auth.login", { uid, teamId, role });
 
     return res.status(200).json({
       message: 'Login successful',
-      uid: sanitizedUid,
-      email: sanitizedEmail,
+      uid: uid,
+      email: email,
       teamId: teamId,
-      token: token,
-      expiresIn: expiresIn,
+      role,
+      ...sendSession(req, res, session),
     });
 
   } catch (error) {
-    console.error("[AUTH ERROR]:", error);
+    logger.error("[AUTH ERROR]", { error });
     next(error);
   }
 }
 
 /**
- * Get team registration document for the authenticated leader
+ * Get team registration document for the authenticated leader or member
  * Protected route - requires valid JWT cookie
  */
 export const getTeamRegistration = async (req, res, next) => {
@@ -195,29 +154,24 @@ export const getTeamRegistration = async (req, res, next) => {
       });
     }
 
-    console.log("[ABOUT] Fetching team registration for leader:", leaderUserId);
+    logger.debug("[ABOUT] Fetching team registration", { leaderUserId });
 
-    // Get team registration document from Firestore
-    const teamRegistrationQuery = await firestore
-      .collection("teamRegistrations")
-      .where("leaderUserId", "==", leaderUserId)
-      .limit(1)
-      .get();
+    // Get team registration document (cached, see lib/teamLookup.js)
+    const team = await findTeamByLeader(leaderUserId);
 
-    if (teamRegistrationQuery.empty) {
+    if (!team) {
       return res.status(404).json({
-        error: "Team registration not found for this leader",
+        error: "Team registration not found for this team",
       });
     }
 
     // Get the complete document data
-    const doc = teamRegistrationQuery.docs[0];
     const teamData = {
-      id: doc.id,
-      ...doc.data(),
+      id: team.id,
+      ...team.data,
     };
 
-    console.log("[ABOUT] Team registration found:", doc.id);
+    logger.debug("[ABOUT] Team registration found", { registrationId: team.id });
 
     return res.status(200).json({
       message: "Team registration retrieved successfully",
@@ -225,18 +179,19 @@ export const getTeamRegistration = async (req, res, next) => {
     });
 
   } catch (error) {
-    console.error("[ABOUT ERROR]:", error);
+    logger.error("[ABOUT ERROR]", { error });
     next(error);
   }
 }
 
 /**
- * Submit team data to Google Sheets
+ * Submit team data to the submission store
  * Protected route - requires valid JWT cookie
  * If teamId already exists, returns previous entry
- * Otherwise, stores the new submission
- * Only accepts: githubLink, pptLink, videoLink, description
+ * Otherwise, stores the new submission (at most one per team, even for concurrent requests)
+ * Only accepts the fields in the submission schema (lib/submissionSchema.js)
  * Fetches team data and leader info from Firestore
+ * Submissions during the grace period are flagged as late
  */
 export const submitTeamData = async (req, res, next) => {
   try {
@@ -249,29 +204,19 @@ export const submitTeamData = async (req, res, next) => {
       });
     }
 
-    // Get submission data from request body (only these 4 fields)
-    const {
-      githubLink,
-      pptLink,
-      videoLink,
-      description,
-    } = req.body;
+    // Get submission data from request body (only the schema fields)
+    const submissionFields = pickSubmissionFields(req.body);
 
     // Fetch team registration data from Firestore
-    const teamRegistrationQuery = await firestore
-      .collection("teamRegistrations")
-      .where("leaderUserId", "==", uid)
-      .limit(1)
-      .get();
+    const team = await findTeamByLeader(uid);
 
-    if (teamRegistrationQuery.empty) {
+    if (!team) {
       return res.status(404).json({
         error: "Team registration not found",
       });
     }
 
-    const teamDoc = teamRegistrationQuery.docs[0];
-    const teamData = teamDoc.data();
+    const teamData = team.data;
 
     // Get leader info from members[0] (leader is always first in members array)
     const leader = teamData.members && teamData.members.length > 0 
@@ -286,65 +231,100 @@ export const submitTeamData = async (req, res, next) => {
 
     // Extract team information
     const teamName = teamData.teamName || '';
-    const teamIdFromDB = teamData.teamId || teamDoc.id;
+    const teamIdFromDB = team.teamId;
     const leaderName = leader.name || '';
     const leaderPhone = leader.phoneNumber || '';
     const leaderEmail = leader.email || '';
 
-    // Check if teamId already exists in the sheet
-    const existingSubmission = await findRowByTeamId(teamIdFromDB);
+    const store = getSubmissionStore();
+
+    // Check-then-create runs under a per-team lock, so a double-click or a
+    // second tab waits for the first request and gets its stored result back.
+    // Stores without an atomic create also need the cross-instance lock
+    const result = await withSubmissionLock(teamIdFromDB, async () => {
+      // Check if teamId already has a submission
+      const existingSubmission = await store.findByTeamId(teamIdFromDB);
+
+      if (existingSubmission) {
+        return { data: existingSubmission, isExisting: true };
+      }
 
-    if (existingSubmission) {
+      // Generate submission time in a readable format
+      // Format: "YYYY-MM-DD HH:mm:ss" (e.g., "2024-01-15 14:30:45")
+      const submissionTime = format(new Date(), "yyyy-MM-dd HH:mm:ss");
+
+      // Prepare submission data with all required fields
+      const submissionData = {
+        submissionTime,
+        teamName,
+        teamId: teamIdFromDB,
+        leaderName,
+        leaderPhone,
+        leaderEmail,
+        ...submissionFields,
+        isLate: Boolean(req.submissionWindow?.isLate),
+      };
+
+      try {
+        // Add to the submission store
+        await store.create(submissionData);
+      } catch (error) {
+        // Another instance created it between our check and create
+        if (error.status === 409) {
+          return { data: await store.findByTeamId(teamIdFromDB), isExisting: true };
+        }
+        throw error;
+      }
+
+      logger.info("[SUBMIT] New submission added", { teamId: teamIdFromDB, submissionTime, isLate: submissionData.isLate });
+
+      await recordRevision({
+        teamId: teamIdFromDB,
+        action: "create",
+        actor: req.user,
+        before: null,
+        after: submissionData,
+      });
+
+      // Check the links and email the receipt in the background; link check
+      // results show up in GET /submission
+      requestLinkCheck(submissionData);
+      notifySubmissionReceipt(submissionData, teamData.members);
+      emitWebhookEvent("submission.created", { submission: toWebhookSubmission(submissionData) });
+      publishSubmissionChange("created", submissionData);
+
+      return { data: submissionData, isExisting: false };
+    }, { distributed: !store.hasAtomicCreate });
+
+    if (result.isExisting) {
       // TeamId exists, return previous entry
-      console.log("[SUBMIT] TeamId already exists, returning previous entry");
+      logger.info("[SUBMIT] TeamId already exists, returning previous entry", { teamId: teamIdFromDB });
       return res.status(200).json({
         message: "Team submission already exists",
-        data: existingSubmission.data,
+        data: serializeSubmission(result.data),
         isExisting: true,
       });
     }
 
-    // Generate submission time in a readable format
-    // Format: "YYYY-MM-DD HH:mm:ss" (e.g., "2024-01-15 14:30:45")
-    const submissionTime = format(new Date(), "yyyy-MM-dd HH:mm:ss");
-
-    // Prepare submission data with all required fields
-    const submissionData = {
-      submissionTime,
-      teamName,
-      teamId: teamIdFromDB,
-      leaderName,
-      leaderPhone,
-      leaderEmail,
-      githubLink,
-      pptLink,
-      videoLink,
-      description,
-    };
-
-    // Add to Google Sheets
-    await addRowToSheet(submissionData);
-
-    console.log("[SUBMIT] New submission added for teamId:", teamIdFromDB, "at", submissionTime);
-
     return res.status(201).json({
       message: "Team data submitted successfully",
-      data: submissionData,
+      data: serializeSubmission(result.data),
       isExisting: false,
     });
 
   } catch (error) {
-    console.error("[SUBMIT ERROR]:", error);
+    logger.error("[SUBMIT ERROR]", { error });
     next(error);
   }
 }
 
 /**
- * Get submission data from Google Sheets
+ * Update an existing submission in the submission store
  * Protected route - requires valid JWT cookie
- * Used by useEffect hook to check if submission already exists
+ * Edit deadline is enforced by enforceEditWindow middleware
+ * Keeps the original submission time and records the last edited time
  */
-export const getSubmission = async (req, res, next) => {
+export const updateSubmission = async (req, res, next) => {
   try {
     // User info is attached by verifyAuth middleware
     const { uid } = req.user;
@@ -355,27 +335,111 @@ export const getSubmission = async (req, res, next) => {
       });
     }
 
+    // Get submission data from request body (only the schema fields)
+    const submissionFields = pickSubmissionFields(req.body);
+
+    // Fetch team registration data from Firestore to get the correct teamId
+    const team = await findTeamByLeader(uid);
+
+    if (!team) {
+      return res.status(404).json({
+        error: "Team registration not found",
+      });
+    }
+
+    const teamIdFromDB = team.teamId;
+
+    const store = getSubmissionStore();
+
+    // Read, update and record the revision under the team's submission lock,
+    // so concurrent edits (or an edit racing a submit or restore) apply one
+    // after another and each revision diffs against the submission it replaced
+    const submissionData = await withSubmissionLock(teamIdFromDB, async () => {
+      const existingSubmission = await store.findByTeamId(teamIdFromDB);
+
+      if (!existingSubmission) {
+        return null;
+      }
+
+      const lastEditedTime = format(new Date(), "yyyy-MM-dd HH:mm:ss");
+
+      // Keep the original row (submission time, team and leader info) and
+      // only replace the editable fields
+      const updatedSubmission = {
+        ...existingSubmission,
+        ...submissionFields,
+        lastEditedTime,
+      };
+
+      await store.update(teamIdFromDB, updatedSubmission);
+
+      logger.info("[EDIT SUBMISSION] Submission updated", { teamId: teamIdFromDB, lastEditedTime });
+
+      await recordRevision({
+        teamId: teamIdFromDB,
+        action: "update",
+        actor: req.user,
+        before: existingSubmission,
+        after: updatedSubmission,
+      });
+
+      return updatedSubmission;
+    }, { distributed: !store.hasAtomicCreate });
+
+    if (!submissionData) {
+      return res.status(404).json({
+        error: "No submission found for this team",
+        details: ["Submit your project before trying to edit it"],
+      });
+    }
+
+    requestLinkCheck(submissionData);
+    emitWebhookEvent("submission.updated", { submission: toWebhookSubmission(submissionData) });
+    publishSubmissionChange("updated", submissionData);
+
+    return res.status(200).json({
+      message: "Team submission updated successfully",
+      data: serializeSubmission(submissionData),
+    });
+
+  } catch (error) {
+    logger.error("[EDIT SUBMISSION ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Get submission data from the submission store
+ * Protected route - requires valid JWT cookie
+ * Used by useEffect hook to check if submission already exists
+ */
+export const getSubmission = async (req, res, next) => {
+  try {
+    // User info is attached by verifyAuth middleware
+    // Members read their leader's team
+    const { leaderUserId } = req.user;
+
+    if (!leaderUserId) {
+      return res.status(401).json({ 
+        error: "Unauthorized: User ID not found in session" 
+      });
+    }
+
     // Fetch team registration data from Firestore to get the correct teamId
-    const teamRegistrationQuery = await firestore
-      .collection("teamRegistrations")
-      .where("leaderUserId", "==", uid)
-      .limit(1)
-      .get();
+    const team = await findTeamByLeader(leaderUserId);
 
-    if (teamRegistrationQuery.empty) {
+    if (!team) {
       return res.status(404).json({
         error: "Team registration not found",
       });
     }
 
-    const teamDoc = teamRegistrationQuery.docs[0];
-    const teamData = teamDoc.data();
-    const teamIdFromDB = teamData.teamId || teamDoc.id;
+    const teamIdFromDB = team.teamId;
 
-    console.log("[GET SUBMISSION] Fetching submission for teamId:", teamIdFromDB);
+    logger.debug("[GET SUBMISSION] Fetching submission", { teamId: teamIdFromDB });
 
-    // Get submission from Google Sheets using teamId from Firestore
-    const submission = await getSubmissionByTeamId(teamIdFromDB);
+    // Get submission from the submission store using teamId from Firestore
+    const submission = await getSubmissionStore().findByTeamId(teamIdFromDB);
 
     if (!submission) {
       return res.status(200).json({
@@ -385,37 +449,306 @@ export const getSubmission = async (req, res, next) => {
       });
     }
 
-    console.log("[GET SUBMISSION] Submission found for teamId:", teamIdFromDB);
+    logger.debug("[GET SUBMISSION] Submission found", { teamId: teamIdFromDB });
+
+    // Liveness of the links and GitHub repo metadata (see lib/linkChecker.js)
+    const linkCheck = await readLinkCheck(teamIdFromDB);
 
     return res.status(200).json({
       message: "Submission retrieved successfully",
-      data: submission,
+      data: serializeSubmission(submission),
+      linkCheck,
       hasSubmission: true,
     });
 
   } catch (error) {
-    console.error("[GET SUBMISSION ERROR]:", error);
+    logger.error("[GET SUBMISSION ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Get the revision history of the team's submission, newest first
+ * Protected route - leader only
+ * Each revision lists the changed fields with their old and new values
+ */
+export const getSubmissionHistory = async (req, res, next) => {
+  try {
+    const { leaderUserId } = req.user;
+
+    if (!leaderUserId) {
+      return res.status(401).json({ 
+        error: "Unauthorized: User ID not found in session" 
+      });
+    }
+
+    const team = await findTeamByLeader(leaderUserId);
+
+    if (!team) {
+      return res.status(404).json({
+        error: "Team registration not found",
+      });
+    }
+
+    const teamIdFromDB = team.teamId;
+
+    const revisions = await listRevisions(teamIdFromDB);
+
+    return res.status(200).json({
+      message: "Submission history retrieved successfully",
+      data: revisions.map(toTeamRevisionView),
+      count: revisions.length,
+    });
+
+  } catch (error) {
+    logger.error("[SUBMISSION HISTORY ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Live submission state over Server-Sent Events
+ * Protected route - leaders and members; EventSource clients may pass the
+ * token as ?access_token=
+ * Events, each sent once on connect and then as they change:
+ *   submission - { action, hasSubmission, data } (same data as GET /submission)
+ *   linkCheck  - the link check (null until one is requested)
+ *   window     - the submission window with a countdown, every SSE_COUNTDOWN_SECONDS
+ * The stream ends with a `sessionEnded` event when the access token expires
+ * or is revoked
+ */
+export const streamTeamEvents = async (req, res, next) => {
+  try {
+    const { leaderUserId } = req.user;
+
+    if (!leaderUserId) {
+      return res.status(401).json({ 
+        error: "Unauthorized: User ID not found in session" 
+      });
+    }
+
+    const team = await findTeamByLeader(leaderUserId);
+
+    if (!team) {
+      return res.status(404).json({
+        error: "Team registration not found",
+      });
+    }
+
+    const teamIdFromDB = team.teamId;
+
+    if (countTeamStreams(teamIdFromDB) >= config.events.maxStreamsPerTeam) {
+      return res.status(429).json({
+        error: "Too many open event streams",
+        details: `A team can have at most ${config.events.maxStreamsPerTeam} streams open. Close other tabs and try again.`,
+      });
+    }
+
+    // Changes published while the current state is read are sent after it
+    const stream = createEventStream(req, res);
+    let pending = [];
+    const unsubscribe = subscribeToTeam(teamIdFromDB, (message) => {
+      if (pending) {
+        pending.push(message);
+      } else {
+        stream.send(message.event, message.data);
+      }
+    });
+    stream.onClose(unsubscribe);
+
+    let submission, linkCheck, submissionWindow;
+    try {
+      [submission, linkCheck, submissionWindow] = await Promise.all([
+        getSubmissionStore().findByTeamId(teamIdFromDB),
+        readLinkCheck(teamIdFromDB),
+        getSubmissionWindow(),
+      ]);
+    } catch (error) {
+      stream.close();
+      throw error;
+    }
+
+    // The client left while the current state was read
+    if (stream.isClosed()) {
+      return;
+    }
+
+    const windowEvent = (currentWindow, now = new Date()) => ({
+      ...serializeWindow(currentWindow, now),
+      countdown: getCountdown(currentWindow, now),
+    });
+
+    stream.open();
+    stream.send("submission", {
+      action: null,
+      hasSubmission: Boolean(submission),
+      data: submission ? serializeSubmission(submission) : null,
+    });
+    stream.send("linkCheck", linkCheck);
+    stream.send("window", windowEvent(submissionWindow));
+    pending.forEach((message) => stream.send(message.event, message.data));
+    pending = null;
+
+    // The window is cached, so ticks don't read Firestore every time
+    const countdownTimer = setInterval(() => {
+      getSubmissionWindow()
+        .then((currentWindow) => stream.send("window", windowEvent(currentWindow)))
+        .catch((error) => logger.error("[TEAM EVENTS] Error sending countdown", { teamId: teamIdFromDB, error }));
+    }, config.events.countdownSeconds * 1000);
+    stream.onClose(() => clearInterval(countdownTimer));
+    closeWhenSessionEnds(stream, req.accessToken);
+
+    logger.debug("[TEAM EVENTS] Stream opened", { teamId: teamIdFromDB });
+
+  } catch (error) {
+    logger.error("[TEAM EVENTS ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Get the submission window and current server time
+ * Public route - used by the frontend countdown
+ */
+export const getWindowInfo = async (req, res, next) => {
+  try {
+    const submissionWindow = await getSubmissionWindow();
+
+    return res.status(200).json({
+      message: "Submission window retrieved successfully",
+      data: serializeWindow(submissionWindow),
+    });
+
+  } catch (error) {
+    logger.error("[WINDOW ERROR]", { error });
     next(error);
   }
 }
 
 /**
- * Logout route - clears the session cookie
+ * Get the submission form fields (name, label, type, required, maxLength, hosts)
+ * Public route - lets the frontend build the form from the same schema the server validates
+ */
+export const getSubmissionFields = (req, res) => {
+  return res.status(200).json({
+    message: "Submission fields retrieved successfully",
+    data: describeSubmissionFields(),
+  });
+}
+
+/**
+ * Exchange a refresh token for a new access token (and a new refresh token)
+ * Public route - body: { refreshToken }, or the refresh cookie in cookie mode
+ * Works for team, admin and judge sessions
+ */
+export const refreshUserSession = async (req, res, next) => {
+  try {
+    const refreshToken = getRequestRefreshToken(req);
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        details: ["refreshToken is required"],
+      });
+    }
+
+    let session;
+    try {
+      session = await refreshSession(refreshToken);
+    } catch (error) {
+      if (error.status !== 401) {
+        throw error;
+      }
+      return res.status(401).json({
+        error: "Unauthorized",
+        details: error.message,
+      });
+    }
+
+    return res.status(200).json({
+      message: "Session refreshed",
+      uid: session.claims.uid,
+      teamId: session.claims.teamId || null,
+      role: session.claims.role,
+      ...sendSession(req, res, session),
+    });
+
+  } catch (error) {
+    logger.error("[REFRESH ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Logout route - revokes the session on the server
+ * Denylists the access token (Authorization header or session cookie), revokes
+ * the refresh token family (body: { refreshToken } or the refresh cookie) and
+ * clears the session cookies. Both tokens are optional, so an already-expired
+ * session can still log out cleanly.
  */
 export const logoutUser = async (req, res, next) => {
   try {
-    // For localStorage-based auth, logout is performed client-side by removing
-    // the token from localStorage. We still return a success response so the
-    // client can clear its stored token.
-    console.log('[LOGOUT] Logout requested - instruct client to remove token from localStorage');
+    const token = getRequestToken(req);
+    if (token) {
+      try {
+        // Expired tokens can still be denylisted; bad signatures are ignored
+        const decoded = jwt.verify(token, config.auth.jwtSecret, { ignoreExpiration: true });
+        await revokeAccessToken(decoded);
+      } catch (error) {
+        if (error.name !== "JsonWebTokenError") {
+          throw error;
+        }
+      }
+    }
+
+    const refreshToken = getRequestRefreshToken(req);
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    clearSession(req, res);
+
+    logger.info("[LOGOUT] Session revoked");
 
     return res.status(200).json({
       message: 'Logged out successfully',
-      note: 'Please remove the stored token from localStorage on the client.',
+      ...(usesBearer() && { note: 'Please remove the stored tokens from localStorage on the client.' }),
+    });
+
+  } catch (error) {
+    logger.error("[LOGOUT ERROR]", { error });
+    next(error);
+  }
+}
+
+/**
+ * Get the current CSRF token from the csrf_token cookie
+ * Public route - lets a reloaded cross-origin frontend recover the token it
+ * must send as X-CSRF-Token (CORS keeps other sites from reading it)
+ */
+export const getCsrfTokenInfo = async (req, res, next) => {
+  try {
+    if (!usesCookies()) {
+      return res.status(404).json({
+        error: "Cookie sessions are not enabled",
+      });
+    }
+
+    const csrfToken = getCsrfToken(req);
+    if (!csrfToken) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        details: "No session found. Please login first.",
+      });
+    }
+
+    return res.status(200).json({
+      message: "CSRF token retrieved successfully",
+      csrfToken,
     });
 
   } catch (error) {
-    console.error("[LOGOUT ERROR]:", error);
+    logger.error("[CSRF TOKEN ERROR]", { error });
     next(error);
   }
 }
\ No newline at end of file
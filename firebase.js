@@ -1,14 +1,61 @@
 import admin from "firebase-admin";
-import dotenv from "dotenv";
-dotenv.config();
-
-admin.initializeApp({
-  credential: admin.credential.cert({
-    projectId: process.env.FIREBASE_ADMIN_PROJECT_ID,
-    clientEmail: process.env.FIREBASE_ADMIN_CLIENT_EMAIL,
-    privateKey: process.env.FIREBASE_ADMIN_PRIVATE_KEY?.replace(/\\n/g, "\n"),
-  }),
-});
-
-export const firestore = admin.firestore();
-export const auth = admin.auth();
\ No newline at end of file
+import { config } from "./lib/config.js";
+
+/**
+ * Firebase Admin services
+ * The app is initialized on first use rather than on import, so modules that
+ * never touch Firestore or Auth (the file submission store, tests) work
+ * without Firebase credentials.
+ */
+
+let app = null;
+// Set by tests to stand in for the real services
+let overrides = {};
+
+const getApp = () => {
+  if (!app) {
+    if (!config.firebase.projectId || !config.firebase.clientEmail || !config.firebase.privateKey) {
+      throw new Error("Firebase is not configured (FIREBASE_ADMIN_PROJECT_ID, FIREBASE_ADMIN_CLIENT_EMAIL, FIREBASE_ADMIN_PRIVATE_KEY)");
+    }
+    app = admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: config.firebase.projectId,
+        clientEmail: config.firebase.clientEmail,
+        privateKey: config.firebase.privateKey,
+      }),
+    });
+  }
+  return app;
+};
+
+/**
+ * Stand-in for a service that is created the first time one of its members is used
+ */
+const lazyService = (name, create) => {
+  let service = null;
+  const resolve = () => {
+    if (overrides[name]) {
+      return overrides[name];
+    }
+    service = service || create(getApp());
+    return service;
+  };
+  return new Proxy({}, {
+    get: (target, property) => {
+      const instance = resolve();
+      const value = instance[property];
+      return typeof value === "function" ? value.bind(instance) : value;
+    },
+  });
+};
+
+export const firestore = lazyService("firestore", (firebaseApp) => admin.firestore(firebaseApp));
+export const auth = lazyService("auth", (firebaseApp) => admin.auth(firebaseApp));
+
+/**
+ * Replace Firestore and/or Auth, e.g. with in-memory stand-ins in tests
+ * Pass {} to go back to the real services
+ */
+export const setFirebaseServices = (services) => {
+  overrides = { ...services };
+};
@@ -0,0 +1,19 @@
+import { firestore } from '../firebase.js';
+import { logger } from './logger.js';
+
+const AUDIT_COLLECTION = 'adminAuditLogs';
+
+/**
+ * Append an entry to the admin audit log
+ * Never throws: a failed audit write is logged, not surfaced to the admin
+ */
+export const recordAuditEvent = async (entry) => {
+  try {
+    await firestore.collection(AUDIT_COLLECTION).add({
+      ...entry,
+      createdAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('[AUDIT LOG] Error writing audit entry', { error, entry });
+  }
+};
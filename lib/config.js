@@ -0,0 +1,339 @@
+import net from 'net';
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Application configuration
+ *
+ * Every setting is read from the environment once, here, and validated at
+ * boot: importing this module throws one error listing every problem, so a
+ * bad deploy fails immediately instead of on the first request.
+ *
+ * Profiles (APP_ENV, falling back to NODE_ENV; default development) supply
+ * defaults per environment. Environment variables always win over them.
+ *
+ * Other modules import `config` and never read process.env directly.
+ */
+
+export const PROFILES = ['development', 'test', 'production'];
+
+// Stores that read or write the spreadsheet (see lib/storage/index.js)
+const SHEETS_STORES = ['sheets', 'mirrored'];
+
+const usesSheets = (partial) => SHEETS_STORES.includes(partial.submissions?.store);
+const usesSmtp = (partial) => partial.mail?.transport === 'smtp';
+const usesMailApi = (partial) => partial.mail?.transport === 'api';
+const sendsRealMail = (partial) => usesSmtp(partial) || usesMailApi(partial);
+const usesRedisRateLimit = (partial) => partial.rateLimit?.store === 'redis';
+// Tests run without Firebase credentials (firebase.js initializes on first use)
+const usesFirebase = (partial) => partial.profile !== 'test';
+
+const PROFILE_DEFAULTS = {
+  development: {
+    'logging.level': 'debug',
+    'server.trustProxy': false,
+    'mail.transport': 'console',
+  },
+  test: {
+    'logging.level': 'warn',
+    'server.trustProxy': false,
+  },
+  production: {
+    'logging.level': 'info',
+    'server.trustProxy': true,
+  },
+};
+
+/**
+ * Settings schema
+ * path     - where the value lives in `config`
+ * env      - environment variable it is read from
+ * type     - string | int | intList | ipList | bool | enum | date | url | privateKey
+ * required - true, or a function of the partly built config
+ * secret   - masked in the summary
+ */
+const SETTINGS = [
+  // Server
+  { path: 'server.port', env: 'PORT', type: 'int', default: 8000, min: 1, max: 65535 },
+  { path: 'server.clientOrigin', env: 'CLIENT_ORIGIN', type: 'url' },
+  { path: 'server.trustProxy', env: 'TRUST_PROXY', type: 'bool' },
+
+  // Logging
+  { path: 'logging.level', env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'] },
+
+  // Auth and sessions
+  { path: 'auth.jwtSecret', env: 'JWT_SECRET', type: 'string', required: true, secret: true },
+  { path: 'auth.accessTokenTtlSeconds', env: 'ACCESS_TOKEN_TTL_SECONDS', type: 'int', default: 15 * 60, min: 30 },
+  { path: 'auth.revocationCacheSeconds', env: 'REVOCATION_CACHE_SECONDS', type: 'int', default: 30, min: 0 },
+  { path: 'auth.sessionTransport', env: 'SESSION_TRANSPORT', type: 'enum', values: ['bearer', 'cookie', 'both'], default: 'bearer' },
+  { path: 'auth.allowLegacyUidLogin', env: 'ALLOW_LEGACY_UID_LOGIN', type: 'bool', default: false },
+  { path: 'cookies.sameSite', env: 'COOKIE_SAME_SITE', type: 'enum', values: ['auto', 'none'], default: 'auto' },
+  { path: 'cookies.domain', env: 'COOKIE_DOMAIN', type: 'string' },
+
+  // Firebase Admin
+  { path: 'firebase.projectId', env: 'FIREBASE_ADMIN_PROJECT_ID', type: 'string', required: usesFirebase },
+  { path: 'firebase.clientEmail', env: 'FIREBASE_ADMIN_CLIENT_EMAIL', type: 'string', required: usesFirebase },
+  { path: 'firebase.privateKey', env: 'FIREBASE_ADMIN_PRIVATE_KEY', type: 'privateKey', required: usesFirebase, secret: true },
+
+  // Submissions
+  { path: 'submissions.store', env: 'SUBMISSION_STORE', type: 'enum', values: ['sheets', 'firestore', 'file', 'mirrored'], default: 'sheets' },
+  { path: 'submissions.storeFile', env: 'SUBMISSION_STORE_FILE', type: 'string', default: 'data/submissions.json' },
+  { path: 'submissions.collection', env: 'SUBMISSIONS_COLLECTION', type: 'string', default: 'submissions' },
+  { path: 'submissions.opensAt', env: 'SUBMISSION_OPENS_AT', type: 'date' },
+  { path: 'submissions.closesAt', env: 'SUBMISSION_CLOSES_AT', type: 'date' },
+  { path: 'submissions.graceMinutes', env: 'SUBMISSION_GRACE_MINUTES', type: 'int', default: 0, min: 0 },
+  { path: 'submissions.editDeadline', env: 'SUBMISSION_EDIT_DEADLINE', type: 'date' },
+  { path: 'submissions.windowCacheSeconds', env: 'SUBMISSION_WINDOW_CACHE_SECONDS', type: 'int', default: 30, min: 0 },
+  { path: 'submissions.lockTtlMs', env: 'SUBMISSION_LOCK_TTL_MS', type: 'int', default: 30000, min: 1000 },
+  { path: 'submissions.lockWaitMs', env: 'SUBMISSION_LOCK_WAIT_MS', type: 'int', default: 15000, min: 0 },
+
+  // Google Sheets (only required when the store uses the sheet)
+  { path: 'sheets.sheetId', env: 'SHEET_ID', type: 'string', required: usesSheets },
+  { path: 'sheets.projectId', env: 'GOOGLE_PROJECT_ID', type: 'string', required: usesSheets },
+  { path: 'sheets.clientEmail', env: 'GOOGLE_CLIENT_EMAIL', type: 'string', required: usesSheets },
+  { path: 'sheets.privateKey', env: 'GOOGLE_PRIVATE_KEY', type: 'privateKey', required: usesSheets, secret: true },
+  { path: 'sheets.privateKeyId', env: 'GOOGLE_PRIVATE_KEY_ID', type: 'string', secret: true },
+  { path: 'sheets.clientId', env: 'GOOGLE_CLIENT_ID', type: 'string' },
+  { path: 'sheets.indexTtlSeconds', env: 'SHEET_INDEX_TTL_SECONDS', type: 'int', default: 60, min: 0 },
+  { path: 'sheetSync.maxAttempts', env: 'SHEET_SYNC_MAX_ATTEMPTS', type: 'int', default: 5, min: 1 },
+  { path: 'sheetSync.retryDelayMs', env: 'SHEET_SYNC_RETRY_DELAY_MS', type: 'int', default: 2000, min: 0 },
+
+  // Link checks
+  { path: 'linkChecks.enabled', env: 'LINK_CHECKS_ENABLED', type: 'bool', default: true },
+  { path: 'linkChecks.timeoutMs', env: 'LINK_CHECK_TIMEOUT_MS', type: 'int', default: 10000, min: 500 },
+  { path: 'linkChecks.githubApiUrl', env: 'GITHUB_API_URL', type: 'string', default: 'https://api.github.com' },
+  { path: 'linkChecks.githubToken', env: 'GITHUB_TOKEN', type: 'string', secret: true },
+  { path: 'linkChecks.eventStartsAt', env: 'EVENT_STARTS_AT', type: 'date' },
+
+  // Email notifications (transports in lib/mail/)
+  { path: 'mail.transport', env: 'MAIL_TRANSPORT', type: 'enum', values: ['none', 'console', 'file', 'smtp', 'api'], default: 'none' },
+  { path: 'mail.from', env: 'MAIL_FROM', type: 'string', required: sendsRealMail },
+  { path: 'mail.outboxFile', env: 'MAIL_OUTBOX_FILE', type: 'string', default: 'data/outbox.ndjson' },
+  { path: 'mail.smtpHost', env: 'SMTP_HOST', type: 'string', required: usesSmtp },
+  { path: 'mail.smtpPort', env: 'SMTP_PORT', type: 'int', default: 587, min: 1, max: 65535 },
+  { path: 'mail.smtpSecure', env: 'SMTP_SECURE', type: 'bool', default: false },
+  { path: 'mail.smtpUser', env: 'SMTP_USER', type: 'string' },
+  { path: 'mail.smtpPassword', env: 'SMTP_PASSWORD', type: 'string', secret: true },
+  { path: 'mail.apiUrl', env: 'MAIL_API_URL', type: 'string', required: usesMailApi },
+  { path: 'mail.apiKey', env: 'MAIL_API_KEY', type: 'string', required: usesMailApi, secret: true },
+  { path: 'mail.maxAttempts', env: 'MAIL_MAX_ATTEMPTS', type: 'int', default: 3, min: 1 },
+  { path: 'mail.retryDelayMs', env: 'MAIL_RETRY_DELAY_MS', type: 'int', default: 5000, min: 0 },
+  { path: 'reminders.hoursBefore', env: 'REMINDER_HOURS_BEFORE', type: 'intList', default: [24, 1], min: 1 },
+  { path: 'reminders.checkIntervalSeconds', env: 'REMINDER_CHECK_INTERVAL_SECONDS', type: 'int', default: 300, min: 10 },
+
+  // Outgoing webhooks (endpoints are managed by admins, see lib/webhooks.js)
+  { path: 'webhooks.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: 'int', default: 6, min: 1 },
+  { path: 'webhooks.retryDelayMs', env: 'WEBHOOK_RETRY_DELAY_MS', type: 'int', default: 5000, min: 0 },
+  { path: 'webhooks.timeoutMs', env: 'WEBHOOK_TIMEOUT_MS', type: 'int', default: 10000, min: 500 },
+
+  // Rate limiting (policies in middlewares/rate_limit_middlewares.js)
+  { path: 'rateLimit.store', env: 'RATE_LIMIT_STORE', type: 'enum', values: ['memory', 'redis'], default: 'memory' },
+  { path: 'rateLimit.redisUrl', env: 'RATE_LIMIT_REDIS_URL', type: 'string', required: usesRedisRateLimit, secret: true },
+  { path: 'rateLimit.allowlist', env: 'RATE_LIMIT_ALLOWLIST', type: 'ipList', default: [] },
+  { path: 'rateLimit.authMax', env: 'RATE_LIMIT_AUTH_MAX', type: 'int', default: 20, min: 1 },
+  { path: 'rateLimit.publicMax', env: 'RATE_LIMIT_MAX', type: 'int', default: 200, min: 1 },
+  { path: 'rateLimit.unauthorizedMax', env: 'RATE_LIMIT_UNAUTHORIZED_MAX', type: 'int', default: 100, min: 1 },
+  { path: 'rateLimit.readMax', env: 'RATE_LIMIT_READ_MAX', type: 'int', default: 300, min: 1 },
+  { path: 'rateLimit.submitMax', env: 'RATE_LIMIT_SUBMIT_MAX', type: 'int', default: 30, min: 1 },
+
+  // Team registration lookups (lib/teamLookup.js); a TTL of 0 turns the cache off
+  { path: 'teamCache.ttlSeconds', env: 'TEAM_CACHE_TTL_SECONDS', type: 'int', default: 300, min: 0 },
+  { path: 'teamCache.listener', env: 'TEAM_CACHE_LISTENER', type: 'bool', default: true },
+
+  // Server-Sent Events streams (GET /api/users/events and /api/admin/events)
+  { path: 'events.heartbeatSeconds', env: 'SSE_HEARTBEAT_SECONDS', type: 'int', default: 25, min: 1 },
+  { path: 'events.countdownSeconds', env: 'SSE_COUNTDOWN_SECONDS', type: 'int', default: 30, min: 1 },
+  { path: 'events.adminCountsSeconds', env: 'SSE_ADMIN_COUNTS_SECONDS', type: 'int', default: 60, min: 5 },
+  { path: 'events.maxStreamsPerTeam', env: 'SSE_MAX_STREAMS_PER_TEAM', type: 'int', default: 10, min: 1 },
+  // How often a stream re-checks that its session hasn't been revoked
+  { path: 'events.sessionCheckSeconds', env: 'SSE_SESSION_CHECK_SECONDS', type: 'int', default: 60, min: 1 },
+
+  // Health probes
+  { path: 'health.checkTimeoutMs', env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'int', default: 3000, min: 100 },
+  { path: 'health.readinessCacheSeconds', env: 'READINESS_CACHE_SECONDS', type: 'int', default: 5, min: 0 },
+];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, object);
+  parent[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Convert a raw env string to the setting's type
+ * Returns { value } or { error }
+ */
+const parseValue = (setting, raw) => {
+  switch (setting.type) {
+    case 'int': {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) {
+        return { error: `${setting.env} must be an integer` };
+      }
+      if ((setting.min !== undefined && value < setting.min) || (setting.max !== undefined && value > setting.max)) {
+        return { error: `${setting.env} must be between ${setting.min ?? '-∞'} and ${setting.max ?? '∞'}` };
+      }
+      return { value };
+    }
+    case 'intList': {
+      // Comma-separated, e.g. "24,1"
+      const values = raw.split(',').map((part) => part.trim()).filter(Boolean).map(Number);
+      if (values.some((value) => !Number.isInteger(value) || (setting.min !== undefined && value < setting.min))) {
+        return { error: `${setting.env} must be a comma-separated list of integers${setting.min !== undefined ? ` of at least ${setting.min}` : ''}` };
+      }
+      return { value: values };
+    }
+    case 'ipList': {
+      // Comma-separated addresses or CIDR ranges, e.g. "203.0.113.7,198.51.100.0/24"
+      const values = raw.split(',').map((part) => part.trim()).filter(Boolean);
+      const invalid = values.filter((value) => {
+        const [address, prefix, ...rest] = value.split('/');
+        const version = net.isIP(address);
+        if (!version || rest.length > 0) {
+          return true;
+        }
+        return prefix !== undefined
+          && !(/^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128));
+      });
+      if (invalid.length > 0) {
+        return { error: `${setting.env} must be a comma-separated list of IP addresses or CIDR ranges (invalid: ${invalid.join(', ')})` };
+      }
+      return { value: values };
+    }
+    case 'bool': {
+      const normalized = raw.toLowerCase();
+      if (['true', '1', 'yes'].includes(normalized)) {
+        return { value: true };
+      }
+      if (['false', '0', 'no'].includes(normalized)) {
+        return { value: false };
+      }
+      return { error: `${setting.env} must be true or false` };
+    }
+    case 'enum': {
+      const value = raw.toLowerCase();
+      return setting.values.includes(value)
+        ? { value }
+        : { error: `${setting.env} must be one of: ${setting.values.join(', ')}` };
+    }
+    case 'date':
+      return Number.isNaN(new Date(raw).getTime())
+        ? { error: `${setting.env} must be an ISO 8601 date` }
+        : { value: raw };
+    case 'url':
+      try {
+        return { value: new URL(raw).origin };
+      } catch (error) {
+        return { error: `${setting.env} must be a URL such as https://example.com` };
+      }
+    case 'privateKey':
+      return { value: raw.replace(/\\n/g, '\n') };
+    default:
+      return { value: raw };
+  }
+};
+
+/**
+ * Build and validate the configuration from an environment
+ * Returns { config, problems }
+ */
+export const loadConfig = (env = process.env) => {
+  const problems = [];
+  const profile = (env.APP_ENV || env.NODE_ENV || 'development').toLowerCase();
+  if (!PROFILES.includes(profile)) {
+    problems.push(`APP_ENV/NODE_ENV must be one of: ${PROFILES.join(', ')}`);
+  }
+  const profileDefaults = PROFILE_DEFAULTS[profile] || PROFILE_DEFAULTS.development;
+
+  const config = { profile, isProduction: profile === 'production' };
+
+  // Parse everything first; required checks may depend on other settings
+  SETTINGS.forEach((setting) => {
+    const raw = env[setting.env];
+    if (raw === undefined || raw === '') {
+      setPath(config, setting.path, profileDefaults[setting.path] ?? setting.default ?? null);
+      return;
+    }
+    const { value, error } = parseValue(setting, raw.trim());
+    if (error) {
+      problems.push(error);
+    }
+    setPath(config, setting.path, error ? null : value);
+  });
+
+  SETTINGS.forEach((setting) => {
+    const required = typeof setting.required === 'function' ? setting.required(config) : setting.required;
+    if (required && getPath(config, setting.path) === null) {
+      problems.push(`${setting.env} is required`);
+    }
+  });
+
+  // Cross-field rules
+  if (config.isProduction && config.auth.jwtSecret && config.auth.jwtSecret.length < 32) {
+    problems.push('JWT_SECRET must be at least 32 characters in production');
+  }
+  if (config.isProduction && config.auth.allowLegacyUidLogin) {
+    problems.push('ALLOW_LEGACY_UID_LOGIN cannot be enabled in production');
+  }
+  const { opensAt, closesAt } = config.submissions;
+  if (opensAt && closesAt && new Date(opensAt) >= new Date(closesAt)) {
+    problems.push('SUBMISSION_OPENS_AT must be before SUBMISSION_CLOSES_AT');
+  }
+
+  // Origins allowed by CORS; the Vite dev server is allowed outside production
+  config.server.allowedOrigins = [
+    ...(config.server.clientOrigin ? [config.server.clientOrigin] : []),
+    ...(config.isProduction ? [] : ['http://localhost:5173']),
+  ];
+
+  return { config, problems };
+};
+
+/**
+ * The effective configuration with secrets masked, for logging at boot
+ */
+export const getConfigSummary = (source) => {
+  const summary = { profile: source.profile };
+  SETTINGS.forEach((setting) => {
+    const value = getPath(source, setting.path);
+    let shown = value;
+    if (setting.secret && value) {
+      shown = `**** (${String(value).length} chars)`;
+    }
+    setPath(summary, setting.path, shown);
+  });
+  summary.server.allowedOrigins = source.server.allowedOrigins;
+  return summary;
+};
+
+const loaded = loadConfig();
+
+if (loaded.problems.length > 0) {
+  const error = new Error(
+    `Invalid configuration (${loaded.problems.length} problem${loaded.problems.length > 1 ? 's' : ''}):\n`
+    + loaded.problems.map((problem) => `  - ${problem}`).join('\n')
+  );
+  error.problems = loaded.problems;
+  throw error;
+}
+
+const deepFreeze = (object) => {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+};
+
+export const config = deepFreeze(loaded.config);
+
+/**
+ * Whether the configured submission store reads or writes the spreadsheet
+ */
+export const usesSheetsStore = () => usesSheets(config);
@@ -0,0 +1,189 @@
+import { firestore } from '../firebase.js';
+
+/**
+ * Email templates
+ * Each template has a subject, a plain-text body and an HTML body. The
+ * defaults below can be overridden by admins; overrides are stored in the
+ * `emailTemplates` collection (keyed by template id) and deleting one goes
+ * back to the default.
+ *
+ * Placeholders: {{name}} inserts a variable (HTML-escaped in the HTML body);
+ * {{{name}}} inserts it unescaped and is only allowed for the template's
+ * rawVariables, which the server builds itself.
+ */
+
+const TEMPLATES_COLLECTION = 'emailTemplates';
+
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 20000;
+
+const PLACEHOLDER_PATTERN = /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+export const DEFAULT_TEMPLATES = {
+  submissionReceipt: {
+    description: 'Sent to the leader and every member when a team submits',
+    variables: ['teamName', 'teamId', 'leaderName', 'submissionTime', 'lateNotice', 'links', 'description'],
+    rawVariables: ['linksHtml'],
+    subject: 'Submission received: {{teamName}}',
+    text: [
+      'Hi {{teamName}},',
+      '',
+      'We received your submission at {{submissionTime}}.{{lateNotice}}',
+      '',
+      '{{links}}',
+      '',
+      'Description:',
+      '{{description}}',
+      '',
+      'Team id: {{teamId}}',
+    ].join('\n'),
+    html: [
+      '<p>Hi {{teamName}},</p>',
+      '<p>We received your submission at {{submissionTime}}.{{lateNotice}}</p>',
+      '{{{linksHtml}}}',
+      '<p><strong>Description:</strong><br>{{description}}</p>',
+      '<p>Team id: {{teamId}}</p>',
+    ].join('\n'),
+  },
+  deadlineReminder: {
+    description: 'Sent to confirmed teams without a submission as the deadline approaches',
+    variables: ['teamName', 'teamId', 'deadline', 'timeLeft', 'submitUrl'],
+    rawVariables: [],
+    subject: 'Reminder: {{timeLeft}} left to submit',
+    text: [
+      'Hi {{teamName}},',
+      '',
+      'Submissions close at {{deadline}} ({{timeLeft}} from now) and we haven\'t received yours yet.',
+      '',
+      'Submit here: {{submitUrl}}',
+    ].join('\n'),
+    html: [
+      '<p>Hi {{teamName}},</p>',
+      '<p>Submissions close at {{deadline}} ({{timeLeft}} from now) and we haven\'t received yours yet.</p>',
+      '<p><a href="{{submitUrl}}">Submit your project</a></p>',
+    ].join('\n'),
+  },
+};
+
+export const TEMPLATE_IDS = Object.keys(DEFAULT_TEMPLATES);
+
+const templatesRef = () => firestore.collection(TEMPLATES_COLLECTION);
+
+/**
+ * Escape text for an HTML body
+ */
+export const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Fill in a template string
+ */
+const fill = (source, variables, { html = false } = {}) => source.replace(
+  PLACEHOLDER_PATTERN,
+  (match, rawName, name) => {
+    const value = String(variables[rawName || name] ?? '');
+    return html && !rawName ? escapeHtml(value) : value;
+  }
+);
+
+/**
+ * Get a template: the admin override if there is one, otherwise the default
+ * Returns { id, subject, text, html, customized, updatedAt, updatedBy, ...definition }
+ */
+export const getTemplate = async (templateId) => {
+  const definition = DEFAULT_TEMPLATES[templateId];
+  if (!definition) {
+    return null;
+  }
+  const doc = await templatesRef().doc(templateId).get();
+  const override = doc.exists ? doc.data() : null;
+  return {
+    id: templateId,
+    ...definition,
+    ...(override && {
+      subject: override.subject,
+      text: override.text,
+      html: override.html,
+      updatedAt: override.updatedAt,
+      updatedBy: override.updatedBy,
+    }),
+    customized: Boolean(override),
+  };
+};
+
+/**
+ * Render a template with variables
+ * Returns { subject, text, html }
+ */
+export const renderTemplate = (template, variables) => ({
+  // Line breaks in a subject would start new mail headers
+  subject: fill(template.subject, variables).replace(/[\r\n]+/g, ' ').trim(),
+  text: fill(template.text, variables),
+  html: template.html ? fill(template.html, variables, { html: true }) : undefined,
+});
+
+/**
+ * Check an edited template
+ * Returns a list of error messages (empty when valid)
+ */
+export const validateTemplate = (templateId, { subject, text, html }) => {
+  const definition = DEFAULT_TEMPLATES[templateId];
+  const errors = [];
+
+  if (typeof subject !== 'string' || !subject.trim()) {
+    errors.push('subject is required and must be a non-empty string');
+  } else if (subject.length > MAX_SUBJECT_LENGTH) {
+    errors.push(`subject must be less than ${MAX_SUBJECT_LENGTH} characters`);
+  }
+  if (typeof text !== 'string' || !text.trim()) {
+    errors.push('text is required and must be a non-empty string');
+  } else if (text.length > MAX_BODY_LENGTH) {
+    errors.push(`text must be less than ${MAX_BODY_LENGTH} characters`);
+  }
+  if (html !== undefined && html !== null && typeof html !== 'string') {
+    errors.push('html must be a string');
+  } else if (typeof html === 'string' && html.length > MAX_BODY_LENGTH) {
+    errors.push(`html must be less than ${MAX_BODY_LENGTH} characters`);
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  Object.entries({ subject, text, html: html || '' }).forEach(([part, source]) => {
+    for (const [, rawName, name] of source.matchAll(PLACEHOLDER_PATTERN)) {
+      if (rawName && !(part === 'html' && definition.rawVariables.includes(rawName))) {
+        errors.push(`${part}: {{{${rawName}}}} is not allowed; use {{${rawName}}}`);
+      } else if (name && !definition.variables.includes(name)) {
+        errors.push(`${part}: unknown variable {{${name}}} (available: ${definition.variables.join(', ')})`);
+      }
+    }
+  });
+  return errors;
+};
+
+/**
+ * Save an admin override of a template
+ */
+export const saveTemplate = async (templateId, { subject, text, html }, actorUid) => {
+  const override = {
+    subject: subject.trim(),
+    text,
+    html: html || '',
+    updatedAt: new Date().toISOString(),
+    updatedBy: actorUid || null,
+  };
+  await templatesRef().doc(templateId).set(override);
+  return getTemplate(templateId);
+};
+
+/**
+ * Drop an admin override, going back to the default template
+ */
+export const resetTemplate = async (templateId) => {
+  await templatesRef().doc(templateId).delete();
+  return getTemplate(templateId);
+};
@@ -1,37 +1,58 @@
 import { google } from 'googleapis';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { SHEET_COLUMNS } from './submissionSchema.js';
+
+// Sheets client is reused so every request doesn't fetch a new access token
+let sheetsClient = null;
+let sheetsAuth = null;
+
+// Layouts of sheets already checked by ensureSheetExists ("<spreadsheetId>/<sheetName>" -> layout)
+const sheetLayouts = new Map();
+
+// teamId -> 1-indexed row number, built from the Team id column
+const teamRowIndex = new Map();
+let teamRowIndexLoadedAt = 0;
+let teamRowIndexLoading = null;
+// Rows appended while the index is being rebuilt (teamId -> row number), merged in
+// afterwards since the Team id column may have been read before they were added
+let rowsAppendedDuringLoad = null;
+// Bumped when rows are deleted, so a rebuild that overlapped a delete is thrown away
+let teamRowIndexGeneration = 0;
+// A lookup miss re-reads the Team id column if the index is older than this,
+// so rows appended by another instance (or by hand) are picked up
+const TEAM_ROW_INDEX_TTL_MS = config.sheets.indexTtlSeconds * 1000;
 
 /**
  * Initialize Google Sheets API client with service account credentials
  */
 const getSheetsClient = () => {
+  if (sheetsClient) {
+    return sheetsClient;
+  }
+
   try {
-    // Validate required environment variables
-    if (!process.env.GOOGLE_PROJECT_ID) {
-      throw new Error('GOOGLE_PROJECT_ID environment variable is not set');
-    }
-    if (!process.env.GOOGLE_CLIENT_EMAIL) {
-      throw new Error('GOOGLE_CLIENT_EMAIL environment variable is not set');
-    }
-    if (!process.env.GOOGLE_PRIVATE_KEY) {
-      throw new Error('GOOGLE_PRIVATE_KEY environment variable is not set');
+    // Credentials are only required (and validated at boot) when the store uses the sheet
+    if (!config.sheets.projectId || !config.sheets.clientEmail || !config.sheets.privateKey) {
+      throw new Error('Google Sheets credentials are not configured (GOOGLE_PROJECT_ID, GOOGLE_CLIENT_EMAIL, GOOGLE_PRIVATE_KEY)');
     }
 
     // Build credentials object
     const credentials = {
       type: 'service_account',
-      project_id: process.env.GOOGLE_PROJECT_ID,
-      private_key_id: process.env.GOOGLE_PRIVATE_KEY_ID,
-      private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-      client_email: process.env.GOOGLE_CLIENT_EMAIL,
+      project_id: config.sheets.projectId,
+      private_key_id: config.sheets.privateKeyId,
+      private_key: config.sheets.privateKey,
+      client_email: config.sheets.clientEmail,
       auth_uri: 'https://accounts.google.com/o/oauth2/auth',
       token_uri: 'https://oauth2.googleapis.com/token',
       auth_provider_x509_cert_url: 'https://www.googleapis.com/oauth2/v1/certs',
-      client_x509_cert_url: `https://www.googleapis.com/robot/v1/metadata/x509/${encodeURIComponent(process.env.GOOGLE_CLIENT_EMAIL || '')}`,
+      client_x509_cert_url: `https://www.googleapis.com/robot/v1/metadata/x509/${encodeURIComponent(config.sheets.clientEmail)}`,
     };
 
     // Add client_id if available (optional for service accounts)
-    if (process.env.GOOGLE_CLIENT_ID) {
-      credentials.client_id = process.env.GOOGLE_CLIENT_ID;
+    if (config.sheets.clientId) {
+      credentials.client_id = config.sheets.clientId;
     }
 
     const auth = new google.auth.GoogleAuth({
@@ -39,30 +60,67 @@ const getSheetsClient = () => {
       scopes: ['https://www.googleapis.com/auth/spreadsheets'],
     });
 
-    const sheets = google.sheets({ version: 'v4', auth });
-    return sheets;
+    sheetsAuth = auth;
+    sheetsClient = google.sheets({ version: 'v4', auth });
+    return sheetsClient;
   } catch (error) {
-    console.error('[GOOGLE SHEETS] Error initializing client:', error);
+    logger.error('[GOOGLE SHEETS] Error initializing client', { error });
     error.status = 500;
     throw error;
   }
 };
 
 /**
- * Get the spreadsheet ID from environment variable
+ * Get the spreadsheet ID from the app configuration
  */
 const getSpreadsheetId = () => {
-  const sheetId = process.env.SHEET_ID;
+  const sheetId = config.sheets.sheetId;
   if (!sheetId) {
-    throw new Error('SHEET_ID environment variable is not set');
+    throw new Error('SHEET_ID is not configured');
   }
   return sheetId;
 };
 
+/**
+ * Convert a 0-indexed column number to its letter (0 -> A, 26 -> AA)
+ */
+const columnLetter = (index) => {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+/**
+ * Build a sheet layout from its header row
+ * Columns are found by header, so columns reordered or added by hand keep working
+ */
+const buildLayout = (sheetName, headers) => {
+  const columns = new Map();
+  SHEET_COLUMNS.forEach((column) => {
+    columns.set(column.key, headers.indexOf(column.header));
+  });
+  return {
+    sheetName,
+    columns,
+    width: headers.length,
+    lastColumn: columnLetter(headers.length - 1),
+    teamIdIndex: columns.get('teamId'),
+  };
+};
+
 /**
  * Get or create the main sheet with headers
+ * Returns the sheet layout: { sheetName, columns (key -> index), width, lastColumn, teamIdIndex }
+ * Schema columns missing from an existing sheet are appended to the right of its headers
  */
 const ensureSheetExists = async (sheets, spreadsheetId, sheetName = 'Submissions') => {
+  const cacheKey = `${spreadsheetId}/${sheetName}`;
+  if (sheetLayouts.has(cacheKey)) {
+    return sheetLayouts.get(cacheKey);
+  }
+
   try {
     // Try to get the sheet
     let spreadsheet;
@@ -73,7 +131,7 @@ const ensureSheetExists = async (sheets, spreadsheetId, sheetName = 'Submissions
     } catch (error) {
       if (error.code === 403 || error.code === 404) {
         const err = new Error(
-          `Access denied or spreadsheet not found. Please ensure the spreadsheet is shared with the service account: ${process.env.GOOGLE_CLIENT_EMAIL}`
+          `Access denied or spreadsheet not found. Please ensure the spreadsheet is shared with the service account: ${config.sheets.clientEmail}`
         );
         err.status = 403;
         err.code = error.code;
@@ -87,6 +145,7 @@ const ensureSheetExists = async (sheets, spreadsheetId, sheetName = 'Submissions
       (sheet) => sheet.properties.title === sheetName
     );
 
+    let existingHeaders = [];
     if (!sheetExists) {
       // Create the sheet
       await sheets.spreadsheets.batchUpdate({
@@ -103,115 +162,216 @@ const ensureSheetExists = async (sheets, spreadsheetId, sheetName = 'Submissions
           ],
         },
       });
+    } else {
+      const headerRange = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${sheetName}!1:1`,
+      });
+      existingHeaders = (headerRange.data.values?.[0] || []).map((header) => String(header).trim());
+    }
 
-      // Add headers
+    // Add headers for schema columns the sheet doesn't have yet (all of them for a new sheet)
+    const missingHeaders = SHEET_COLUMNS
+      .map((column) => column.header)
+      .filter((header) => !existingHeaders.includes(header));
+    if (missingHeaders.length > 0) {
+      const firstColumn = columnLetter(existingHeaders.length);
+      const lastColumn = columnLetter(existingHeaders.length + missingHeaders.length - 1);
       await sheets.spreadsheets.values.update({
         spreadsheetId,
-        range: `${sheetName}!A1:J1`,
+        range: `${sheetName}!${firstColumn}1:${lastColumn}1`,
         valueInputOption: 'RAW',
         requestBody: {
-          values: [
-            [
-              'Submission Time',
-              'Team name',
-              'Team id',
-              'Leader name',
-              'Leader\'s phone',
-              'Leader\'s email',
-              'Github link',
-              'PPT link',
-              'Video link',
-              'Description',
-            ],
-          ],
+          values: [missingHeaders],
         },
       });
-    } else {
-      // Check if headers exist
-      const headerRange = await sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: `${sheetName}!A1:J1`,
-      });
+      if (existingHeaders.length > 0) {
+        logger.info('[GOOGLE SHEETS] Added missing columns', { sheetName, columns: missingHeaders });
+      }
+    }
 
-      if (!headerRange.data.values || headerRange.data.values.length === 0) {
-        // Add headers if they don't exist
-        await sheets.spreadsheets.values.update({
+    const layout = buildLayout(sheetName, [...existingHeaders, ...missingHeaders]);
+    sheetLayouts.set(cacheKey, layout);
+    return layout;
+  } catch (error) {
+    logger.error('[GOOGLE SHEETS] Error ensuring sheet exists', { error });
+    throw error;
+  }
+};
+
+/**
+ * Map a sheet row to submission data
+ */
+const rowToData = (row, layout) => Object.fromEntries(SHEET_COLUMNS.map((column) => {
+  const cell = row[layout.columns.get(column.key)] ?? '';
+  return [column.key, column.fromCell ? column.fromCell(cell) : cell];
+}));
+
+/**
+ * Map submission data to a row in the sheet's column order
+ * Columns that aren't in the schema (e.g. added by hand) are null, so updates leave them alone
+ */
+const dataToRow = (data, layout) => {
+  const row = new Array(layout.width).fill(null);
+  SHEET_COLUMNS.forEach((column) => {
+    const value = data[column.key];
+    row[layout.columns.get(column.key)] = column.toCell ? column.toCell(value) : (value ?? '');
+  });
+  return row;
+};
+
+/**
+ * Rebuild the teamId -> row index from the Team id column
+ * Concurrent callers share the same read
+ */
+const loadTeamRowIndex = (sheets, spreadsheetId, layout) => {
+  if (!teamRowIndexLoading) {
+    teamRowIndexLoading = (async () => {
+      const generation = teamRowIndexGeneration;
+      rowsAppendedDuringLoad = new Map();
+      try {
+        const teamIdColumn = columnLetter(layout.teamIdIndex);
+        const response = await sheets.spreadsheets.values.get({
           spreadsheetId,
-          range: `${sheetName}!A1:J1`,
-          valueInputOption: 'RAW',
-          requestBody: {
-            values: [
-              [
-                'Submission Time',
-                'Team name',
-                'Team id',
-                'Leader name',
-                'Leader\'s phone',
-                'Leader\'s email',
-                'Github link',
-                'PPT link',
-                'Video link',
-                'Description',
-              ],
-            ],
-          },
+          range: `${layout.sheetName}!${teamIdColumn}:${teamIdColumn}`,
         });
+
+        // Rows moved while we were reading; leave the index empty so the next lookup reloads it
+        if (generation !== teamRowIndexGeneration) {
+          return;
+        }
+
+        const values = response.data.values || [];
+        const rebuilt = new Map();
+        // Skip the header row; keep the first row if a teamId appears twice
+        for (let i = 1; i < values.length; i++) {
+          const teamId = values[i]?.[0];
+          if (teamId && !rebuilt.has(teamId)) {
+            rebuilt.set(teamId, i + 1);
+          }
+        }
+        rowsAppendedDuringLoad.forEach((rowNumber, teamId) => {
+          if (!rebuilt.has(teamId)) {
+            rebuilt.set(teamId, rowNumber);
+          }
+        });
+
+        teamRowIndex.clear();
+        rebuilt.forEach((rowNumber, teamId) => teamRowIndex.set(teamId, rowNumber));
+        teamRowIndexLoadedAt = Date.now();
+      } finally {
+        rowsAppendedDuringLoad = null;
+        teamRowIndexLoading = null;
       }
-    }
+    })();
+  }
+  return teamRowIndexLoading;
+};
 
-    return sheetName;
+/**
+ * Read a single row by its 1-indexed row number
+ */
+const readRow = async (sheets, spreadsheetId, layout, rowNumber) => {
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${layout.sheetName}!A${rowNumber}:${layout.lastColumn}${rowNumber}`,
+  });
+  return response.data.values?.[0] || [];
+};
+
+/**
+ * Readiness probe: build the Sheets client and fetch an access token with its credentials
+ */
+export const checkSheetsCredentials = async () => {
+  getSheetsClient();
+  await sheetsAuth.getAccessToken();
+};
+
+/**
+ * Readiness probe: check the spreadsheet is reachable with one metadata read
+ * (sheet titles only); the cached sheet layout is left alone
+ */
+export const checkSpreadsheetAccess = async () => {
+  const sheets = getSheetsClient();
+  try {
+    await sheets.spreadsheets.get({
+      spreadsheetId: getSpreadsheetId(),
+      fields: 'sheets.properties.title',
+    });
   } catch (error) {
-    console.error('[GOOGLE SHEETS] Error ensuring sheet exists:', error);
+    if (error.code === 403 || error.code === 404) {
+      throw new Error(
+        `Access denied or spreadsheet not found. Please ensure the spreadsheet is shared with the service account: ${config.sheets.clientEmail}`
+      );
+    }
     throw error;
   }
 };
 
+/**
+ * Load the teamId -> row index ahead of the first request
+ */
+export const warmTeamRowIndex = async () => {
+  try {
+    const sheets = getSheetsClient();
+    const spreadsheetId = getSpreadsheetId();
+    const layout = await ensureSheetExists(sheets, spreadsheetId);
+    await loadTeamRowIndex(sheets, spreadsheetId, layout);
+    logger.info('[GOOGLE SHEETS] Team row index loaded', { teams: teamRowIndex.size });
+  } catch (error) {
+    logger.error('[GOOGLE SHEETS] Error warming team row index', { error });
+  }
+};
+
 /**
  * Find a row by teamId
  * Returns the row number (1-indexed) and data if found, null otherwise
+ * Uses the teamId -> row index, so a hit costs a single row read. With
+ * { fresh: true } a miss always re-reads the Team id column; use it before
+ * appending, since another instance may have added the row since this
+ * instance's index was loaded
  */
-export const findRowByTeamId = async (teamId) => {
+export const findRowByTeamId = async (teamId, { fresh = false } = {}) => {
   try {
     const sheets = getSheetsClient();
     const spreadsheetId = getSpreadsheetId();
-    const sheetName = await ensureSheetExists(sheets, spreadsheetId);
+    const layout = await ensureSheetExists(sheets, spreadsheetId);
 
-    // Get all values from the sheet
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${sheetName}!A:J`,
-    });
+    const isIndexStale = fresh || Date.now() - teamRowIndexLoadedAt > TEAM_ROW_INDEX_TTL_MS;
+    if (!teamRowIndexLoadedAt || (!teamRowIndex.has(teamId) && isIndexStale)) {
+      // A rebuild already in flight may have read the column before this call
+      if (fresh && teamRowIndexLoading) {
+        await teamRowIndexLoading.catch(() => {});
+      }
+      await loadTeamRowIndex(sheets, spreadsheetId, layout);
+    }
 
-    const values = response.data.values;
-    if (!values || values.length < 2) {
-      return null; // No data rows (only headers)
+    let rowNumber = teamRowIndex.get(teamId);
+    if (!rowNumber) {
+      return null;
     }
 
-    // Find the row with matching teamId (column C, index 2)
-    // Column order: Submission Time (0), Team name (1), Team id (2), Leader name (3), Leader's phone (4), Leader's email (5), Github link (6), PPT link (7), Video link (8), Description (9)
-    for (let i = 1; i < values.length; i++) {
-      if (values[i][2] === teamId) {
-        return {
-          rowNumber: i + 1, // 1-indexed row number
-          data: {
-            submissionTime: values[i][0] || '',
-            teamName: values[i][1] || '',
-            teamId: values[i][2] || '',
-            leaderName: values[i][3] || '',
-            leaderPhone: values[i][4] || '',
-            leaderEmail: values[i][5] || '',
-            githubLink: values[i][6] || '',
-            pptLink: values[i][7] || '',
-            videoLink: values[i][8] || '',
-            description: values[i][9] || '',
-          },
-        };
+    let row = await readRow(sheets, spreadsheetId, layout, rowNumber);
+
+    // Rows moved (e.g. the sheet was sorted or edited by hand): rebuild and retry once
+    if (row[layout.teamIdIndex] !== teamId) {
+      await loadTeamRowIndex(sheets, spreadsheetId, layout);
+      rowNumber = teamRowIndex.get(teamId);
+      if (!rowNumber) {
+        return null;
+      }
+      row = await readRow(sheets, spreadsheetId, layout, rowNumber);
+      if (row[layout.teamIdIndex] !== teamId) {
+        return null;
       }
     }
 
-    return null;
+    return {
+      rowNumber,
+      data: rowToData(row, layout),
+    };
   } catch (error) {
-    console.error('[GOOGLE SHEETS] Error finding row by teamId:', error);
+    logger.error('[GOOGLE SHEETS] Error finding row by teamId', { error });
     throw error;
   }
 };
@@ -223,28 +383,14 @@ export const addRowToSheet = async (data) => {
   try {
     const sheets = getSheetsClient();
     const spreadsheetId = getSpreadsheetId();
-    const sheetName = await ensureSheetExists(sheets, spreadsheetId);
-
-    // Column order: Submission Time, Team name, Team id, Leader name, Leader's phone, Leader's email, Github link, PPT link, Video link, Description
-    const values = [
-      [
-        data.submissionTime || '',
-        data.teamName || '',
-        data.teamId || '',
-        data.leaderName || '',
-        data.leaderPhone || '',
-        data.leaderEmail || '',
-        data.githubLink || '',
-        data.pptLink || '',
-        data.videoLink || '',
-        data.description || '',
-      ],
-    ];
+    const layout = await ensureSheetExists(sheets, spreadsheetId);
+
+    const values = [dataToRow(data, layout)];
 
     // Append the row
-    await sheets.spreadsheets.values.append({
+    const response = await sheets.spreadsheets.values.append({
       spreadsheetId,
-      range: `${sheetName}!A:J`,
+      range: `${layout.sheetName}!A:${layout.lastColumn}`,
       valueInputOption: 'RAW',
       insertDataOption: 'INSERT_ROWS',
       requestBody: {
@@ -252,9 +398,21 @@ export const addRowToSheet = async (data) => {
       },
     });
 
+    // Record the new row in the index (updatedRange looks like "Submissions!A12:N12")
+    const appendedRow = response.data.updates?.updatedRange?.match(/![A-Z]+(\d+)/);
+    if (appendedRow && data.teamId) {
+      const rowNumber = Number(appendedRow[1]);
+      if (!teamRowIndex.has(data.teamId)) {
+        teamRowIndex.set(data.teamId, rowNumber);
+      }
+      if (rowsAppendedDuringLoad && !rowsAppendedDuringLoad.has(data.teamId)) {
+        rowsAppendedDuringLoad.set(data.teamId, rowNumber);
+      }
+    }
+
     return { success: true, message: 'Data added to sheet successfully' };
   } catch (error) {
-    console.error('[GOOGLE SHEETS] Error adding row to sheet:', error);
+    logger.error('[GOOGLE SHEETS] Error adding row to sheet', { error });
     throw error;
   }
 };
@@ -266,28 +424,14 @@ export const updateRowInSheet = async (rowNumber, data) => {
   try {
     const sheets = getSheetsClient();
     const spreadsheetId = getSpreadsheetId();
-    const sheetName = await ensureSheetExists(sheets, spreadsheetId);
-
-    // Column order: Submission Time, Team name, Team id, Leader name, Leader's phone, Leader's email, Github link, PPT link, Video link, Description
-    const values = [
-      [
-        data.submissionTime || '',
-        data.teamName || '',
-        data.teamId || '',
-        data.leaderName || '',
-        data.leaderPhone || '',
-        data.leaderEmail || '',
-        data.githubLink || '',
-        data.pptLink || '',
-        data.videoLink || '',
-        data.description || '',
-      ],
-    ];
+    const layout = await ensureSheetExists(sheets, spreadsheetId);
+
+    const values = [dataToRow(data, layout)];
 
     // Update the row
     await sheets.spreadsheets.values.update({
       spreadsheetId,
-      range: `${sheetName}!A${rowNumber}:J${rowNumber}`,
+      range: `${layout.sheetName}!A${rowNumber}:${layout.lastColumn}${rowNumber}`,
       valueInputOption: 'RAW',
       requestBody: {
         values,
@@ -296,7 +440,118 @@ export const updateRowInSheet = async (rowNumber, data) => {
 
     return { success: true, message: 'Data updated in sheet successfully' };
   } catch (error) {
-    console.error('[GOOGLE SHEETS] Error updating row in sheet:', error);
+    logger.error('[GOOGLE SHEETS] Error updating row in sheet', { error });
+    throw error;
+  }
+};
+
+/**
+ * Get all submission rows
+ * Reads the whole sheet - only meant for admin listings and exports
+ */
+export const getAllRows = async () => {
+  try {
+    const sheets = getSheetsClient();
+    const spreadsheetId = getSpreadsheetId();
+    const layout = await ensureSheetExists(sheets, spreadsheetId);
+
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${layout.sheetName}!A:${layout.lastColumn}`,
+    });
+
+    const values = response.data.values || [];
+    // Skip the header row and blank rows
+    return values
+      .slice(1)
+      .filter((row) => row[layout.teamIdIndex])
+      .map((row) => rowToData(row, layout));
+  } catch (error) {
+    logger.error('[GOOGLE SHEETS] Error getting all rows', { error });
+    throw error;
+  }
+};
+
+/**
+ * Iterate over all submission rows, reading the sheet in batches
+ * Used by exports so large sheets are never held in memory at once
+ */
+export async function* iterateRows(batchSize = 500) {
+  const sheets = getSheetsClient();
+  const spreadsheetId = getSpreadsheetId();
+  const layout = await ensureSheetExists(sheets, spreadsheetId);
+
+  // Data starts below the header row
+  let startRow = 2;
+  while (true) {
+    const endRow = startRow + batchSize - 1;
+    let response;
+    try {
+      response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${layout.sheetName}!A${startRow}:${layout.lastColumn}${endRow}`,
+      });
+    } catch (error) {
+      logger.error('[GOOGLE SHEETS] Error reading rows', { startRow, endRow, error });
+      throw error;
+    }
+
+    const values = response.data.values || [];
+    for (const row of values) {
+      if (row[layout.teamIdIndex]) {
+        yield rowToData(row, layout);
+      }
+    }
+
+    // Trailing empty rows are not returned, so a short batch is the last one
+    if (values.length < batchSize) {
+      return;
+    }
+    startRow = endRow + 1;
+  }
+}
+
+/**
+ * Delete a row from the sheet
+ * Rows below it move up, so the teamId -> row index is rebuilt on next lookup
+ */
+export const deleteRowFromSheet = async (rowNumber) => {
+  try {
+    const sheets = getSheetsClient();
+    const spreadsheetId = getSpreadsheetId();
+    const { sheetName } = await ensureSheetExists(sheets, spreadsheetId);
+
+    // deleteDimension needs the numeric sheet id, not the title
+    const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId });
+    const sheet = spreadsheet.data.sheets?.find(
+      (item) => item.properties.title === sheetName
+    );
+
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [
+          {
+            deleteDimension: {
+              range: {
+                sheetId: sheet.properties.sheetId,
+                dimension: 'ROWS',
+                startIndex: rowNumber - 1,
+                endIndex: rowNumber,
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    teamRowIndex.clear();
+    teamRowIndexLoadedAt = 0;
+    teamRowIndexGeneration++;
+
+    return { success: true, message: 'Row deleted from sheet successfully' };
+  } catch (error) {
+    logger.error('[GOOGLE SHEETS] Error deleting row from sheet', { error });
     throw error;
   }
 };
@@ -309,7 +564,7 @@ export const getSubmissionByTeamId = async (teamId) => {
     const result = await findRowByTeamId(teamId);
     return result ? result.data : null;
   } catch (error) {
-    console.error('[GOOGLE SHEETS] Error getting submission by teamId:', error);
+    logger.error('[GOOGLE SHEETS] Error getting submission by teamId', { error });
     throw error;
   }
 };
@@ -0,0 +1,98 @@
+import { firestore } from '../firebase.js';
+import { config, usesSheetsStore } from './config.js';
+import { checkSheetsCredentials, checkSpreadsheetAccess } from './googleSheets.js';
+
+/**
+ * Readiness checks for the probes in health_controllers.js
+ *
+ * Each check runs with a timeout (HEALTH_CHECK_TIMEOUT_MS, default 3000) so a
+ * hung dependency fails the probe instead of blocking it. The whole result is
+ * cached for READINESS_CACHE_SECONDS (default 5), since frequent probes would
+ * otherwise eat into the Sheets read quota.
+ */
+
+const CHECK_TIMEOUT_MS = config.health.checkTimeoutMs;
+const READINESS_CACHE_MS = config.health.readinessCacheSeconds * 1000;
+
+let cachedReadiness = null;
+let readinessInFlight = null;
+
+/**
+ * Reject if the promise doesn't settle within ms
+ */
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run one check and report { status, latencyMs, error? }
+ */
+const runCheck = async (check) => {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT_MS);
+    return { status: 'ok', latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'error', latencyMs: Date.now() - startedAt, error: error.message };
+  }
+};
+
+const runReadinessChecks = async () => {
+  const sheetsNeeded = usesSheetsStore();
+  const skipped = { status: 'skipped', latencyMs: 0 };
+
+  const [firestoreCheck, sheetsCredentials] = await Promise.all([
+    runCheck(() => firestore.collection('settings').doc('submissionWindow').get()),
+    sheetsNeeded ? runCheck(checkSheetsCredentials) : skipped,
+  ]);
+
+  // Spreadsheet access needs working credentials, so it runs after them
+  let spreadsheet = skipped;
+  if (sheetsNeeded) {
+    spreadsheet = sheetsCredentials.status === 'ok'
+      ? await runCheck(checkSpreadsheetAccess)
+      : { status: 'error', latencyMs: 0, error: 'Not checked: Sheets credentials check failed' };
+  }
+
+  const checks = {
+    // Required settings are validated at boot (lib/config.js), so this only reports them
+    config: { status: 'ok', latencyMs: 0, profile: config.profile, store: config.submissions.store },
+    firestore: firestoreCheck,
+    sheetsCredentials,
+    spreadsheet,
+  };
+
+  const ready = Object.values(checks).every((check) => check.status !== 'error');
+  return {
+    status: ready ? 'ready' : 'not_ready',
+    checkedAt: new Date().toISOString(),
+    checks,
+  };
+};
+
+/**
+ * Check every dependency needed to serve traffic
+ * Returns { status: ready | not_ready, checkedAt, checks: { name: { status, latencyMs, error? } } }
+ */
+export const getReadiness = async () => {
+  if (cachedReadiness && Date.now() - cachedReadiness.cachedAt < READINESS_CACHE_MS) {
+    return cachedReadiness.result;
+  }
+
+  // Concurrent probes share one run of the checks
+  if (!readinessInFlight) {
+    readinessInFlight = runReadinessChecks()
+      .then((result) => {
+        cachedReadiness = { result, cachedAt: Date.now() };
+        return result;
+      })
+      .finally(() => {
+        readinessInFlight = null;
+      });
+  }
+  return readinessInFlight;
+};
@@ -0,0 +1,356 @@
+import { firestore } from '../firebase.js';
+
+/**
+ * Judging data in Firestore:
+ *   settings/judgingRubric          { criteria: [{ id, name, description, weight, maxScore }] }
+ *   judges/{uid}                    { name, email, conflicts: [teamId], active }
+ *   judgeAssignments/{uid}_{teamId} { judgeUid, teamId, assignedAt, assignedBy }
+ *   judgeScores/{uid}_{teamId}      { judgeUid, teamId, scores: { [criterionId]: number }, comment, total, submittedAt, updatedAt }
+ */
+
+const RUBRIC_DOC_ID = 'judgingRubric';
+
+// Used until organizers save their own rubric
+export const DEFAULT_RUBRIC = {
+  criteria: [
+    { id: 'innovation', name: 'Innovation', description: 'Originality of the idea', weight: 1, maxScore: 10 },
+    { id: 'technical', name: 'Technical complexity', description: 'Quality and difficulty of the implementation', weight: 1, maxScore: 10 },
+    { id: 'design', name: 'Design', description: 'User experience and polish', weight: 1, maxScore: 10 },
+    { id: 'impact', name: 'Impact', description: 'Usefulness and potential reach', weight: 1, maxScore: 10 },
+    { id: 'presentation', name: 'Presentation', description: 'Clarity of the slides and video', weight: 1, maxScore: 10 },
+  ],
+};
+
+export const assignmentId = (judgeUid, teamId) => `${judgeUid}_${teamId}`;
+
+/**
+ * Validate a rubric from the admin API
+ * Returns a list of error messages (empty if valid)
+ */
+export const validateRubric = (rubric) => {
+  const errors = [];
+  const criteria = rubric?.criteria;
+
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return ['criteria must be a non-empty array'];
+  }
+
+  const ids = new Set();
+  criteria.forEach((criterion, index) => {
+    const label = `criteria[${index}]`;
+    if (!criterion || typeof criterion.id !== 'string' || !/^[a-zA-Z0-9_-]{1,50}$/.test(criterion.id)) {
+      errors.push(`${label}.id must be 1-50 letters, numbers, - or _`);
+    } else if (ids.has(criterion.id)) {
+      errors.push(`${label}.id "${criterion.id}" is used more than once`);
+    } else {
+      ids.add(criterion.id);
+    }
+    if (typeof criterion?.name !== 'string' || criterion.name.trim().length === 0) {
+      errors.push(`${label}.name is required`);
+    }
+    if (typeof criterion?.weight !== 'number' || !(criterion.weight > 0)) {
+      errors.push(`${label}.weight must be a positive number`);
+    }
+    if (!Number.isInteger(criterion?.maxScore) || criterion.maxScore < 1 || criterion.maxScore > 100) {
+      errors.push(`${label}.maxScore must be an integer between 1 and 100`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Weighted total of a judge's scores on a 0-100 scale
+ * Criteria the judge didn't score (e.g. added after scoring) are left out
+ */
+export const computeWeightedTotal = (scores, rubric) => {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  rubric.criteria.forEach((criterion) => {
+    const score = scores?.[criterion.id];
+    if (typeof score === 'number') {
+      weightedSum += (score / criterion.maxScore) * criterion.weight;
+      totalWeight += criterion.weight;
+    }
+  });
+  return totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 10000) / 100 : 0;
+};
+
+/**
+ * Check whether a judge may not judge a team
+ * Conflicts are listed on the judge, or the judge is a member of the team
+ */
+export const hasConflict = (judge, teamId, registration) => {
+  if (judge.conflicts?.includes(teamId)) {
+    return true;
+  }
+  const judgeEmail = judge.email?.toLowerCase();
+  return Boolean(judgeEmail) && (registration?.members || []).some(
+    (member) => member.email?.toLowerCase() === judgeEmail
+  );
+};
+
+/**
+ * Plan new assignments so each team gets `judgesPerSubmission` judges
+ * Existing assignments are kept; each new slot goes to the eligible judge
+ * with the fewest assignments so the load stays balanced
+ * Returns { assignments: [{ judgeUid, teamId }], shortfalls: [{ teamId, missing }] }
+ */
+export const planAssignments = ({ teamIds, judges, existingAssignments, registrations, judgesPerSubmission }) => {
+  const load = new Map(judges.map((judge) => [judge.uid, 0]));
+  const judgesByTeam = new Map(teamIds.map((teamId) => [teamId, new Set()]));
+
+  existingAssignments.forEach(({ judgeUid, teamId }) => {
+    if (load.has(judgeUid)) {
+      load.set(judgeUid, load.get(judgeUid) + 1);
+    }
+    judgesByTeam.get(teamId)?.add(judgeUid);
+  });
+
+  // Fill the teams with the fewest judges first
+  const orderedTeamIds = [...teamIds].sort(
+    (a, b) => judgesByTeam.get(a).size - judgesByTeam.get(b).size
+  );
+
+  const assignments = [];
+  const shortfalls = [];
+  orderedTeamIds.forEach((teamId) => {
+    const assigned = judgesByTeam.get(teamId);
+    let missing = judgesPerSubmission - assigned.size;
+
+    while (missing > 0) {
+      const candidate = judges
+        .filter((judge) => !assigned.has(judge.uid) && !hasConflict(judge, teamId, registrations.get(teamId)))
+        .sort((a, b) => load.get(a.uid) - load.get(b.uid) || a.uid.localeCompare(b.uid))[0];
+      if (!candidate) {
+        break;
+      }
+      assigned.add(candidate.uid);
+      load.set(candidate.uid, load.get(candidate.uid) + 1);
+      assignments.push({ judgeUid: candidate.uid, teamId });
+      missing -= 1;
+    }
+
+    if (missing > 0) {
+      shortfalls.push({ teamId, missing });
+    }
+  });
+
+  return { assignments, shortfalls };
+};
+
+/**
+ * Rank teams from judge scores
+ * Each judge's totals are converted to z-scores (so a judge who always scores
+ * high or low doesn't skew the result) and mapped back onto the overall scale
+ */
+export const buildLeaderboard = (scoreDocs, rubric) => {
+  const scores = scoreDocs.map((doc) => ({ ...doc, total: computeWeightedTotal(doc.scores, rubric) }));
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const stdDev = (values, avg) => Math.sqrt(mean(values.map((value) => (value - avg) ** 2)));
+
+  const allTotals = scores.map((score) => score.total);
+  const overallMean = allTotals.length ? mean(allTotals) : 0;
+  const overallStdDev = allTotals.length ? stdDev(allTotals, overallMean) : 0;
+
+  // Per-judge mean and spread
+  const judgeStats = new Map();
+  scores.forEach((score) => {
+    const totals = judgeStats.get(score.judgeUid)?.totals || [];
+    totals.push(score.total);
+    judgeStats.set(score.judgeUid, { totals });
+  });
+  judgeStats.forEach((stats) => {
+    stats.mean = mean(stats.totals);
+    stats.stdDev = stdDev(stats.totals, stats.mean);
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const teams = new Map();
+  scores.forEach((score) => {
+    const stats = judgeStats.get(score.judgeUid);
+    // A judge with one score (or identical scores) has no spread to normalize by
+    const zScore = stats.stdDev > 0 ? (score.total - stats.mean) / stats.stdDev : 0;
+    const normalized = overallMean + zScore * overallStdDev;
+
+    const team = teams.get(score.teamId) || { teamId: score.teamId, teamName: score.teamName || '', judges: [] };
+    team.judges.push({
+      judgeUid: score.judgeUid,
+      total: score.total,
+      normalized: round(normalized),
+      comment: score.comment || '',
+    });
+    teams.set(score.teamId, team);
+  });
+
+  const ranked = [...teams.values()]
+    .map((team) => ({
+      ...team,
+      judgeCount: team.judges.length,
+      rawScore: round(mean(team.judges.map((judge) => judge.total))),
+      normalizedScore: round(mean(team.judges.map((judge) => judge.normalized))),
+    }))
+    .sort((a, b) => b.normalizedScore - a.normalizedScore || b.rawScore - a.rawScore);
+
+  ranked.forEach((team, index) => {
+    team.rank = index + 1;
+  });
+
+  return {
+    teams: ranked,
+    judges: [...judgeStats.entries()].map(([judgeUid, stats]) => ({
+      judgeUid,
+      scoreCount: stats.totals.length,
+      mean: round(stats.mean),
+      stdDev: round(stats.stdDev),
+    })),
+  };
+};
+
+/**
+ * Get the saved rubric, or the default one
+ */
+export const getRubric = async () => {
+  const doc = await firestore.collection('settings').doc(RUBRIC_DOC_ID).get();
+  return doc.exists ? doc.data() : DEFAULT_RUBRIC;
+};
+
+/**
+ * Save the rubric
+ */
+export const saveRubric = async (criteria, updatedBy) => {
+  const rubric = {
+    criteria: criteria.map(({ id, name, description, weight, maxScore }) => ({
+      id,
+      name: name.trim(),
+      description: typeof description === 'string' ? description.trim() : '',
+      weight,
+      maxScore,
+    })),
+    updatedAt: new Date().toISOString(),
+    updatedBy,
+  };
+  await firestore.collection('settings').doc(RUBRIC_DOC_ID).set(rubric);
+  return rubric;
+};
+
+/**
+ * Get a judge by uid, or null if the user is not an active judge
+ */
+export const getJudge = async (uid) => {
+  const doc = await firestore.collection('judges').doc(uid).get();
+  if (!doc.exists || doc.data().active === false) {
+    return null;
+  }
+  return { uid: doc.id, ...doc.data() };
+};
+
+/**
+ * Get all active judges
+ */
+export const listJudges = async () => {
+  const snapshot = await firestore.collection('judges').get();
+  return snapshot.docs
+    .map((doc) => ({ uid: doc.id, ...doc.data() }))
+    .filter((judge) => judge.active !== false);
+};
+
+/**
+ * Get assignments, optionally only one judge's
+ */
+export const listAssignments = async (judgeUid) => {
+  let query = firestore.collection('judgeAssignments');
+  if (judgeUid) {
+    query = query.where('judgeUid', '==', judgeUid);
+  }
+  const snapshot = await query.get();
+  return snapshot.docs.map((doc) => doc.data());
+};
+
+/**
+ * Save new assignments in batches (Firestore allows 500 writes per batch)
+ */
+export const saveAssignments = async (assignments, assignedBy) => {
+  const assignedAt = new Date().toISOString();
+  for (let i = 0; i < assignments.length; i += 500) {
+    const batch = firestore.batch();
+    assignments.slice(i, i + 500).forEach(({ judgeUid, teamId }) => {
+      batch.set(
+        firestore.collection('judgeAssignments').doc(assignmentId(judgeUid, teamId)),
+        { judgeUid, teamId, assignedAt, assignedBy }
+      );
+    });
+    await batch.commit();
+  }
+};
+
+/**
+ * Remove an assignment
+ * Returns false if it did not exist
+ */
+export const deleteAssignment = async (judgeUid, teamId) => {
+  const ref = firestore.collection('judgeAssignments').doc(assignmentId(judgeUid, teamId));
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return false;
+  }
+  await ref.delete();
+  return true;
+};
+
+/**
+ * Check whether a judge is assigned to a team
+ */
+export const isAssigned = async (judgeUid, teamId) => {
+  const doc = await firestore.collection('judgeAssignments').doc(assignmentId(judgeUid, teamId)).get();
+  return doc.exists;
+};
+
+/**
+ * Get a judge's scores for the given teams
+ * Returns Map<teamId, score>
+ */
+export const getScoresForJudge = async (judgeUid, teamIds) => {
+  const scores = new Map();
+  if (teamIds.length === 0) {
+    return scores;
+  }
+  const refs = teamIds.map((teamId) => firestore.collection('judgeScores').doc(assignmentId(judgeUid, teamId)));
+  const docs = await firestore.getAll(...refs);
+  docs.filter((doc) => doc.exists).forEach((doc) => scores.set(doc.data().teamId, doc.data()));
+  return scores;
+};
+
+/**
+ * Create or replace a judge's score for a team
+ */
+export const saveScore = async ({ judgeUid, teamId, teamName, scores, comment, total }) => {
+  const ref = firestore.collection('judgeScores').doc(assignmentId(judgeUid, teamId));
+  const now = new Date().toISOString();
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const score = {
+      judgeUid,
+      teamId,
+      teamName,
+      scores,
+      comment,
+      total,
+      submittedAt: doc.exists ? doc.data().submittedAt : now,
+      updatedAt: now,
+    };
+    transaction.set(ref, score);
+    return score;
+  });
+};
+
+/**
+ * Get every score
+ */
+export const listScores = async () => {
+  const snapshot = await firestore.collection('judgeScores').get();
+  return snapshot.docs.map((doc) => doc.data());
+};
@@ -0,0 +1,373 @@
+import dns from 'dns/promises';
+import { firestore } from '../firebase.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { SUBMISSION_FIELDS } from './submissionSchema.js';
+import { isPrivateHost, parseGithubRepo } from './linkRules.js';
+import { getSubmissionWindow } from './submissionWindow.js';
+import { publishTeamEvent } from './liveEvents.js';
+
+/**
+ * Background checks of submitted links
+ * After a submission is stored, every URL field is fetched to see whether it
+ * is publicly reachable, and the GitHub repository is looked up for its
+ * visibility and commit dates. Results live in the `linkChecks` collection
+ * (one document per team) so they work with every submission store:
+ *   { teamId, status: 'pending' | 'done' | 'failed', links: { field: url },
+ *     requestedAt, checkedAt, results: { field: result }, github, ok }
+ * Checks run one team at a time so a burst of submissions doesn't flood other sites
+ */
+
+const LINK_CHECKS_COLLECTION = 'linkChecks';
+
+const TIMEOUT_MS = config.linkChecks.timeoutMs;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (compatible; SubmissionLinkChecker/1.0)';
+
+// Hosts that answer links to private files with a sign-in page
+const LOGIN_HOSTS = ['accounts.google.com', 'login.microsoftonline.com'];
+
+// gRPC FAILED_PRECONDITION - the document changed while we were checking it
+const FAILED_PRECONDITION = 9;
+
+const linkChecksRef = () => firestore.collection(LINK_CHECKS_COLLECTION);
+
+/**
+ * Refuse hosts that are, or resolve to, private addresses
+ * Validation only sees the hostname; this catches public names pointing inside
+ * (also used for outgoing webhooks, see webhooks.js)
+ */
+export const assertPublicHost = async (url) => {
+  if (isPrivateHost(url.hostname)) {
+    throw new Error(`${url.hostname} is a private or local address`);
+  }
+  const addresses = await dns.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true });
+  if (addresses.some(({ address }) => isPrivateHost(address))) {
+    throw new Error(`${url.hostname} resolves to a private address`);
+  }
+};
+
+/**
+ * Default HTTP client: fetch, following redirects by hand so every hop is checked
+ * Returns the fetch Response of the last hop (its url is the final URL)
+ */
+const guardedFetch = async (url, options = {}) => {
+  let current = new URL(url);
+  let method = options.method || 'GET';
+  for (let redirects = 0; ; redirects++) {
+    if (!['http:', 'https:'].includes(current.protocol)) {
+      throw new Error(`Unsupported protocol ${current.protocol}`);
+    }
+    await assertPublicHost(current);
+
+    const response = await fetch(current, { ...options, method, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    await response.body?.cancel();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    }
+    current = new URL(location, current);
+    if (response.status === 303) {
+      method = 'GET';
+    }
+  }
+};
+
+/**
+ * The HTTP client used for every check: (url, { method, headers, signal }) => Response-like
+ * Only status, url, headers.get(), json() and (optionally) body.cancel() are used
+ */
+let httpClient = guardedFetch;
+
+/**
+ * Replace the HTTP client, e.g. to point checks at a local mock server in tests
+ * Pass null to go back to the default client
+ */
+export const setLinkCheckHttpClient = (client) => {
+  httpClient = client || guardedFetch;
+};
+
+/**
+ * Throw away a response body we don't need, so the connection is released
+ */
+const discardBody = async (response) => {
+  try {
+    await response.body?.cancel?.();
+  } catch (error) {
+    // Already consumed or closed
+  }
+};
+
+/**
+ * Classify the final response for a link
+ */
+const classifyResponse = (response) => {
+  const finalUrl = response.url || null;
+  const finalHost = finalUrl ? new URL(finalUrl).hostname : null;
+  if (response.status === 401 || response.status === 403 || LOGIN_HOSTS.includes(finalHost)) {
+    return { status: 'private', httpStatus: response.status, finalUrl };
+  }
+  if (response.status === 404 || response.status === 410) {
+    return { status: 'not_found', httpStatus: response.status, finalUrl };
+  }
+  if (response.status >= 400) {
+    return { status: 'error', httpStatus: response.status, finalUrl };
+  }
+  return { status: 'ok', httpStatus: response.status, finalUrl };
+};
+
+/**
+ * Check that a link is publicly reachable
+ * Result status: ok | private | not_found | error | unreachable
+ */
+const checkLink = async (url) => {
+  const request = (method) => httpClient(url, {
+    method,
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+
+  try {
+    let response = await request('HEAD');
+    // Some hosts reject HEAD outright; ask again with GET before judging the link
+    if ([403, 405, 501].includes(response.status)) {
+      await discardBody(response);
+      response = await request('GET');
+    }
+    await discardBody(response);
+    return classifyResponse(response);
+  } catch (error) {
+    return { status: 'unreachable', error: error.message };
+  }
+};
+
+/**
+ * Call the GitHub REST API
+ */
+const githubRequest = (path) => httpClient(`${config.linkChecks.githubApiUrl.replace(/\/$/, '')}${path}`, {
+  method: 'GET',
+  headers: {
+    Accept: 'application/vnd.github+json',
+    'User-Agent': USER_AGENT,
+    ...(config.linkChecks.githubToken && { Authorization: `Bearer ${config.linkChecks.githubToken}` }),
+  },
+  signal: AbortSignal.timeout(TIMEOUT_MS),
+});
+
+/**
+ * Date of the newest commit returned by a commits listing, or null if there are none
+ * GitHub answers 409 for an empty repository
+ */
+const getNewestCommitDate = async (path) => {
+  const response = await githubRequest(path);
+  if (response.status === 409) {
+    await discardBody(response);
+    return null;
+  }
+  if (response.status !== 200) {
+    await discardBody(response);
+    throw new Error(`GitHub API returned ${response.status} for ${path}`);
+  }
+  const commits = await response.json();
+  return commits[0]?.commit?.committer?.date || commits[0]?.commit?.author?.date || null;
+};
+
+/**
+ * Look up a GitHub repository: visibility, last commit, and whether it has
+ * commits from before the event started
+ * Result status: ok | not_found (missing, or private without a token that can see it) | error
+ */
+const checkGithubRepo = async (url, eventStartsAt) => {
+  const parsed = parseGithubRepo(new URL(url));
+  if (!parsed) {
+    return { status: 'error', error: 'Not a GitHub repository URL' };
+  }
+  const { owner, repo } = parsed;
+  const result = {
+    owner,
+    repo,
+    visibility: null,
+    lastCommitAt: null,
+    eventStartsAt: eventStartsAt ? eventStartsAt.toISOString() : null,
+    commitsBeforeEventStart: null,
+  };
+
+  try {
+    const response = await githubRequest(`/repos/${owner}/${repo}`);
+    if (response.status === 404) {
+      await discardBody(response);
+      return { ...result, status: 'not_found', error: 'Repository not found or private' };
+    }
+    if (response.status !== 200) {
+      await discardBody(response);
+      return { ...result, status: 'error', error: `GitHub API returned ${response.status}` };
+    }
+    const metadata = await response.json();
+    result.visibility = metadata.private ? 'private' : 'public';
+
+    const commitsPath = `/repos/${owner}/${repo}/commits?per_page=1`;
+    result.lastCommitAt = await getNewestCommitDate(commitsPath);
+    if (eventStartsAt && result.lastCommitAt) {
+      const until = encodeURIComponent(eventStartsAt.toISOString());
+      result.commitsBeforeEventStart = Boolean(await getNewestCommitDate(`${commitsPath}&until=${until}`));
+    } else if (eventStartsAt) {
+      result.commitsBeforeEventStart = false;
+    }
+    return { ...result, status: 'ok' };
+  } catch (error) {
+    return { ...result, status: 'error', error: error.message };
+  }
+};
+
+/**
+ * When the event started: EVENT_STARTS_AT, falling back to the submission window opening
+ */
+const getEventStart = async () => {
+  if (config.linkChecks.eventStartsAt) {
+    return new Date(config.linkChecks.eventStartsAt);
+  }
+  const submissionWindow = await getSubmissionWindow();
+  return submissionWindow.opensAt;
+};
+
+/**
+ * Shape a link check document for API responses and live events
+ */
+const toLinkCheckView = ({ status, requestedAt, checkedAt, results, github, ok }) => ({
+  status,
+  requestedAt,
+  checkedAt,
+  ok,
+  links: results,
+  github,
+});
+
+/**
+ * Run every check for one team and record the results
+ */
+const runLinkCheck = async (teamId) => {
+  const ref = linkChecksRef().doc(teamId);
+  const doc = await ref.get();
+  if (!doc.exists || doc.data().status !== 'pending') {
+    return;
+  }
+
+  const { links = {} } = doc.data();
+  const eventStartsAt = await getEventStart();
+  const linkFields = SUBMISSION_FIELDS.filter((field) => field.type === 'url' && links[field.name]);
+  const githubField = linkFields.find((field) => field.link === 'github');
+
+  const [results, github] = await Promise.all([
+    Promise.all(linkFields.map(async (field) => [field.name, await checkLink(links[field.name])])),
+    githubField ? checkGithubRepo(links[githubField.name], eventStartsAt) : null,
+  ]);
+
+  const ok = results.every(([, result]) => result.status === 'ok')
+    && (!github || (github.status === 'ok' && github.visibility === 'public'));
+
+  try {
+    // Only record the result if the links weren't changed meanwhile;
+    // an edit resets the document to pending and queues its own check
+    const result = {
+      status: 'done',
+      checkedAt: new Date().toISOString(),
+      results: Object.fromEntries(results),
+      github,
+      ok,
+    };
+    await ref.update(result, { lastUpdateTime: doc.updateTime });
+    publishTeamEvent(teamId, 'linkCheck', toLinkCheckView({ ...doc.data(), ...result }));
+  } catch (error) {
+    if (error.code === FAILED_PRECONDITION) {
+      return;
+    }
+    throw error;
+  }
+
+  logger.info('[LINK CHECK] Links checked', { teamId, ok });
+};
+
+// teamIds waiting to be checked (so the same team is never queued twice)
+const scheduled = new Set();
+let queue = Promise.resolve();
+
+/**
+ * Queue a check for a team whose pending document is already written
+ */
+const enqueueLinkCheck = (teamId) => {
+  if (scheduled.has(teamId)) {
+    return;
+  }
+  scheduled.add(teamId);
+
+  queue = queue
+    .then(() => {
+      scheduled.delete(teamId);
+      return runLinkCheck(teamId);
+    })
+    .catch(async (error) => {
+      logger.error('[LINK CHECK] Error checking links', { teamId, error });
+      // A newer request for the team is already queued and will overwrite this
+      if (scheduled.has(teamId)) {
+        return;
+      }
+      await linkChecksRef().doc(teamId).update({ status: 'failed', checkedAt: new Date().toISOString() })
+        .then(async () => publishTeamEvent(teamId, 'linkCheck', await getLinkCheck(teamId)))
+        .catch(() => {});
+    });
+};
+
+/**
+ * Record a submission's links as pending and queue them to be checked
+ * Never throws: a submission is stored even if its links can't be queued
+ */
+export const requestLinkCheck = async (submission) => {
+  if (!config.linkChecks.enabled) {
+    return;
+  }
+  try {
+    const links = Object.fromEntries(SUBMISSION_FIELDS
+      .filter((field) => field.type === 'url' && submission[field.name])
+      .map((field) => [field.name, submission[field.name]]));
+
+    const pending = {
+      teamId: submission.teamId,
+      status: 'pending',
+      links,
+      requestedAt: new Date().toISOString(),
+      checkedAt: null,
+      results: null,
+      github: null,
+      ok: null,
+    };
+    await linkChecksRef().doc(submission.teamId).set(pending);
+    publishTeamEvent(submission.teamId, 'linkCheck', toLinkCheckView(pending));
+    enqueueLinkCheck(submission.teamId);
+  } catch (error) {
+    logger.error('[LINK CHECK] Error queueing link check', { teamId: submission.teamId, error });
+  }
+};
+
+/**
+ * Get a team's link check for API responses, or null if none was requested
+ */
+export const getLinkCheck = async (teamId) => {
+  const doc = await linkChecksRef().doc(teamId).get();
+  return doc.exists ? toLinkCheckView(doc.data()) : null;
+};
+
+/**
+ * Queue every pending check, e.g. after a restart
+ */
+export const resumePendingLinkChecks = async () => {
+  try {
+    const snapshot = await linkChecksRef().where('status', '==', 'pending').get();
+    snapshot.docs.forEach((doc) => enqueueLinkCheck(doc.id));
+    logger.info('[LINK CHECK] Resumed pending checks', { count: snapshot.size });
+  } catch (error) {
+    logger.error('[LINK CHECK] Error resuming pending checks', { error });
+  }
+};
@@ -0,0 +1,151 @@
+import net from 'net';
+
+/**
+ * Link rules for submission URL fields
+ *
+ * A schema field opts into a rule with `link: '<rule>'` (see submissionSchema.js).
+ * check(url) returns true when the parsed URL is acceptable for the field;
+ * normalize(url), when present, gives the value that is stored.
+ *
+ * Hosts are only checked by name here - a public name that resolves to a
+ * private address is not caught until something fetches the link.
+ */
+
+/**
+ * Whether hostname is host or one of its subdomains
+ */
+export const matchesHost = (hostname, hosts) => hosts.some(
+  (host) => hostname === host || hostname.endsWith(`.${host}`)
+);
+
+// Names that only resolve inside a machine or private network
+const LOCAL_HOST_SUFFIXES = ['localhost', 'local', 'internal', 'intranet', 'lan', 'home.arpa'];
+
+/**
+ * Whether an IPv4 address is loopback, private, link-local or otherwise not public
+ */
+const isPrivateIPv4 = (address) => {
+  const [a, b] = address.split('.').map(Number);
+  return a === 0
+    || a === 10
+    || a === 127
+    || (a === 100 && b >= 64 && b <= 127)
+    || (a === 169 && b === 254)
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || a >= 224;
+};
+
+/**
+ * Whether an IPv6 address is loopback, unspecified, unique-local or link-local
+ * IPv4-mapped addresses (::ffff:a.b.c.d) are checked as IPv4
+ */
+const isPrivateIPv6 = (address) => {
+  const normalized = address.toLowerCase();
+  const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateIPv4(mapped[1]);
+  }
+  if (normalized.startsWith('::ffff:')) {
+    // The URL parser writes mapped addresses in hex (::ffff:7f00:1)
+    const [high, low] = normalized.slice(7).split(':').map((part) => parseInt(part, 16));
+    return isPrivateIPv4([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  return normalized === '::'
+    || normalized === '::1'
+    || /^f[cd]/.test(normalized)
+    || /^fe[89ab]/.test(normalized);
+};
+
+/**
+ * Whether a URL hostname points at this machine or a private network
+ * Single-label names (e.g. http://intranet/) are treated as private too
+ */
+export const isPrivateHost = (hostname) => {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (net.isIPv4(host)) {
+    return isPrivateIPv4(host);
+  }
+  if (net.isIPv6(host)) {
+    return isPrivateIPv6(host);
+  }
+  return !host.includes('.') || matchesHost(host, LOCAL_HOST_SUFFIXES);
+};
+
+const GITHUB_HOSTS = ['github.com', 'www.github.com'];
+const GITHUB_OWNER_PATTERN = /^[a-z\d](?:[a-z\d-]{0,38})$/i;
+const GITHUB_REPO_PATTERN = /^[\w.-]{1,100}$/;
+// First path segments that are GitHub pages rather than users or organizations
+const GITHUB_RESERVED_OWNERS = [
+  'about', 'apps', 'codespaces', 'collections', 'explore', 'features', 'issues', 'login',
+  'marketplace', 'new', 'notifications', 'orgs', 'organizations', 'pricing', 'pulls',
+  'search', 'settings', 'signup', 'sponsors', 'topics', 'trending', 'users',
+];
+
+/**
+ * Extract { owner, repo } from a github.com URL, or null if it isn't a repository URL
+ * Extra path segments (/tree/main, /blob/...) and a trailing .git are ignored
+ */
+export const parseGithubRepo = (url) => {
+  if (!GITHUB_HOSTS.includes(url.hostname.toLowerCase())) {
+    return null;
+  }
+  const [owner, repoSegment] = url.pathname.split('/').filter(Boolean);
+  const repo = repoSegment?.replace(/\.git$/i, '');
+  if (!owner || !repo
+    || !GITHUB_OWNER_PATTERN.test(owner)
+    || GITHUB_RESERVED_OWNERS.includes(owner.toLowerCase())
+    || !GITHUB_REPO_PATTERN.test(repo)
+    || /^\.+$/.test(repo)) {
+    return null;
+  }
+  return { owner, repo };
+};
+
+/**
+ * Whether a URL is a Google Drive file, folder or open link
+ */
+const isDriveLink = (url) => url.hostname === 'drive.google.com'
+  && /^\/(file\/d\/|drive\/|open\b|uc\b)/.test(url.pathname);
+
+/**
+ * Whether a URL is a watchable YouTube video (not a search, channel or home page)
+ */
+const isYoutubeVideo = (url) => {
+  if (url.hostname === 'youtu.be') {
+    return url.pathname.length > 1;
+  }
+  if (!matchesHost(url.hostname, ['youtube.com'])) {
+    return false;
+  }
+  return (url.pathname === '/watch' && url.searchParams.has('v'))
+    || /^\/(shorts|live|embed)\/[\w-]+/.test(url.pathname);
+};
+
+export const LINK_RULES = {
+  github: {
+    hosts: ['github.com'],
+    hint: 'a GitHub repository URL like https://github.com/owner/repo',
+    check: (url) => parseGithubRepo(url) !== null,
+    normalize: (url) => {
+      const { owner, repo } = parseGithubRepo(url);
+      return `https://github.com/${owner}/${repo}`;
+    },
+  },
+  slides: {
+    hosts: ['docs.google.com', 'drive.google.com', 'canva.com'],
+    hint: 'a Google Slides, Google Drive, Canva or PDF link',
+    check: (url) => (url.hostname === 'docs.google.com' && url.pathname.startsWith('/presentation/'))
+      || isDriveLink(url)
+      || matchesHost(url.hostname, ['canva.com', 'canva.link'])
+      || /\.pdf$/i.test(url.pathname),
+  },
+  video: {
+    hosts: ['youtube.com', 'youtu.be', 'vimeo.com', 'loom.com', 'drive.google.com'],
+    hint: 'a YouTube, Vimeo, Loom or Google Drive video link',
+    check: (url) => isYoutubeVideo(url)
+      || (matchesHost(url.hostname, ['vimeo.com']) && /\/\d+/.test(url.pathname))
+      || (matchesHost(url.hostname, ['loom.com']) && /^\/(share|embed)\/\w+/.test(url.pathname))
+      || isDriveLink(url),
+  },
+};
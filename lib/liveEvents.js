@@ -0,0 +1,179 @@
+import { EventEmitter } from 'events';
+import { firestore } from '../firebase.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { serializeSubmission } from './submissionSchema.js';
+import { getSubmissionStore } from './storage/index.js';
+
+/**
+ * Live updates for the Server-Sent Events streams
+ * Controllers and background jobs publish changes here and every open stream
+ * subscribed to the channel forwards them to the browser:
+ *   team:<teamId> - `submission` and `linkCheck` events for that team's streams
+ *   admin         - `counts` and `activity` events for admin streams
+ * Events are in-process: with several instances, a stream only sees changes
+ * made on its own instance (admin counts are also recounted periodically).
+ */
+
+const ADMIN_CHANNEL = 'admin';
+
+const bus = new EventEmitter();
+// One listener per open stream
+bus.setMaxListeners(0);
+
+const teamChannel = (teamId) => `team:${teamId}`;
+
+/**
+ * Send an event to every listener of a channel
+ * Never throws: a broken stream must not fail the request that published the change
+ */
+const publish = (channel, event, data) => {
+  try {
+    bus.emit(channel, { event, data });
+  } catch (error) {
+    logger.error('[LIVE EVENTS] Error publishing event', { channel, event, error });
+  }
+};
+
+/**
+ * Listen to a channel; returns the function that stops listening
+ */
+const subscribe = (channel, listener) => {
+  bus.on(channel, listener);
+  return () => bus.off(channel, listener);
+};
+
+export const publishTeamEvent = (teamId, event, data) => publish(teamChannel(teamId), event, data);
+
+export const subscribeToTeam = (teamId, listener) => subscribe(teamChannel(teamId), listener);
+
+/**
+ * Number of streams open for a team
+ */
+export const countTeamStreams = (teamId) => bus.listenerCount(teamChannel(teamId));
+
+// Latest counts, recounted while admin streams are open
+let latestCounts = null;
+let refreshing = null;
+let countsTimer = null;
+let refreshTimer = null;
+
+/**
+ * Count submissions (total, on time, late, edited) and confirmed teams
+ * Reads every submission, so it only runs while an admin is watching
+ */
+const countSubmissions = async () => {
+  const counts = { total: 0, onTime: 0, late: 0, edited: 0 };
+  for await (const submission of getSubmissionStore().iterate()) {
+    counts.total++;
+    counts[submission.isLate ? 'late' : 'onTime']++;
+    if (submission.lastEditedTime) {
+      counts.edited++;
+    }
+  }
+
+  const confirmedTeams = await firestore
+    .collection('teamRegistrations')
+    .where('status', '==', 'confirmed')
+    .count()
+    .get();
+  counts.confirmedTeams = confirmedTeams.data().count;
+  return counts;
+};
+
+/**
+ * Recount and publish the counts to admin streams if they changed
+ * Concurrent calls share one count
+ */
+const refreshCounts = () => {
+  if (!refreshing) {
+    refreshing = countSubmissions()
+      .then((counts) => {
+        // The first count is sent by the stream that asked for it
+        const changed = latestCounts
+          && Object.keys(counts).some((key) => counts[key] !== latestCounts[key]);
+        latestCounts = { ...counts, updatedAt: new Date().toISOString() };
+        if (changed) {
+          publish(ADMIN_CHANNEL, 'counts', latestCounts);
+        }
+        return latestCounts;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+/**
+ * Recount shortly after a change, so a burst of submissions is counted once
+ */
+const scheduleCountsRefresh = () => {
+  if (bus.listenerCount(ADMIN_CHANNEL) === 0) {
+    latestCounts = null;
+    return;
+  }
+  if (refreshTimer) {
+    return;
+  }
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshCounts().catch((error) => {
+      logger.error('[LIVE EVENTS] Error counting submissions', { error });
+    });
+  }, 1000);
+  refreshTimer.unref?.();
+};
+
+/**
+ * Current submission counts for a new admin stream
+ */
+export const getLiveSubmissionCounts = async () => latestCounts || refreshCounts();
+
+/**
+ * Listen to admin events; returns the function that stops listening
+ * Counts are recounted every SSE_ADMIN_COUNTS_SECONDS while any admin stream
+ * is open, to pick up changes made on other instances
+ */
+export const subscribeToAdmin = (listener) => {
+  const unsubscribe = subscribe(ADMIN_CHANNEL, listener);
+
+  if (!countsTimer) {
+    countsTimer = setInterval(() => {
+      refreshCounts().catch((error) => {
+        logger.error('[LIVE EVENTS] Error counting submissions', { error });
+      });
+    }, config.events.adminCountsSeconds * 1000);
+    countsTimer.unref?.();
+  }
+
+  return () => {
+    unsubscribe();
+    if (bus.listenerCount(ADMIN_CHANNEL) === 0) {
+      clearInterval(countsTimer);
+      countsTimer = null;
+      // Nothing keeps them current until the next admin connects
+      latestCounts = null;
+    }
+  };
+};
+
+/**
+ * Publish a created, updated or deleted submission to the team's streams and to admins
+ */
+export const publishSubmissionChange = (action, submission) => {
+  const deleted = action === 'deleted';
+  publishTeamEvent(submission.teamId, 'submission', {
+    action,
+    hasSubmission: !deleted,
+    data: deleted ? null : serializeSubmission(submission),
+  });
+  publish(ADMIN_CHANNEL, 'activity', {
+    action,
+    teamId: submission.teamId,
+    teamName: submission.teamName || null,
+    isLate: Boolean(submission.isLate),
+    at: new Date().toISOString(),
+  });
+  scheduleCountsRefresh();
+};
@@ -0,0 +1,137 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from './config.js';
+
+/**
+ * Structured JSON logger
+ *
+ * One JSON object per line: { time, level, msg, requestId, ...fields }
+ *   logger.info('[SUBMIT] New submission added', { teamId });
+ *   logger.error('[SUBMIT ERROR]', { error });
+ *
+ * LOG_LEVEL (default depends on the profile): debug | info | warn | error | silent
+ * requestId is added automatically inside a request (see request_middlewares.js).
+ * Emails and phone numbers are masked and secrets are dropped before writing,
+ * so team data can be logged as-is.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const requestContext = new AsyncLocalStorage();
+
+const getMinLevel = () => LEVELS[config.logging.level] ?? LEVELS.info;
+
+// Field names whose values are never logged
+const SECRET_KEY_PATTERN = /token$|tokenHash|secret$|password|^authorization$|^cookie$/i;
+const EMAIL_KEY_PATTERN = /email/i;
+const PHONE_KEY_PATTERN = /phone/i;
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+const MAX_DEPTH = 6;
+
+/**
+ * "jane@example.com" -> "j***@example.com"
+ */
+const maskEmails = (text) => text.replace(EMAIL_PATTERN, '$1***@$2');
+
+/**
+ * "+91 98765 43210" -> "***10"
+ */
+const maskPhone = (value) => {
+  const digits = String(value).replace(/\D/g, '');
+  return digits ? `***${digits.slice(-2)}` : '';
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.status !== undefined && { status: error.status }),
+  stack: error.stack,
+});
+
+/**
+ * Copy a value for logging with PII masked and secrets removed
+ */
+export const redact = (value, key = '', depth = 0) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (key && SECRET_KEY_PATTERN.test(key)) {
+    return '[REDACTED]';
+  }
+  if (key && PHONE_KEY_PATTERN.test(key) && (typeof value === 'string' || typeof value === 'number')) {
+    return maskPhone(value);
+  }
+  if (key && EMAIL_KEY_PATTERN.test(key) && typeof value === 'string' && !value.includes('@')) {
+    return '***';
+  }
+  if (typeof value === 'string') {
+    return maskEmails(value);
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), key, depth);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, key, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([childKey, childValue]) => [childKey, redact(childValue, childKey, depth + 1)])
+  );
+};
+
+const write = (level, msg, fields) => {
+  if (LEVELS[level] < getMinLevel()) {
+    return;
+  }
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: maskEmails(String(msg)),
+    ...(context?.requestId && { requestId: context.requestId }),
+    ...redact(fields || {}),
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level, msg: entry.msg, logError: error.message });
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+/**
+ * Run fn with a request context, so log lines inside it carry the requestId
+ */
+export const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+
+/**
+ * The current request's ID, or null outside a request
+ */
+export const getRequestId = () => requestContext.getStore()?.requestId || null;
+
+/**
+ * The current request's context, or null outside a request
+ * Modules can keep per-request state on it (e.g. memoized lookups)
+ */
+export const getRequestContext = () => requestContext.getStore() || null;
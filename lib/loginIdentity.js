@@ -0,0 +1,147 @@
+import { auth } from '../firebase.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * Resolve who is logging in from the login request body
+ *
+ * Normal flow: { idToken } - a Firebase ID token from the client SDK,
+ * verified (including revocation) with the Firebase Admin SDK.
+ *
+ * Legacy flow: { uid, email } - only checks that the pair matches a Firebase
+ * Auth record, so anyone who knows both can log in. Only available with
+ * ALLOW_LEGACY_UID_LOGIN=true outside production, for local development.
+ *
+ * Returns { uid, email, emailVerified, claims }
+ * Throws errors with status and details for the controller to return
+ */
+
+const MAX_ID_TOKEN_LENGTH = 4096;
+
+const loginError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Verifies an ID token with Firebase and resolves to its decoded claims
+ * checkRevoked: rejects tokens of users whose sessions were revoked or who were disabled
+ */
+const verifyWithFirebase = (idToken) => auth.verifyIdToken(idToken, true);
+
+let idTokenVerifier = verifyWithFirebase;
+
+/**
+ * Replace the ID token verifier, e.g. to log in with test tokens in tests
+ * It must reject with a Firebase Auth error code (auth/id-token-revoked, ...) like the default
+ * Pass null to go back to the default verifier
+ */
+export const setIdTokenVerifier = (verifier) => {
+  idTokenVerifier = verifier || verifyWithFirebase;
+};
+
+/**
+ * Whether the insecure uid/email login is enabled
+ */
+export const isLegacyLoginEnabled = () => config.auth.allowLegacyUidLogin && !config.isProduction;
+
+/**
+ * Verify a Firebase ID token and read the identity from its claims
+ */
+const verifyIdTokenLogin = async (idToken) => {
+  if (typeof idToken !== 'string' || idToken.length > MAX_ID_TOKEN_LENGTH) {
+    throw loginError(400, 'Invalid input types', ['idToken must be a string']);
+  }
+
+  let decoded;
+  try {
+    decoded = await idTokenVerifier(idToken);
+  } catch (error) {
+    if (error.code === 'auth/id-token-revoked' || error.code === 'auth/user-disabled') {
+      throw loginError(401, 'Unauthorized', ['This account\'s sessions were revoked. Please sign in again.']);
+    }
+    if (error.code === 'auth/id-token-expired') {
+      throw loginError(401, 'Unauthorized', ['ID token has expired. Please sign in again.']);
+    }
+    throw loginError(401, 'Unauthorized', ['Invalid ID token']);
+  }
+
+  if (!decoded.email) {
+    throw loginError(401, 'Unauthorized', ['This account has no email address']);
+  }
+
+  return {
+    uid: decoded.uid,
+    email: decoded.email.toLowerCase(),
+    emailVerified: decoded.email_verified === true,
+    claims: decoded,
+  };
+};
+
+/**
+ * Legacy uid/email login (development only)
+ */
+const verifyUidLogin = async (uid, email) => {
+  // Validate types
+  if (typeof uid !== 'string' || typeof email !== 'string') {
+    throw loginError(400, 'Invalid input types', ['uid and email must be strings']);
+  }
+
+  // Sanitize inputs (trim and limit length)
+  const sanitizedUid = uid.trim().slice(0, 128);
+  const sanitizedEmail = email.trim().toLowerCase().slice(0, 255);
+
+  // Validate email format
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(sanitizedEmail)) {
+    throw loginError(400, 'Invalid email format', ['email must be a valid email address']);
+  }
+
+  // Validate UID format (Firebase UIDs are typically 28 characters)
+  if (sanitizedUid.length < 10 || sanitizedUid.length > 128) {
+    throw loginError(400, 'Invalid UID format', ['uid must be between 10 and 128 characters']);
+  }
+
+  // Verify user exists in Firebase Auth
+  let userRecord;
+  try {
+    userRecord = await auth.getUser(sanitizedUid);
+  } catch (error) {
+    throw loginError(401, 'Invalid user: User not found in Firebase Auth');
+  }
+
+  // Verify email matches (case-insensitive)
+  if (userRecord.email?.toLowerCase() !== sanitizedEmail) {
+    throw loginError(401, 'Email does not match the user record');
+  }
+
+  return {
+    uid: sanitizedUid,
+    email: sanitizedEmail,
+    emailVerified: userRecord.emailVerified === true,
+    claims: userRecord.customClaims || {},
+  };
+};
+
+/**
+ * Get the verified identity for a login request body
+ */
+export const verifyLoginRequest = async (body) => {
+  const { idToken, uid, email } = body || {};
+
+  if (idToken) {
+    return verifyIdTokenLogin(idToken);
+  }
+
+  if ((uid || email) && isLegacyLoginEnabled()) {
+    if (!uid || !email) {
+      throw loginError(400, 'Missing required fields', ['uid and email are required']);
+    }
+    logger.warn('[AUTH] Using legacy uid/email login (ALLOW_LEGACY_UID_LOGIN is enabled)');
+    return verifyUidLogin(uid, email);
+  }
+
+  throw loginError(400, 'Missing required fields', ['idToken is required']);
+};
@@ -0,0 +1,37 @@
+import { config } from '../config.js';
+
+/**
+ * Mail transport for an email provider's HTTP API (MAIL_API_URL, MAIL_API_KEY)
+ * Posts { from, to, subject, text, html } as JSON with a Bearer key - the shape
+ * Resend and similar providers accept; the response's `id` is the message ID
+ */
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Send one message
+ */
+const send = async (message) => {
+  const response = await fetch(config.mail.apiUrl, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${config.mail.apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(message),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw new Error(`Mail API returned ${response.status}${details ? `: ${details.slice(0, 200)}` : ''}`);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  return { messageId: body.id || body.messageId || null };
+};
+
+export const apiTransport = {
+  name: 'api',
+  send,
+};
@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+import { logger } from '../logger.js';
+
+/**
+ * Mail transport that writes messages to the log instead of sending them
+ * The development default, so notifications can be seen without a mail server
+ */
+
+/**
+ * "Send" one message by logging it
+ */
+const send = async (message) => {
+  const messageId = crypto.randomUUID();
+  logger.info('[MAIL] Message (console transport)', {
+    messageId,
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+  });
+  return { messageId };
+};
+
+export const consoleTransport = {
+  name: 'console',
+  send,
+};
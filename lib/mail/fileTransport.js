@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+
+/**
+ * Mail transport that appends messages to a local file instead of sending them
+ * For offline development and automated tests - one JSON message per line
+ */
+
+const getFilePath = () => path.resolve(config.mail.outboxFile);
+
+/**
+ * "Send" one message by appending it to the outbox file
+ */
+const send = async (message) => {
+  const messageId = crypto.randomUUID();
+  const filePath = getFilePath();
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, `${JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...message })}\n`);
+  return { messageId };
+};
+
+export const fileTransport = {
+  name: 'file',
+  send,
+};
@@ -0,0 +1,27 @@
+import { smtpTransport } from './smtpTransport.js';
+import { apiTransport } from './apiTransport.js';
+import { fileTransport } from './fileTransport.js';
+import { consoleTransport } from './consoleTransport.js';
+import { config } from '../config.js';
+
+/**
+ * Mail transports
+ * Every transport implements the same interface:
+ *   name          -> transport name (recorded in the email log)
+ *   send(message) -> { messageId } once accepted; throws if the message was not accepted
+ * message: { from, to: [email], subject, text, html }
+ * Selected with MAIL_TRANSPORT: none (default; nothing is sent), console, file, smtp or api
+ * (validated at boot by lib/config.js)
+ */
+
+const transports = {
+  smtp: smtpTransport,
+  api: apiTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+
+/**
+ * Get the configured mail transport, or null if sending is off
+ */
+export const getMailTransport = () => transports[config.mail.transport] || null;
@@ -0,0 +1,37 @@
+import nodemailer from 'nodemailer';
+import { config } from '../config.js';
+
+/**
+ * Mail transport that sends through an SMTP server (SMTP_HOST, SMTP_PORT, ...)
+ */
+
+// One pooled connection is reused for every message
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.mail.smtpHost,
+      port: config.mail.smtpPort,
+      secure: config.mail.smtpSecure,
+      pool: true,
+      ...(config.mail.smtpUser && {
+        auth: { user: config.mail.smtpUser, pass: config.mail.smtpPassword },
+      }),
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send one message
+ */
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId || null };
+};
+
+export const smtpTransport = {
+  name: 'smtp',
+  send,
+};
@@ -0,0 +1,254 @@
+import { firestore } from '../firebase.js';
+import { format, formatDistanceStrict } from 'date-fns';
+import { config } from './config.js';
+import { logger, getRequestId } from './logger.js';
+import { getMailTransport } from './mail/index.js';
+import { getTemplate, renderTemplate, escapeHtml } from './emailTemplates.js';
+import { SUBMISSION_FIELDS } from './submissionSchema.js';
+import { getSubmissionWindow } from './submissionWindow.js';
+import { getSubmissionStore } from './storage/index.js';
+
+/**
+ * Email notifications: submission receipts and deadline reminders
+ * Messages are sent in the background with retries (MAIL_MAX_ATTEMPTS), and
+ * every attempt is recorded in the `emailLog` collection:
+ *   { templateId, teamId, to, subject, transport, attempt, status: 'sent' | 'failed',
+ *     messageId, error, requestId, createdAt }
+ * Nothing is sent when MAIL_TRANSPORT is none.
+ */
+
+const EMAIL_LOG_COLLECTION = 'emailLog';
+// One document per reminder sent, so each is sent once even with several instances
+const REMINDERS_COLLECTION = 'emailReminders';
+
+const MAX_ATTEMPTS = config.mail.maxAttempts;
+const BASE_RETRY_DELAY_MS = config.mail.retryDelayMs;
+
+// gRPC ALREADY_EXISTS
+const ALREADY_EXISTS = 6;
+
+const emailLogRef = () => firestore.collection(EMAIL_LOG_COLLECTION);
+
+/**
+ * Record one send attempt
+ * Never throws: a failed log write must not stop or repeat the send
+ */
+const logAttempt = async (entry) => {
+  try {
+    await emailLogRef().add({ ...entry, createdAt: new Date().toISOString() });
+  } catch (error) {
+    logger.error('[MAIL] Error writing email log', { error, templateId: entry.templateId, teamId: entry.teamId });
+  }
+};
+
+/**
+ * Try to send a message, retrying with exponential backoff until MAX_ATTEMPTS
+ */
+const deliver = async (transport, message, context, attempt = 1) => {
+  const entry = {
+    templateId: context.templateId,
+    teamId: context.teamId || null,
+    to: message.to,
+    subject: message.subject,
+    transport: transport.name,
+    attempt,
+    requestId: context.requestId,
+  };
+
+  try {
+    const { messageId } = await transport.send(message);
+    await logAttempt({ ...entry, status: 'sent', messageId: messageId || null, error: null });
+    logger.info('[MAIL] Email sent', { templateId: context.templateId, teamId: context.teamId, attempt });
+  } catch (error) {
+    await logAttempt({ ...entry, status: 'failed', messageId: null, error: error.message || String(error) });
+    logger.warn('[MAIL] Send attempt failed', { templateId: context.templateId, teamId: context.teamId, attempt, maxAttempts: MAX_ATTEMPTS, error: error.message });
+
+    if (attempt < MAX_ATTEMPTS) {
+      const timer = setTimeout(() => {
+        deliver(transport, message, context, attempt + 1);
+      }, BASE_RETRY_DELAY_MS * 2 ** (attempt - 1));
+      // Don't keep the process alive just for a pending retry
+      timer.unref?.();
+    }
+  }
+};
+
+/**
+ * Render a template and send it in the background
+ * Never throws: notifications must not fail the request that triggered them
+ */
+export const sendTemplatedEmail = async ({ templateId, to, variables, teamId }) => {
+  const transport = getMailTransport();
+  if (!transport || to.length === 0) {
+    return;
+  }
+  try {
+    const template = await getTemplate(templateId);
+    const message = {
+      from: config.mail.from || 'Hackathon <no-reply@localhost>',
+      to,
+      ...renderTemplate(template, variables),
+    };
+    await deliver(transport, message, { templateId, teamId, requestId: getRequestId() || null });
+  } catch (error) {
+    logger.error('[MAIL] Error preparing email', { templateId, teamId, error });
+  }
+};
+
+/**
+ * Unique email addresses of a team: the leader and every member
+ */
+const getTeamRecipients = (members = [], leaderEmail = '') => {
+  const emails = [leaderEmail, ...members.map((member) => member.email)]
+    .map((email) => (typeof email === 'string' ? email.trim().toLowerCase() : ''))
+    .filter((email) => email.includes('@'));
+  return [...new Set(emails)];
+};
+
+/**
+ * Email a receipt with the submitted links to the leader and all members
+ */
+export const notifySubmissionReceipt = async (submission, members) => {
+  const linkFields = SUBMISSION_FIELDS.filter((field) => field.type === 'url' && submission[field.name]);
+
+  await sendTemplatedEmail({
+    templateId: 'submissionReceipt',
+    teamId: submission.teamId,
+    to: getTeamRecipients(members, submission.leaderEmail),
+    variables: {
+      teamName: submission.teamName,
+      teamId: submission.teamId,
+      leaderName: submission.leaderName,
+      submissionTime: submission.submissionTime,
+      lateNotice: submission.isLate ? ' It arrived during the grace period, so it is marked late.' : '',
+      links: linkFields.map((field) => `${field.label}: ${submission[field.name]}`).join('\n'),
+      linksHtml: `<ul>${linkFields.map((field) => {
+        const url = escapeHtml(submission[field.name]);
+        return `<li><strong>${escapeHtml(field.label)}:</strong> <a href="${url}">${url}</a></li>`;
+      }).join('')}</ul>`,
+      description: submission.description,
+    },
+  });
+};
+
+/**
+ * Claim a reminder so it is only sent once
+ * Returns false if it was already claimed (here or by another instance)
+ */
+const claimReminder = async (reminderId, data) => {
+  try {
+    await firestore.collection(REMINDERS_COLLECTION).doc(reminderId).create({
+      ...data,
+      createdAt: new Date().toISOString(),
+    });
+    return true;
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Send the reminder that is due now to every confirmed team without a submission
+ * Only the closest due reminder is sent (e.g. at 30 minutes before the deadline
+ * with REMINDER_HOURS_BEFORE=24,1, the 1 hour one), so a late start doesn't
+ * send a burst of reminders at once
+ * Returns the number of teams reminded
+ */
+export const sendDueReminders = async (now = new Date()) => {
+  if (!getMailTransport()) {
+    return 0;
+  }
+
+  const { closesAt } = await getSubmissionWindow();
+  if (!closesAt || now >= closesAt) {
+    return 0;
+  }
+
+  const hoursBefore = [...config.reminders.hoursBefore]
+    .sort((a, b) => a - b)
+    .find((hours) => now.getTime() >= closesAt.getTime() - hours * 60 * 60 * 1000);
+  if (!hoursBefore) {
+    return 0;
+  }
+
+  const confirmedTeams = await firestore
+    .collection('teamRegistrations')
+    .where('status', '==', 'confirmed')
+    .get();
+
+  const submittedTeamIds = new Set();
+  for await (const submission of getSubmissionStore().iterate()) {
+    submittedTeamIds.add(submission.teamId);
+  }
+
+  let reminded = 0;
+  for (const doc of confirmedTeams.docs) {
+    const team = doc.data();
+    const teamId = team.teamId || doc.id;
+    if (submittedTeamIds.has(teamId)) {
+      continue;
+    }
+
+    const reminderId = `${teamId}_${closesAt.getTime()}_${hoursBefore}h`;
+    if (!(await claimReminder(reminderId, { teamId, closesAt: closesAt.toISOString(), hoursBefore }))) {
+      continue;
+    }
+
+    await sendTemplatedEmail({
+      templateId: 'deadlineReminder',
+      teamId,
+      to: getTeamRecipients(team.members, team.leaderEmail),
+      variables: {
+        teamName: team.teamName || teamId,
+        teamId,
+        deadline: format(closesAt, 'yyyy-MM-dd HH:mm xxx'),
+        timeLeft: formatDistanceStrict(closesAt, now),
+        submitUrl: config.server.clientOrigin || '',
+      },
+    });
+    reminded++;
+  }
+
+  if (reminded > 0) {
+    logger.info('[MAIL] Deadline reminders sent', { hoursBefore, teams: reminded });
+  }
+  return reminded;
+};
+
+/**
+ * Check for due reminders every REMINDER_CHECK_INTERVAL_SECONDS
+ */
+export const startDeadlineReminders = () => {
+  if (!getMailTransport() || config.reminders.hoursBefore.length === 0) {
+    return;
+  }
+
+  const check = () => sendDueReminders().catch((error) => {
+    logger.error('[MAIL] Error sending deadline reminders', { error });
+  });
+
+  check();
+  const timer = setInterval(check, config.reminders.checkIntervalSeconds * 1000);
+  timer.unref?.();
+};
+
+/**
+ * Recent send attempts, newest first
+ * Filtered by team when teamId is given
+ */
+export const listEmailLog = async ({ teamId, limit = 100 } = {}) => {
+  let snapshot;
+  if (teamId) {
+    // Sorted here rather than in the query, so no composite index is needed
+    snapshot = await emailLogRef().where('teamId', '==', teamId).get();
+  } else {
+    snapshot = await emailLogRef().orderBy('createdAt', 'desc').limit(limit).get();
+  }
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+};
@@ -0,0 +1,18 @@
+import { MemoryStore } from 'express-rate-limit';
+import { createRedisStore } from './redisStore.js';
+import { config } from '../config.js';
+
+/**
+ * Rate limit stores
+ * Every store implements express-rate-limit's Store interface
+ * (increment, decrement, resetKey, ...); each policy gets its own store.
+ * Selected with RATE_LIMIT_STORE: memory (default; per instance) or redis
+ * (shared by every instance, see redisStore.js)
+ */
+
+/**
+ * Create the store for a rate limit policy
+ */
+export const createRateLimitStore = (policy) => (
+  config.rateLimit.store === 'redis' ? createRedisStore(policy) : new MemoryStore()
+);
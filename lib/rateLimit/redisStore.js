@@ -0,0 +1,134 @@
+import Redis from 'ioredis';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+
+/**
+ * Rate limit store backed by a Redis-compatible server (RATE_LIMIT_REDIS_URL),
+ * so every instance shares the same counters
+ * Each client is one key holding its hit count, expiring at the end of its window.
+ * While the server is unreachable requests are let through uncounted.
+ */
+
+// Increments the count and starts the window on the first hit; returns { hits, msLeft }
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+// Takes a hit back; a key that has expired (or was reset) is left alone, so
+// no negative count without a window is created
+const DECREMENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('DECR', KEYS[1])
+end
+return 0
+`;
+
+// One connection is shared by every policy
+let client = null;
+// Set while the server is unreachable, so the outage is logged once
+let unavailable = false;
+
+const getClient = () => {
+  if (!client) {
+    client = new Redis(config.rateLimit.redisUrl, {
+      // Fail fast while disconnected so requests aren't held up (they are let through)
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1,
+    });
+    client.on('error', (error) => {
+      logger.debug('[RATE LIMIT] Redis connection error', { error: error.message });
+    });
+    client.defineCommand('rateLimitIncrement', { numberOfKeys: 1, lua: INCREMENT_SCRIPT });
+    client.defineCommand('rateLimitDecrement', { numberOfKeys: 1, lua: DECREMENT_SCRIPT });
+  }
+  return client;
+};
+
+const markAvailable = () => {
+  if (unavailable) {
+    unavailable = false;
+    logger.info('[RATE LIMIT] Redis available again');
+  }
+};
+
+const markUnavailable = (error) => {
+  if (!unavailable) {
+    unavailable = true;
+    logger.warn('[RATE LIMIT] Redis unavailable, requests are not rate limited', { error: error.message });
+  }
+};
+
+/**
+ * Create a store for one policy; keys are namespaced by its prefix
+ */
+export const createRedisStore = (prefix) => {
+  let windowMs = 0;
+  const keyFor = (key) => `rl:${prefix}:${key}`;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init: (options) => {
+      windowMs = options.windowMs;
+      // Connect at boot rather than on the first request
+      getClient();
+    },
+
+    get: async (key) => {
+      const [[, hits], [, msLeft]] = await getClient().multi().get(keyFor(key)).pttl(keyFor(key)).exec();
+      if (hits === null) {
+        return undefined;
+      }
+      return { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(msLeft, 0)) };
+    },
+
+    increment: async (key) => {
+      try {
+        const [hits, msLeft] = await getClient().rateLimitIncrement(keyFor(key), windowMs);
+        markAvailable();
+        return { totalHits: hits, resetTime: new Date(Date.now() + msLeft) };
+      } catch (error) {
+        markUnavailable(error);
+        // Counted as a client's first hit, so it is never limited
+        return { totalHits: 1, resetTime: new Date(Date.now() + windowMs) };
+      }
+    },
+
+    // express-rate-limit calls decrement without awaiting it, so it never throws
+    decrement: async (key) => {
+      try {
+        await getClient().rateLimitDecrement(keyFor(key));
+        markAvailable();
+      } catch (error) {
+        markUnavailable(error);
+      }
+    },
+
+    resetKey: async (key) => {
+      try {
+        await getClient().del(keyFor(key));
+        markAvailable();
+      } catch (error) {
+        markUnavailable(error);
+      }
+    },
+  };
+};
+
+/**
+ * Close the shared connection (the next store call reconnects)
+ */
+export const closeRedisStore = async () => {
+  if (client) {
+    const closing = client;
+    client = null;
+    await closing.quit().catch(() => closing.disconnect());
+  }
+};
@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+
+/**
+ * How sessions travel between client and server
+ *
+ * SESSION_TRANSPORT (default bearer):
+ *   bearer - tokens are returned in the response body and sent back as
+ *            `Authorization: Bearer <token>` (localStorage flows)
+ *   cookie - tokens are only set as httpOnly cookies; the body carries a CSRF token
+ *   both   - tokens go in the body and in cookies; a Bearer header wins over the cookie
+ *
+ * Cookie sessions use a double-submit CSRF token: the csrf_token cookie must be
+ * echoed in the X-CSRF-Token header on state-changing requests. The token is also
+ * returned in the login and refresh bodies, since cross-origin frontends can't
+ * read the cookie.
+ */
+
+export const SESSION_COOKIE = 'session';
+export const REFRESH_COOKIE = 'refresh_token';
+export const CSRF_COOKIE = 'csrf_token';
+export const CSRF_HEADER = 'x-csrf-token';
+
+// The refresh cookie is only needed by /api/users/refresh and /api/users/logout
+const REFRESH_COOKIE_PATH = '/api/users';
+
+export const getSessionTransport = () => config.auth.sessionTransport;
+
+export const usesCookies = () => getSessionTransport() !== 'bearer';
+export const usesBearer = () => getSessionTransport() !== 'cookie';
+
+/**
+ * Cookie settings for this request
+ * Automatically detects cross-origin by comparing the request origin with the backend host
+ */
+const getCookieOptions = (req) => {
+  const isProduction = config.isProduction;
+  const requestOrigin = req.headers.origin;
+
+  // Get backend URL (handle proxy scenarios)
+  const backendHost = req.get('host') || req.hostname;
+  const forwardedProto = req.headers['x-forwarded-proto'];
+  const backendProtocol = forwardedProto || req.protocol || (req.secure ? 'https' : 'http');
+  const backendUrl = `${backendProtocol}://${backendHost}`;
+
+  // Cross-origin when explicitly set via env var, or when the origin is a different domain
+  const isExplicitCrossOrigin = config.cookies.sameSite === 'none';
+  let isAutoDetectedCrossOrigin = false;
+
+  if (requestOrigin) {
+    try {
+      const originHostname = new URL(requestOrigin).hostname;
+      const backendHostname = new URL(backendUrl).hostname;
+      isAutoDetectedCrossOrigin = originHostname !== backendHostname;
+    } catch (e) {
+      // If URL parsing fails, check simple string comparison
+      isAutoDetectedCrossOrigin = requestOrigin !== backendUrl &&
+                                  !requestOrigin.includes(backendHost);
+    }
+  }
+
+  const isCrossOrigin = isExplicitCrossOrigin || isAutoDetectedCrossOrigin;
+
+  // Determine if request is over HTTPS
+  const isHttps = req.secure ||
+                  req.protocol === 'https' ||
+                  forwardedProto === 'https' ||
+                  (requestOrigin && requestOrigin.startsWith('https://'));
+
+  // For cross-origin: MUST use sameSite: "none" with secure: true (HTTPS required)
+  // For same-origin: use sameSite: "strict" (production) or "lax" (development)
+  return {
+    secure: isCrossOrigin ? true : (isProduction || isHttps),
+    sameSite: isCrossOrigin ? 'none' : (isProduction ? 'strict' : 'lax'),
+    path: '/',
+    // For cross-origin: DO NOT set domain (let browser handle it)
+    // For same-origin subdomains: set domain if provided
+    ...(config.cookies.domain && !isCrossOrigin && { domain: config.cookies.domain }),
+  };
+};
+
+/**
+ * Options for each session cookie (the CSRF cookie is readable by the page)
+ */
+const sessionCookies = (req) => {
+  const options = getCookieOptions(req);
+  return {
+    [SESSION_COOKIE]: { ...options, httpOnly: true },
+    [REFRESH_COOKIE]: { ...options, httpOnly: true, path: REFRESH_COOKIE_PATH },
+    [CSRF_COOKIE]: { ...options, httpOnly: false },
+  };
+};
+
+/**
+ * Send a session (from issueSession or refreshSession) to the client
+ * Sets cookies for cookie transports and returns the fields for the response body
+ */
+export const sendSession = (req, res, session) => {
+  const body = usesBearer()
+    ? {
+      token: session.token,
+      expiresIn: session.expiresIn,
+      refreshToken: session.refreshToken,
+      refreshExpiresIn: session.refreshExpiresIn,
+    }
+    : { expiresIn: session.expiresIn, refreshExpiresIn: session.refreshExpiresIn };
+
+  if (usesCookies()) {
+    // Keep the CSRF token across refreshes so other open tabs keep working
+    const csrfToken = req.cookies?.[CSRF_COOKIE] || crypto.randomBytes(32).toString('base64url');
+    const cookies = sessionCookies(req);
+    res.cookie(SESSION_COOKIE, session.token, { ...cookies[SESSION_COOKIE], maxAge: session.expiresIn * 1000 });
+    res.cookie(REFRESH_COOKIE, session.refreshToken, { ...cookies[REFRESH_COOKIE], maxAge: session.refreshExpiresIn * 1000 });
+    res.cookie(CSRF_COOKIE, csrfToken, { ...cookies[CSRF_COOKIE], maxAge: session.refreshExpiresIn * 1000 });
+    body.csrfToken = csrfToken;
+  }
+
+  return body;
+};
+
+/**
+ * Clear the session cookies (logout)
+ */
+export const clearSession = (req, res) => {
+  if (!usesCookies()) {
+    return;
+  }
+  Object.entries(sessionCookies(req)).forEach(([name, options]) => res.clearCookie(name, options));
+};
+
+/**
+ * Whether the request carries a Bearer token in the Authorization header
+ */
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && typeof authHeader === 'string' && authHeader.toLowerCase().startsWith('bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+  return null;
+};
+
+/**
+ * Get the access token from ?access_token=, on routes that allow it (see allowQueryToken)
+ */
+const getQueryToken = (req) => {
+  const token = req.allowQueryToken ? req.query?.access_token : null;
+  return typeof token === 'string' && token ? token : null;
+};
+
+/**
+ * Get the access token for this request, following the session transport
+ */
+export const getRequestToken = (req) => {
+  const bearerToken = usesBearer() ? getBearerToken(req) || getQueryToken(req) : null;
+  if (bearerToken) {
+    return bearerToken;
+  }
+  return usesCookies() ? req.cookies?.[SESSION_COOKIE] || null : null;
+};
+
+/**
+ * Get the refresh token for this request: the body first, then the refresh cookie
+ */
+export const getRequestRefreshToken = (req) => {
+  const bodyToken = usesBearer() ? req.body?.refreshToken : null;
+  if (typeof bodyToken === 'string' && bodyToken) {
+    return bodyToken;
+  }
+  return usesCookies() ? req.cookies?.[REFRESH_COOKIE] || null : null;
+};
+
+/**
+ * Whether this request is authenticated by cookies (and so needs CSRF protection)
+ * Requests carrying a Bearer header are not: browsers never add that header on their own
+ */
+export const isCookieAuthenticated = (req) => {
+  if (!usesCookies()) {
+    return false;
+  }
+  if (usesBearer() && getBearerToken(req)) {
+    return false;
+  }
+  return Boolean(req.cookies?.[SESSION_COOKIE] || req.cookies?.[REFRESH_COOKIE]);
+};
+
+/**
+ * Check the double-submit CSRF token: header must match the cookie
+ */
+export const hasValidCsrfToken = (req) => {
+  const cookieToken = req.cookies?.[CSRF_COOKIE];
+  const headerToken = req.headers[CSRF_HEADER];
+  if (typeof cookieToken !== 'string' || typeof headerToken !== 'string' || !cookieToken) {
+    return false;
+  }
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(headerToken);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Current CSRF token, so a reloaded frontend can pick it up again
+ */
+export const getCsrfToken = (req) => req.cookies?.[CSRF_COOKIE] || null;
@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { firestore } from '../firebase.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * Sessions: short-lived JWT access tokens plus rotating refresh tokens
+ *
+ *   refreshTokens/{jti}          { familyId, tokenHash, uid, email, role, teamId, leaderUserId,
+ *                                  familyExpiresAt, createdAt, usedAt, revokedAt }
+ *   revokedAccessTokens/{jti}    { expiresAt }  - access tokens revoked before they expire
+ *   sessionRevocations/{teamId}  { notBefore }  - access tokens issued until then are rejected
+ *
+ * A refresh token is "<jti>.<secret>"; only a hash of the secret is stored.
+ * Each refresh marks the token used and issues the next one in the same family.
+ * Presenting a used or revoked refresh token revokes the whole family, since
+ * that means the token was copied. A family never outlives the original login.
+ * (revokedAccessTokens and refreshTokens can use a Firestore TTL policy on
+ * expiresAt / familyExpiresAt to clean up old documents.)
+ */
+
+const ACCESS_TOKEN_TTL_SECONDS = config.auth.accessTokenTtlSeconds;
+// How long revocation lookups are cached per instance
+const REVOCATION_CACHE_MS = config.auth.revocationCacheSeconds * 1000;
+
+const REVOCATION_CACHE_MAX_ENTRIES = 10000;
+
+const revocationCache = new Map();
+
+/**
+ * Cache a revocation lookup, dropping stale entries once the cache gets big
+ */
+const cacheRevocation = (key, value) => {
+  if (revocationCache.size >= REVOCATION_CACHE_MAX_ENTRIES) {
+    const now = Date.now();
+    revocationCache.forEach((entry, cachedKey) => {
+      if (now - entry.cachedAt >= REVOCATION_CACHE_MS) {
+        revocationCache.delete(cachedKey);
+      }
+    });
+  }
+  revocationCache.set(key, { ...value, cachedAt: Date.now() });
+};
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+// Refresh token ids are UUIDs; anything else (e.g. "a/b", which Firestore
+// would read as a path) is rejected before it reaches .doc()
+const REFRESH_TOKEN_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+/**
+ * Session claims carried by both access and refresh tokens
+ */
+const pickClaims = ({ uid, email, role, teamId, leaderUserId }) => ({
+  uid,
+  email,
+  role,
+  ...(teamId && { teamId }),
+  ...(leaderUserId && { leaderUserId }),
+});
+
+/**
+ * Sign an access token with its own jti
+ */
+const signAccessToken = (claims) => jwt.sign(
+  pickClaims(claims),
+  config.auth.jwtSecret,
+  { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() }
+);
+
+/**
+ * Build a new refresh token in a family
+ * Returns the document to create and the token value for the client
+ */
+const buildRefreshToken = (claims, familyId, familyExpiresAt) => {
+  const jti = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return {
+    ref: firestore.collection('refreshTokens').doc(jti),
+    data: {
+      ...pickClaims(claims),
+      familyId,
+      tokenHash: hashSecret(secret).toString('hex'),
+      familyExpiresAt,
+      createdAt: Date.now(),
+      usedAt: null,
+      revokedAt: null,
+    },
+    value: `${jti}.${secret}`,
+  };
+};
+
+/**
+ * Start a session after login
+ * sessionTtlSeconds bounds how long the session can be refreshed
+ * Returns { token, expiresIn, refreshToken, refreshExpiresIn }
+ */
+export const issueSession = async (claims, sessionTtlSeconds) => {
+  const familyExpiresAt = Date.now() + sessionTtlSeconds * 1000;
+  const refreshToken = buildRefreshToken(claims, crypto.randomUUID(), familyExpiresAt);
+  await refreshToken.ref.create(refreshToken.data);
+
+  return {
+    token: signAccessToken(claims),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken: refreshToken.value,
+    refreshExpiresIn: sessionTtlSeconds,
+  };
+};
+
+/**
+ * Revoke every refresh token in a family
+ */
+const revokeFamily = async (familyId) => {
+  const snapshot = await firestore
+    .collection('refreshTokens')
+    .where('familyId', '==', familyId)
+    .get();
+  const batch = firestore.batch();
+  const revokedAt = Date.now();
+  snapshot.docs.forEach((doc) => batch.update(doc.ref, { revokedAt }));
+  await batch.commit();
+};
+
+/**
+ * Look up a refresh token and check its secret
+ * Returns the Firestore ref and data, or null if it doesn't match
+ */
+const findRefreshToken = async (transaction, refreshToken) => {
+  if (typeof refreshToken !== 'string' || refreshToken.length > 256) {
+    return null;
+  }
+  const [jti, secret] = refreshToken.split('.');
+  if (!jti || !secret || !REFRESH_TOKEN_ID_PATTERN.test(jti)) {
+    return null;
+  }
+
+  const ref = firestore.collection('refreshTokens').doc(jti);
+  const doc = transaction ? await transaction.get(ref) : await ref.get();
+  if (!doc.exists) {
+    return null;
+  }
+
+  const data = doc.data();
+  const expected = Buffer.from(data.tokenHash, 'hex');
+  if (!crypto.timingSafeEqual(expected, hashSecret(secret))) {
+    return null;
+  }
+  return { ref, data };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * Throws a 401 error if the refresh token is invalid, expired, revoked or reused
+ */
+export const refreshSession = async (refreshToken) => {
+  let reusedFamilyId = null;
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const found = await findRefreshToken(transaction, refreshToken);
+    if (!found) {
+      throw sessionError('Invalid refresh token. Please login again.');
+    }
+
+    const { ref, data } = found;
+    if (data.revokedAt) {
+      throw sessionError('Session has been revoked. Please login again.');
+    }
+    if (data.usedAt) {
+      reusedFamilyId = data.familyId;
+      return null;
+    }
+    if (Date.now() > data.familyExpiresAt) {
+      throw sessionError('Session has expired. Please login again.');
+    }
+
+    const nextRefreshToken = buildRefreshToken(data, data.familyId, data.familyExpiresAt);
+    transaction.update(ref, { usedAt: Date.now() });
+    transaction.create(nextRefreshToken.ref, nextRefreshToken.data);
+
+    return {
+      token: signAccessToken(data),
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      refreshToken: nextRefreshToken.value,
+      refreshExpiresIn: Math.max(Math.floor((data.familyExpiresAt - Date.now()) / 1000), 0),
+      claims: pickClaims(data),
+    };
+  });
+
+  if (reusedFamilyId) {
+    logger.warn('[SESSIONS] Refresh token reuse detected, revoking family', { familyId: reusedFamilyId });
+    await revokeFamily(reusedFamilyId);
+    throw sessionError('Session has been revoked. Please login again.');
+  }
+
+  return result;
+};
+
+/**
+ * Revoke the family of a refresh token (logout)
+ * Unknown tokens are ignored
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+  const found = await findRefreshToken(null, refreshToken);
+  if (found) {
+    await revokeFamily(found.data.familyId);
+  }
+};
+
+/**
+ * Deny a decoded access token until it expires (logout)
+ */
+export const revokeAccessToken = async (decoded) => {
+  if (!decoded?.jti) {
+    return;
+  }
+  const expiresAt = (decoded.exp || 0) * 1000;
+  await firestore.collection('revokedAccessTokens').doc(decoded.jti).set({ expiresAt });
+  cacheRevocation(`jti:${decoded.jti}`, { revoked: true });
+};
+
+/**
+ * Revoke every session of a team: all refresh tokens, and access tokens issued until now
+ */
+export const revokeTeamSessions = async (teamId) => {
+  const notBefore = Math.floor(Date.now() / 1000);
+  await firestore.collection('sessionRevocations').doc(teamId).set({ notBefore });
+  cacheRevocation(`team:${teamId}`, { notBefore });
+
+  const snapshot = await firestore
+    .collection('refreshTokens')
+    .where('teamId', '==', teamId)
+    .where('revokedAt', '==', null)
+    .get();
+
+  const revokedAt = Date.now();
+  for (let i = 0; i < snapshot.docs.length; i += 500) {
+    const batch = firestore.batch();
+    snapshot.docs.slice(i, i + 500).forEach((doc) => batch.update(doc.ref, { revokedAt }));
+    await batch.commit();
+  }
+
+  return snapshot.size;
+};
+
+/**
+ * Check whether a verified access token has been revoked
+ * Lookups are cached briefly so most requests don't hit Firestore
+ */
+export const isAccessTokenRevoked = async (decoded) => {
+  const now = Date.now();
+  const jtiKey = decoded.jti ? `jti:${decoded.jti}` : null;
+  const teamKey = decoded.teamId ? `team:${decoded.teamId}` : null;
+
+  const isFresh = (key) => {
+    const entry = key && revocationCache.get(key);
+    return Boolean(entry) && now - entry.cachedAt < REVOCATION_CACHE_MS;
+  };
+
+  const refs = [];
+  if (jtiKey && !isFresh(jtiKey)) {
+    refs.push([jtiKey, firestore.collection('revokedAccessTokens').doc(decoded.jti)]);
+  }
+  if (teamKey && !isFresh(teamKey)) {
+    refs.push([teamKey, firestore.collection('sessionRevocations').doc(decoded.teamId)]);
+  }
+
+  if (refs.length > 0) {
+    const docs = await firestore.getAll(...refs.map(([, ref]) => ref));
+    docs.forEach((doc, index) => {
+      const [key] = refs[index];
+      cacheRevocation(key, key.startsWith('jti:')
+        ? { revoked: doc.exists }
+        : { notBefore: doc.exists ? doc.data().notBefore : 0 });
+    });
+  }
+
+  if (jtiKey && revocationCache.get(jtiKey).revoked) {
+    return true;
+  }
+  // iat has second precision, so tokens issued in the revocation second are rejected too
+  if (teamKey && (decoded.iat || 0) <= revocationCache.get(teamKey).notBefore) {
+    return true;
+  }
+  return false;
+};
@@ -0,0 +1,179 @@
+import { submissionsRef } from './storage/firestoreStore.js';
+import {
+  findRowByTeamId,
+  addRowToSheet,
+  updateRowInSheet,
+  deleteRowFromSheet,
+} from './googleSheets.js';
+import { logger } from './logger.js';
+import { config } from './config.js';
+
+/**
+ * Background queue mirroring Firestore submissions to the Google Sheet
+ * Each submission document carries its sync state in a `sync` field:
+ *   { status: 'pending' | 'synced' | 'failed', attempts, lastError, lastAttemptAt, syncedAt }
+ * Syncs run one at a time to stay inside the Sheets API quota
+ * A team whose document was deleted has its row removed from the sheet
+ */
+
+const MAX_ATTEMPTS = config.sheetSync.maxAttempts;
+const BASE_RETRY_DELAY_MS = config.sheetSync.retryDelayMs;
+
+// gRPC FAILED_PRECONDITION - the document changed while we were syncing it
+const FAILED_PRECONDITION = 9;
+
+// teamIds waiting to be synced (so the same team is never queued twice)
+const scheduled = new Set();
+let queue = Promise.resolve();
+
+/**
+ * Initial sync state for a new or edited submission
+ */
+export const pendingSyncState = () => ({
+  status: 'pending',
+  attempts: 0,
+  lastError: null,
+  lastAttemptAt: null,
+  syncedAt: null,
+});
+
+/**
+ * Push one team's submission to the sheet and record the result
+ */
+const syncTeam = async (teamId) => {
+  scheduled.delete(teamId);
+
+  const ref = submissionsRef().doc(teamId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    const existingRow = await findRowByTeamId(teamId);
+    if (existingRow) {
+      await deleteRowFromSheet(existingRow.rowNumber);
+      logger.info('[SHEET SYNC] Removed deleted submission', { teamId });
+    }
+    return;
+  }
+
+  const { sync = {}, ...data } = doc.data();
+  const attempts = (sync.attempts || 0) + 1;
+  const lastAttemptAt = new Date().toISOString();
+
+  let syncUpdate;
+  let retryDelayMs = null;
+  try {
+    // Upsert so a retry after a partial failure never adds a second row
+    // (a fresh read on a miss, in case another instance appended it)
+    const existingRow = await findRowByTeamId(teamId, { fresh: true });
+    if (existingRow) {
+      await updateRowInSheet(existingRow.rowNumber, data);
+    } else {
+      await addRowToSheet(data);
+    }
+    syncUpdate = {
+      'sync.status': 'synced',
+      'sync.attempts': attempts,
+      'sync.lastError': null,
+      'sync.lastAttemptAt': lastAttemptAt,
+      'sync.syncedAt': lastAttemptAt,
+    };
+    logger.info('[SHEET SYNC] Synced submission', { teamId });
+  } catch (error) {
+    const hasFailed = attempts >= MAX_ATTEMPTS;
+    syncUpdate = {
+      'sync.status': hasFailed ? 'failed' : 'pending',
+      'sync.attempts': attempts,
+      'sync.lastError': error.message || String(error),
+      'sync.lastAttemptAt': lastAttemptAt,
+    };
+    if (!hasFailed) {
+      retryDelayMs = BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+    }
+    logger.warn('[SHEET SYNC] Sync attempt failed', { teamId, attempt: attempts, maxAttempts: MAX_ATTEMPTS, error: error.message });
+  }
+
+  try {
+    // Only record the result if nobody edited the submission meanwhile;
+    // an edit resets the state to pending and queues its own sync
+    await ref.update(syncUpdate, { lastUpdateTime: doc.updateTime });
+  } catch (error) {
+    if (error.code === FAILED_PRECONDITION) {
+      return;
+    }
+    throw error;
+  }
+
+  if (retryDelayMs !== null) {
+    enqueueSheetSync(teamId, retryDelayMs);
+  }
+};
+
+/**
+ * Queue a team's submission to be mirrored to the sheet
+ */
+export const enqueueSheetSync = (teamId, delayMs = 0) => {
+  if (scheduled.has(teamId)) {
+    return;
+  }
+  scheduled.add(teamId);
+
+  const timer = setTimeout(() => {
+    queue = queue
+      .then(() => syncTeam(teamId))
+      .catch((error) => {
+        logger.error('[SHEET SYNC] Error syncing submission', { teamId, error });
+      });
+  }, delayMs);
+  // Don't keep the process alive just for a pending retry
+  timer.unref?.();
+};
+
+/**
+ * Reset a submission's sync state and queue it again
+ * Used by admins to retry failed syncs
+ */
+export const resyncSubmission = async (teamId) => {
+  const ref = submissionsRef().doc(teamId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return false;
+  }
+  await ref.update({ sync: pendingSyncState() });
+  enqueueSheetSync(teamId);
+  return true;
+};
+
+/**
+ * List submissions that are not yet in the sheet
+ */
+export const listUnsyncedSubmissions = async (limit = 100) => {
+  const snapshot = await submissionsRef()
+    .where('sync.status', 'in', ['pending', 'failed'])
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const { teamId, teamName, submissionTime, lastEditedTime, sync } = doc.data();
+    return {
+      teamId: teamId || doc.id,
+      teamName: teamName || '',
+      submissionTime: submissionTime || '',
+      lastEditedTime: lastEditedTime || '',
+      sync,
+    };
+  });
+};
+
+/**
+ * Queue every pending submission, e.g. after a restart
+ */
+export const resumePendingSheetSyncs = async () => {
+  try {
+    const snapshot = await submissionsRef()
+      .where('sync.status', '==', 'pending')
+      .get();
+    snapshot.docs.forEach((doc) => enqueueSheetSync(doc.id));
+    logger.info('[SHEET SYNC] Resumed pending syncs', { count: snapshot.size });
+  } catch (error) {
+    logger.error('[SHEET SYNC] Error resuming pending syncs', { error });
+  }
+};
@@ -0,0 +1,124 @@
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { isAccessTokenRevoked } from './sessions.js';
+
+/**
+ * Server-Sent Events responses
+ * Each message is `event: <name>` plus one line of JSON data. A comment line
+ * is written every SSE_HEARTBEAT_SECONDS so proxies don't drop an idle stream.
+ */
+
+// How long EventSource waits before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 5000;
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Create an event stream for the response
+ * Create it before awaiting anything, so a client that disconnects while the
+ * first events are read is noticed. Nothing is written until open().
+ * Returns { open(), send(event, data), close(event, data), onClose(fn), isClosed() };
+ * onClose callbacks run once when the stream closes (right away if it already has)
+ */
+export const createEventStream = (req, res) => {
+  const closeCallbacks = [];
+  let closed = false;
+  let opened = false;
+  let heartbeat = null;
+
+  const handleClose = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    closeCallbacks.splice(0).forEach((callback) => callback());
+  };
+
+  res.on('close', handleClose);
+  // The client may already have gone while the route was authorizing
+  if (res.writableEnded || !res.socket || res.socket.destroyed) {
+    handleClose();
+  }
+
+  const send = (event, data) => {
+    if (opened && !closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  return {
+    open: () => {
+      if (opened || closed) {
+        return;
+      }
+      opened = true;
+      res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+      heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+      }, config.events.heartbeatSeconds * 1000);
+    },
+    send,
+    // Send a last event (if given) and end the stream; before open() it only
+    // runs the close callbacks, leaving the response to the caller
+    close: (event, data) => {
+      if (closed) {
+        return;
+      }
+      if (opened) {
+        if (event) {
+          send(event, data);
+        }
+        res.end();
+      }
+      handleClose();
+    },
+    onClose: (callback) => {
+      if (closed) {
+        callback();
+      } else {
+        closeCallbacks.push(callback);
+      }
+    },
+    isClosed: () => closed,
+  };
+};
+
+/**
+ * End a stream when the session that opened it ends: at the access token's
+ * expiry, or once the token is revoked (checked every SSE_SESSION_CHECK_SECONDS)
+ * A `sessionEnded` event ({ reason: 'expired' | 'revoked' }) is sent first, so
+ * the client refreshes its session before reconnecting
+ */
+export const closeWhenSessionEnds = (stream, accessToken) => {
+  const endSession = (reason) => stream.close('sessionEnded', { reason });
+
+  const expiryTimer = accessToken.exp
+    ? setTimeout(() => endSession('expired'), Math.min(Math.max(accessToken.exp * 1000 - Date.now(), 0), MAX_TIMER_MS))
+    : null;
+
+  const revocationTimer = setInterval(() => {
+    isAccessTokenRevoked(accessToken)
+      .then((revoked) => {
+        if (revoked) {
+          endSession('revoked');
+        }
+      })
+      .catch((error) => logger.error('[SSE] Error checking session revocation', { error }));
+  }, config.events.sessionCheckSeconds * 1000);
+
+  stream.onClose(() => {
+    clearTimeout(expiryTimer);
+    clearInterval(revocationTimer);
+  });
+};
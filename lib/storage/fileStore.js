@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+
+/**
+ * Submission store backed by a local JSON file
+ * For offline development and automated tests - not for production use
+ * File layout: { "<teamId>": { ...submission } }
+ */
+
+const getFilePath = () => path.resolve(config.submissions.storeFile);
+
+// Writes are chained so concurrent requests never interleave read-modify-write
+let writeQueue = Promise.resolve();
+
+/**
+ * Read all submissions from the file (empty if the file does not exist yet)
+ */
+const readAll = async () => {
+  try {
+    const contents = await fs.readFile(getFilePath(), 'utf8');
+    return contents.trim() ? JSON.parse(contents) : {};
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    logger.error('[FILE STORE] Error reading submissions file', { error });
+    throw error;
+  }
+};
+
+/**
+ * Write all submissions to the file (write to temp file, then rename)
+ */
+const writeAll = async (submissions) => {
+  const filePath = getFilePath();
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(submissions, null, 2));
+  await fs.rename(tempPath, filePath);
+};
+
+/**
+ * Run a read-modify-write against the file, one at a time
+ */
+const mutate = (fn) => {
+  const result = writeQueue.then(async () => {
+    const submissions = await readAll();
+    const value = fn(submissions);
+    await writeAll(submissions);
+    return value;
+  });
+  // Keep the queue going even if this mutation fails
+  writeQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Get the submission for a team, or null if none exists
+ */
+const findByTeamId = async (teamId) => {
+  const submissions = await readAll();
+  return submissions[teamId] || null;
+};
+
+/**
+ * Add a new submission
+ * Fails with status 409 if the team already has one
+ */
+const create = (data) => mutate((submissions) => {
+  if (submissions[data.teamId]) {
+    const error = new Error(`Submission already exists for teamId: ${data.teamId}`);
+    error.status = 409;
+    throw error;
+  }
+  submissions[data.teamId] = data;
+  return data;
+});
+
+/**
+ * Replace the submission of a team
+ */
+const update = (teamId, data) => mutate((submissions) => {
+  if (!submissions[teamId]) {
+    const error = new Error(`No submission found for teamId: ${teamId}`);
+    error.status = 404;
+    throw error;
+  }
+  submissions[teamId] = data;
+  return data;
+});
+
+/**
+ * Get every submission
+ */
+const list = async () => Object.values(await readAll());
+
+/**
+ * Iterate over every submission
+ */
+async function* iterate() {
+  yield* Object.values(await readAll());
+}
+
+/**
+ * Delete the submission of a team
+ * Returns false if the team has none
+ */
+const remove = (teamId) => mutate((submissions) => {
+  if (!submissions[teamId]) {
+    return false;
+  }
+  delete submissions[teamId];
+  return true;
+});
+
+export const fileStore = {
+  name: 'file',
+  hasAtomicCreate: true,
+  findByTeamId,
+  create,
+  update,
+  list,
+  iterate,
+  remove,
+};
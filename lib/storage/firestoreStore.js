@@ -0,0 +1,98 @@
+import { firestore } from '../../firebase.js';
+import { config } from '../config.js';
+
+/**
+ * Submission store backed by the Firestore `submissions` collection
+ * One document per team, keyed by teamId
+ */
+
+const COLLECTION = config.submissions.collection;
+
+export const submissionsRef = () => firestore.collection(COLLECTION);
+
+/**
+ * Get the submission for a team, or null if none exists
+ */
+const findByTeamId = async (teamId) => {
+  const doc = await submissionsRef().doc(teamId).get();
+  return doc.exists ? doc.data() : null;
+};
+
+/**
+ * Create the submission document
+ * Fails with status 409 if the team already has one
+ */
+const create = async (data) => {
+  try {
+    await submissionsRef().doc(data.teamId).create(data);
+    return data;
+  } catch (error) {
+    // gRPC ALREADY_EXISTS
+    if (error.code === 6) {
+      const err = new Error(`Submission already exists for teamId: ${data.teamId}`);
+      err.status = 409;
+      throw err;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Replace the submission document of a team
+ */
+const update = async (teamId, data) => {
+  try {
+    await submissionsRef().doc(teamId).update(data);
+    return data;
+  } catch (error) {
+    // gRPC NOT_FOUND
+    if (error.code === 5) {
+      const err = new Error(`No submission found for teamId: ${teamId}`);
+      err.status = 404;
+      throw err;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get every submission
+ */
+const list = async () => {
+  const snapshot = await submissionsRef().get();
+  return snapshot.docs.map((doc) => doc.data());
+};
+
+/**
+ * Iterate over every submission without loading the whole collection
+ */
+async function* iterate() {
+  for await (const doc of submissionsRef().stream()) {
+    yield doc.data();
+  }
+}
+
+/**
+ * Delete the submission document of a team
+ * Returns false if the team has none
+ */
+const remove = async (teamId) => {
+  const ref = submissionsRef().doc(teamId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return false;
+  }
+  await ref.delete();
+  return true;
+};
+
+export const firestoreStore = {
+  name: 'firestore',
+  hasAtomicCreate: true,
+  findByTeamId,
+  create,
+  update,
+  list,
+  iterate,
+  remove,
+};
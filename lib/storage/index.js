@@ -0,0 +1,32 @@
+import { sheetsStore } from './sheetsStore.js';
+import { firestoreStore } from './firestoreStore.js';
+import { fileStore } from './fileStore.js';
+import { mirroredStore } from './mirroredStore.js';
+import { config } from '../config.js';
+
+/**
+ * Submission storage
+ * Every store implements the same interface:
+ *   findByTeamId(teamId) -> submission data or null
+ *   create(data)         -> stored data (status 409 if the team already has one, where supported)
+ *   update(teamId, data) -> stored data (status 404 if the team has none)
+ *   list()               -> every submission
+ *   iterate()            -> async iterator over every submission (for large exports)
+ *   remove(teamId)       -> true if a submission was deleted, false if there was none
+ *   hasAtomicCreate      -> true if create itself rejects a second submission for a team
+ * Selected with SUBMISSION_STORE: sheets (default), firestore, file or mirrored
+ * (validated at boot by lib/config.js)
+ * (mirrored = Firestore first, copied to the sheet in the background)
+ */
+
+const stores = {
+  sheets: sheetsStore,
+  firestore: firestoreStore,
+  file: fileStore,
+  mirrored: mirroredStore,
+};
+
+/**
+ * Get the configured submission store
+ */
+export const getSubmissionStore = () => stores[config.submissions.store];
@@ -0,0 +1,115 @@
+import { firestore } from '../../firebase.js';
+import { submissionsRef } from './firestoreStore.js';
+import { enqueueSheetSync, pendingSyncState } from '../sheetSync.js';
+
+/**
+ * Submission store that writes to Firestore first and mirrors to the sheet
+ * A submission is durable once the Firestore transaction commits, even if
+ * the Sheets API is slow or out of quota; the sheet catches up in the background
+ */
+
+/**
+ * Drop the sync bookkeeping so responses look the same as other stores
+ */
+const withoutSyncState = ({ sync, ...data }) => data;
+
+/**
+ * Get the submission for a team, or null if none exists
+ */
+const findByTeamId = async (teamId) => {
+  const doc = await submissionsRef().doc(teamId).get();
+  return doc.exists ? withoutSyncState(doc.data()) : null;
+};
+
+/**
+ * Create the submission document and queue the sheet sync
+ * Fails with status 409 if the team already has one
+ */
+const create = async (data) => {
+  const submission = withoutSyncState(data);
+  const ref = submissionsRef().doc(submission.teamId);
+
+  await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (doc.exists) {
+      const error = new Error(`Submission already exists for teamId: ${submission.teamId}`);
+      error.status = 409;
+      throw error;
+    }
+    transaction.create(ref, { ...submission, sync: pendingSyncState() });
+  });
+
+  enqueueSheetSync(submission.teamId);
+  return submission;
+};
+
+/**
+ * Replace the submission document and queue the sheet sync
+ */
+const update = async (teamId, data) => {
+  const submission = withoutSyncState(data);
+  const ref = submissionsRef().doc(teamId);
+
+  await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      const error = new Error(`No submission found for teamId: ${teamId}`);
+      error.status = 404;
+      throw error;
+    }
+    transaction.set(ref, { ...submission, sync: pendingSyncState() });
+  });
+
+  enqueueSheetSync(teamId);
+  return submission;
+};
+
+/**
+ * Get every submission
+ */
+const list = async () => {
+  const snapshot = await submissionsRef().get();
+  return snapshot.docs.map((doc) => withoutSyncState(doc.data()));
+};
+
+/**
+ * Iterate over every submission without loading the whole collection
+ */
+async function* iterate() {
+  for await (const doc of submissionsRef().stream()) {
+    yield withoutSyncState(doc.data());
+  }
+}
+
+/**
+ * Delete the submission document and queue removal of the sheet row
+ * Returns false if the team has none
+ */
+const remove = async (teamId) => {
+  const ref = submissionsRef().doc(teamId);
+
+  const removed = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      return false;
+    }
+    transaction.delete(ref);
+    return true;
+  });
+
+  if (removed) {
+    enqueueSheetSync(teamId);
+  }
+  return removed;
+};
+
+export const mirroredStore = {
+  name: 'mirrored',
+  hasAtomicCreate: true,
+  findByTeamId,
+  create,
+  update,
+  list,
+  iterate,
+  remove,
+};
@@ -0,0 +1,85 @@
+import {
+  findRowByTeamId,
+  addRowToSheet,
+  updateRowInSheet,
+  getAllRows,
+  iterateRows,
+  deleteRowFromSheet,
+} from '../googleSheets.js';
+
+/**
+ * Submission store backed by the Google Sheet
+ * One row per team, looked up by the Team id column
+ */
+
+/**
+ * Get the submission for a team, or null if none exists
+ */
+const findByTeamId = async (teamId) => {
+  const result = await findRowByTeamId(teamId);
+  return result ? result.data : null;
+};
+
+/**
+ * Append a new submission row
+ * The sheet can't refuse a duplicate row, so callers hold the distributed
+ * submission lock and the Team id column is re-read first: another instance
+ * may have appended the team's row after this instance's index was loaded
+ */
+const create = async (data) => {
+  if (await findRowByTeamId(data.teamId, { fresh: true })) {
+    const error = new Error(`Submission already exists for teamId: ${data.teamId}`);
+    error.status = 409;
+    throw error;
+  }
+  await addRowToSheet(data);
+  return data;
+};
+
+/**
+ * Replace the submission row of a team
+ */
+const update = async (teamId, data) => {
+  const result = await findRowByTeamId(teamId);
+  if (!result) {
+    const error = new Error(`No submission found for teamId: ${teamId}`);
+    error.status = 404;
+    throw error;
+  }
+  await updateRowInSheet(result.rowNumber, data);
+  return data;
+};
+
+/**
+ * Get every submission (reads the whole sheet)
+ */
+const list = () => getAllRows();
+
+/**
+ * Iterate over every submission, one sheet batch at a time
+ */
+const iterate = () => iterateRows();
+
+/**
+ * Delete the submission row of a team
+ * Returns false if the team has none
+ */
+const remove = async (teamId) => {
+  const result = await findRowByTeamId(teamId);
+  if (!result) {
+    return false;
+  }
+  await deleteRowFromSheet(result.rowNumber);
+  return true;
+};
+
+export const sheetsStore = {
+  name: 'sheets',
+  hasAtomicCreate: false,
+  findByTeamId,
+  create,
+  update,
+  list,
+  iterate,
+  remove,
+};
@@ -0,0 +1,192 @@
+import { once } from 'events';
+import { parse } from 'date-fns';
+import { firestore } from '../firebase.js';
+import { SUBMISSION_FIELDS } from './submissionSchema.js';
+
+/**
+ * Streaming export of submissions enriched with team registration data
+ * Submissions are read from the store iterator and enriched in batches,
+ * so memory use stays flat no matter how many teams submitted
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+// Firestore `in` queries accept at most 30 values
+const ENRICH_BATCH_SIZE = 30;
+
+/**
+ * Format a member for a single CSV cell: "Name <email> (phone)"
+ */
+const formatMember = (member) => {
+  let text = member.name || '';
+  if (member.email) {
+    text += ` <${member.email}>`;
+  }
+  if (member.phoneNumber) {
+    text += ` (${member.phoneNumber})`;
+  }
+  return text.trim();
+};
+
+/**
+ * Available export columns, in default order
+ * value(submission, registration) returns the JSON value; csv(value) flattens it for CSV
+ */
+const EXPORT_COLUMNS = {
+  submissionTime: { header: 'Submission time', value: (s) => s.submissionTime || '' },
+  lastEditedTime: { header: 'Last edited', value: (s) => s.lastEditedTime || '' },
+  isLate: { header: 'Late', value: (s) => Boolean(s.isLate) },
+  teamId: { header: 'Team id', value: (s) => s.teamId || '' },
+  teamName: { header: 'Team name', value: (s, r) => s.teamName || r?.teamName || '' },
+  registrationStatus: { header: 'Registration status', value: (s, r) => r?.status || '' },
+  leaderName: { header: 'Leader name', value: (s) => s.leaderName || '' },
+  leaderEmail: { header: 'Leader email', value: (s) => s.leaderEmail || '' },
+  leaderPhone: { header: 'Leader phone', value: (s) => s.leaderPhone || '' },
+  memberCount: { header: 'Member count', value: (s, r) => r?.members?.length || 0 },
+  members: {
+    header: 'Members',
+    value: (s, r) => r?.members || [],
+    csv: (members) => members.map(formatMember).join('; '),
+  },
+  // Fields the team fills in, from the submission schema
+  ...Object.fromEntries(SUBMISSION_FIELDS.map((field) => [
+    field.name,
+    { header: field.label, value: (s) => s[field.name] || '' },
+  ])),
+};
+
+export const EXPORT_COLUMN_NAMES = Object.keys(EXPORT_COLUMNS);
+
+/**
+ * Parse the stored "yyyy-MM-dd HH:mm:ss" submission time (server local time)
+ */
+const parseSubmissionTime = (submissionTime) => {
+  if (!submissionTime) {
+    return null;
+  }
+  const date = parse(submissionTime, 'yyyy-MM-dd HH:mm:ss', new Date());
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Escape a CSV cell
+ * Cells starting with = + - @ are prefixed with ' so spreadsheets don't run them as formulas
+ */
+const toCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Look up the registrations for a batch of teamIds
+ * Returns Map<teamId, registration>
+ */
+const getRegistrations = async (teamIds) => {
+  const registrations = new Map();
+  if (teamIds.length === 0) {
+    return registrations;
+  }
+
+  // teamId is stored on the registration, falling back to the document ID
+  const snapshot = await firestore
+    .collection('teamRegistrations')
+    .where('teamId', 'in', teamIds)
+    .get();
+  snapshot.docs.forEach((doc) => registrations.set(doc.data().teamId, doc.data()));
+
+  const missingIds = teamIds.filter((teamId) => !registrations.has(teamId));
+  if (missingIds.length > 0) {
+    const refs = missingIds.map((teamId) => firestore.collection('teamRegistrations').doc(teamId));
+    const docs = await firestore.getAll(...refs);
+    docs.filter((doc) => doc.exists).forEach((doc) => registrations.set(doc.id, doc.data()));
+  }
+
+  return registrations;
+};
+
+/**
+ * Write to the response, waiting for the client to catch up if needed
+ * Throws once the client has gone away so the export stops reading
+ */
+const write = async (res, chunk) => {
+  if (res.destroyed) {
+    throw new Error('Client disconnected during export');
+  }
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+};
+
+/**
+ * Stream the export to an HTTP response
+ * Options: format, columns (names from EXPORT_COLUMNS), from/to (Date, inclusive)
+ */
+export const streamSubmissionExport = async (store, res, { format, columns, from, to }) => {
+  const selectedColumns = columns.map((name) => [name, EXPORT_COLUMNS[name]]);
+
+  const toRecord = (submission, registration) => Object.fromEntries(
+    selectedColumns.map(([name, column]) => [name, column.value(submission, registration)])
+  );
+
+  const toCsvRow = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+  let written = 0;
+  const writeRecords = async (records) => {
+    for (const record of records) {
+      if (format === 'csv') {
+        await write(res, toCsvRow(selectedColumns.map(([name, column]) => (
+          column.csv ? column.csv(record[name]) : record[name]
+        ))));
+      } else if (format === 'ndjson') {
+        await write(res, `${JSON.stringify(record)}\n`);
+      } else {
+        await write(res, `${written > 0 ? ',\n' : '\n'}${JSON.stringify(record)}`);
+      }
+      written += 1;
+    }
+  };
+
+  const flush = async (batch) => {
+    const registrations = await getRegistrations(batch.map((submission) => submission.teamId));
+    await writeRecords(batch.map((submission) => (
+      toRecord(submission, registrations.get(submission.teamId))
+    )));
+  };
+
+  if (format === 'csv') {
+    await write(res, toCsvRow(selectedColumns.map(([, column]) => column.header)));
+  } else if (format === 'json') {
+    await write(res, '[');
+  }
+
+  let batch = [];
+  for await (const submission of store.iterate()) {
+    if (from || to) {
+      const submittedAt = parseSubmissionTime(submission.submissionTime);
+      if (!submittedAt || (from && submittedAt < from) || (to && submittedAt > to)) {
+        continue;
+      }
+    }
+
+    batch.push(submission);
+    if (batch.length === ENRICH_BATCH_SIZE) {
+      await flush(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await flush(batch);
+  }
+
+  if (format === 'json') {
+    await write(res, '\n]\n');
+  }
+
+  return written;
+};
@@ -0,0 +1,129 @@
+import { firestore } from '../firebase.js';
+import { logger, getRequestId } from './logger.js';
+import { SHEET_COLUMNS } from './submissionSchema.js';
+
+/**
+ * Revision history of submissions
+ * Every create, edit, admin delete and restore writes one immutable revision:
+ *   { teamId, revision, action: 'create' | 'update' | 'delete' | 'restore',
+ *     actorUid, actorRole, createdAt, requestId, changes: [{ field, from, to }],
+ *     snapshot, restoredFrom? }
+ * `snapshot` is the submission after the change (for a delete, the deleted one),
+ * so any revision can be restored. Revisions live in Firestore whatever the
+ * submission store is, numbered per team from 1 through a counter document.
+ */
+
+const REVISIONS_COLLECTION = 'submissionRevisions';
+const COUNTERS_COLLECTION = 'submissionHistory';
+
+// Submission keys that are compared and kept in snapshots
+const TRACKED_KEYS = SHEET_COLUMNS.map((column) => column.key);
+
+// A failed revision write is retried this many times in all, RETRY_DELAY_MS apart
+const WRITE_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 200;
+
+const revisionsRef = () => firestore.collection(REVISIONS_COLLECTION);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A submission value with missing values as empty ('' or false for isLate)
+ */
+const valueOf = (submission, key) => (
+  key === 'isLate' ? Boolean(submission?.isLate) : submission?.[key] ?? ''
+);
+
+/**
+ * Keep only the schema keys of a submission
+ */
+const toSnapshot = (submission) => (submission
+  ? Object.fromEntries(TRACKED_KEYS.map((key) => [key, valueOf(submission, key)]))
+  : null);
+
+/**
+ * Field-level diff between two submissions (either may be null)
+ * Missing values count as empty, so '' -> undefined is not a change
+ */
+export const diffSubmissions = (before, after) => TRACKED_KEYS
+  .map((key) => ({
+    field: key,
+    from: valueOf(before, key),
+    to: valueOf(after, key),
+  }))
+  .filter((change) => change.from !== change.to);
+
+/**
+ * Write a revision for a change to a team's submission
+ * actor is req.user ({ uid, role }); the request ID comes from the logging context
+ * A failed write is retried; if every attempt fails the error is thrown, so the
+ * request fails instead of leaving a change without its revision
+ * Returns the revision number
+ */
+export const recordRevision = async ({ teamId, action, actor, before, after, restoredFrom }) => {
+  const counterRef = firestore.collection(COUNTERS_COLLECTION).doc(teamId);
+  const snapshot = toSnapshot(action === 'delete' ? before : after);
+  const changes = diffSubmissions(before, action === 'delete' ? null : after);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await firestore.runTransaction(async (transaction) => {
+        const counter = await transaction.get(counterRef);
+        const revision = (counter.exists ? counter.data().latestRevision : 0) + 1;
+
+        transaction.set(counterRef, { teamId, latestRevision: revision });
+        // create() fails if the id is taken, so a revision is never overwritten
+        transaction.create(revisionsRef().doc(`${teamId}_${revision}`), {
+          teamId,
+          revision,
+          action,
+          actorUid: actor?.uid || null,
+          actorRole: actor?.role || null,
+          createdAt: new Date().toISOString(),
+          requestId: getRequestId() || null,
+          changes,
+          snapshot,
+          ...(restoredFrom && { restoredFrom }),
+        });
+        return revision;
+      });
+    } catch (error) {
+      logger.error('[SUBMISSION HISTORY] Error recording revision', { teamId, action, attempt, error });
+      if (attempt >= WRITE_ATTEMPTS) {
+        throw error;
+      }
+      await sleep(RETRY_DELAY_MS * attempt);
+    }
+  }
+};
+
+/**
+ * Every revision of a team's submission, newest first
+ */
+export const listRevisions = async (teamId) => {
+  const snapshot = await revisionsRef().where('teamId', '==', teamId).get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => b.revision - a.revision);
+};
+
+/**
+ * Get one revision, or null if it doesn't exist
+ */
+export const getRevision = async (teamId, revision) => {
+  const doc = await revisionsRef().doc(`${teamId}_${revision}`).get();
+  return doc.exists ? doc.data() : null;
+};
+
+/**
+ * Shape a revision for the team's own history
+ * Admin uids and request IDs stay internal; the role is enough to tell who changed it
+ */
+export const toTeamRevisionView = ({ revision, action, actorRole, createdAt, changes, restoredFrom }) => ({
+  revision,
+  action,
+  actorRole,
+  createdAt,
+  changes,
+  ...(restoredFrom && { restoredFrom }),
+});
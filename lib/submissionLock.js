@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import { firestore } from '../firebase.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * Per-team lock around reading and then writing a team's submission
+ * (submit, edit, admin delete and restore)
+ * Requests for the same team run one after another inside this process.
+ * With `distributed`, a lease document in `submissionLocks` also keeps
+ * other server instances out (needed for stores without an atomic create)
+ */
+
+const LOCKS_COLLECTION = 'submissionLocks';
+// A crashed holder's lease expires after this long
+const LOCK_TTL_MS = config.submissions.lockTtlMs;
+// How long a request waits for another instance before giving up
+const LOCK_WAIT_MS = config.submissions.lockWaitMs;
+const LOCK_RETRY_MS = 250;
+
+// teamId -> promise of the last queued holder in this process
+const localLocks = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run fn after every earlier holder of the same team's local lock is done
+ */
+const runExclusive = (teamId, fn) => {
+  const previous = localLocks.get(teamId) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  localLocks.set(teamId, tail);
+  tail.then(() => {
+    if (localLocks.get(teamId) === tail) {
+      localLocks.delete(teamId);
+    }
+  });
+  return run;
+};
+
+/**
+ * Take the team's lease document, waiting while another holder has it
+ * Returns the owner id needed to release it
+ */
+const acquireLease = async (teamId) => {
+  const ref = firestore.collection(LOCKS_COLLECTION).doc(teamId);
+  const owner = crypto.randomUUID();
+  const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+  while (true) {
+    const acquired = await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (doc.exists && doc.data().expiresAt > Date.now()) {
+        return false;
+      }
+      transaction.set(ref, { owner, expiresAt: Date.now() + LOCK_TTL_MS });
+      return true;
+    });
+
+    if (acquired) {
+      return owner;
+    }
+
+    if (Date.now() > giveUpAt) {
+      const error = new Error('Another submission for this team is still in progress. Please try again.');
+      error.status = 409;
+      throw error;
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+};
+
+/**
+ * Release the team's lease document if we still own it
+ */
+const releaseLease = async (teamId, owner) => {
+  const ref = firestore.collection(LOCKS_COLLECTION).doc(teamId);
+  try {
+    await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (doc.exists && doc.data().owner === owner) {
+        transaction.delete(ref);
+      }
+    });
+  } catch (error) {
+    // The lease expires on its own, so a failed release only delays the next holder
+    logger.error('[SUBMISSION LOCK] Error releasing lock', { teamId, error });
+  }
+};
+
+/**
+ * Run fn while holding the team's submission lock
+ */
+export const withSubmissionLock = (teamId, fn, { distributed = false } = {}) => (
+  runExclusive(teamId, async () => {
+    if (!distributed) {
+      return fn();
+    }
+
+    const owner = await acquireLease(teamId);
+    try {
+      return await fn();
+    } finally {
+      await releaseLease(teamId, owner);
+    }
+  })
+);
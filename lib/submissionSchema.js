@@ -0,0 +1,154 @@
+import { LINK_RULES, isPrivateHost, matchesHost } from './linkRules.js';
+
+/**
+ * Submission schema - the single place that defines what a submission contains
+ *
+ * SUBMISSION_FIELDS are the fields a team fills in. Validation, the sheet
+ * columns, row mapping, exports and API responses are all built from them, so
+ * adding a field (e.g. a demo URL) only means adding an entry here. New sheet
+ * columns are appended to the right of existing ones (see googleSheets.js).
+ *
+ * Field options:
+ *   name      - key in the request body and stored data
+ *   label     - human-readable name (sheet header, export header, frontend label)
+ *   type      - url | text
+ *   required  - reject the submission when empty
+ *   maxLength - maximum length after trimming
+ *   hosts     - url only: allowed hostnames (subdomains included); omit to allow any host
+ *   link      - url only: a rule from linkRules.js (github | slides | video) that the
+ *               link must pass; it may also normalize the stored value
+ *
+ * URL fields never accept private or loopback hosts.
+ */
+
+export const SUBMISSION_FIELDS = [
+  { name: 'githubLink', label: 'Github link', type: 'url', required: true, maxLength: 2048, link: 'github' },
+  { name: 'pptLink', label: 'PPT link', type: 'url', required: true, maxLength: 2048, link: 'slides' },
+  { name: 'videoLink', label: 'Video link', type: 'url', required: true, maxLength: 2048, link: 'video' },
+  { name: 'description', label: 'Description', type: 'text', required: true, maxLength: 5000 },
+];
+
+/**
+ * Sheet columns in the order a new sheet is laid out
+ * The first six and last two are filled by the server, not the team.
+ * toCell/fromCell convert values that aren't stored as plain text
+ */
+export const SHEET_COLUMNS = [
+  { key: 'submissionTime', header: 'Submission Time' },
+  { key: 'teamName', header: 'Team name' },
+  { key: 'teamId', header: 'Team id' },
+  { key: 'leaderName', header: 'Leader name' },
+  { key: 'leaderPhone', header: 'Leader\'s phone' },
+  { key: 'leaderEmail', header: 'Leader\'s email' },
+  ...SUBMISSION_FIELDS.map((field) => ({ key: field.name, header: field.label })),
+  { key: 'lastEditedTime', header: 'Last edited' },
+  {
+    key: 'isLate',
+    header: 'Late',
+    toCell: (value) => (value ? 'late' : ''),
+    fromCell: (cell) => cell === 'late',
+  },
+];
+
+// Keys of a stored submission that API responses include
+const SUBMISSION_KEYS = SHEET_COLUMNS.map((column) => column.key);
+
+/**
+ * Check one field value
+ * Returns a list of error messages (empty when valid)
+ */
+const validateField = (field, value) => {
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim().length === 0)) {
+    return field.required ? [`${field.name} is required and must be a non-empty string`] : [];
+  }
+  if (typeof value !== 'string') {
+    return [`${field.name} must be a string`];
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.length > field.maxLength) {
+    return [`${field.name} must be less than ${field.maxLength} characters`];
+  }
+
+  if (field.type === 'url') {
+    let url;
+    try {
+      url = new URL(trimmed);
+    } catch (error) {
+      return [`${field.name} must be a valid URL`];
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return [`${field.name} must use http or https protocol`];
+    }
+    if (isPrivateHost(url.hostname)) {
+      return [`${field.name} must not point to a private or local address`];
+    }
+    if (field.hosts && !matchesHost(url.hostname.toLowerCase(), field.hosts)) {
+      return [`${field.name} must be a link to ${field.hosts.join(', ')}`];
+    }
+    const rule = LINK_RULES[field.link];
+    if (rule && !rule.check(url)) {
+      return [`${field.name} must be ${rule.hint}`];
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Validate the submission fields of a request body
+ * Returns a list of error messages (empty when valid)
+ */
+export const validateSubmissionFields = (body) => SUBMISSION_FIELDS.flatMap(
+  (field) => validateField(field, body?.[field.name])
+);
+
+/**
+ * Normalize a validated, trimmed field value for storage
+ * e.g. GitHub links are stored as https://github.com/owner/repo
+ */
+export const normalizeFieldValue = (field, value) => {
+  const rule = LINK_RULES[field.link];
+  if (!value || !rule?.normalize) {
+    return value;
+  }
+  return rule.normalize(new URL(value));
+};
+
+/**
+ * Pick the submission fields out of a (validated) request body
+ * Missing optional fields are stored as empty strings
+ */
+export const pickSubmissionFields = (body) => Object.fromEntries(
+  SUBMISSION_FIELDS.map((field) => [field.name, body?.[field.name] ?? ''])
+);
+
+/**
+ * Shape stored submission data for API responses
+ * Only schema keys are returned, so store internals (e.g. sync state) stay private
+ */
+export const serializeSubmission = (submission) => {
+  if (!submission) {
+    return null;
+  }
+  return Object.fromEntries(SUBMISSION_KEYS.map((key) => {
+    const value = submission[key];
+    if (key === 'isLate') {
+      return [key, Boolean(value)];
+    }
+    return [key, value ?? ''];
+  }));
+};
+
+/**
+ * Public description of the fields, so the frontend can render the form
+ */
+export const describeSubmissionFields = () => SUBMISSION_FIELDS.map((field) => ({
+  name: field.name,
+  label: field.label,
+  type: field.type,
+  required: Boolean(field.required),
+  maxLength: field.maxLength,
+  ...(field.hosts && { hosts: field.hosts }),
+  ...(field.link && { hosts: LINK_RULES[field.link].hosts, hint: LINK_RULES[field.link].hint }),
+}));
@@ -0,0 +1,148 @@
+import { firestore } from '../firebase.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+// Firestore document that can override the env configuration at runtime
+const SETTINGS_COLLECTION = 'settings';
+const WINDOW_DOC_ID = 'submissionWindow';
+
+// How long a Firestore read of the window is reused before reading again
+const CACHE_TTL_MS = config.submissions.windowCacheSeconds * 1000;
+
+let cachedWindow = null;
+let cachedAt = 0;
+
+/**
+ * Convert a Firestore Timestamp, Date, ISO string or epoch millis to a Date
+ * Returns null for empty or invalid values
+ */
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    logger.error('[SUBMISSION WINDOW] Ignoring invalid date value', { value });
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Build the window from raw settings (env or Firestore document)
+ */
+const buildWindow = (settings, source) => {
+  const opensAt = toDate(settings.opensAt);
+  const closesAt = toDate(settings.closesAt);
+  const gracePeriodMinutes = Math.max(Number(settings.gracePeriodMinutes) || 0, 0);
+  const graceEndsAt = closesAt
+    ? new Date(closesAt.getTime() + gracePeriodMinutes * 60 * 1000)
+    : null;
+  // Edits default to the closing time (no grace period for edits)
+  const editDeadline = toDate(settings.editDeadline) || closesAt;
+
+  return {
+    opensAt,
+    closesAt,
+    gracePeriodMinutes,
+    graceEndsAt,
+    editDeadline,
+    source,
+  };
+};
+
+/**
+ * Read the window from the app configuration
+ */
+const getWindowFromEnv = () => buildWindow({
+  opensAt: config.submissions.opensAt,
+  closesAt: config.submissions.closesAt,
+  gracePeriodMinutes: config.submissions.graceMinutes,
+  editDeadline: config.submissions.editDeadline,
+}, 'config');
+
+/**
+ * Get the effective submission window
+ * The Firestore settings document wins over env config when it exists,
+ * so organizers can move the deadline without a redeploy
+ */
+export const getSubmissionWindow = async () => {
+  if (cachedWindow && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedWindow;
+  }
+
+  let submissionWindow;
+  try {
+    const doc = await firestore.collection(SETTINGS_COLLECTION).doc(WINDOW_DOC_ID).get();
+    submissionWindow = doc.exists ? buildWindow(doc.data(), 'firestore') : getWindowFromEnv();
+  } catch (error) {
+    logger.error('[SUBMISSION WINDOW] Error reading window settings, using config', { error });
+    submissionWindow = getWindowFromEnv();
+  }
+
+  cachedWindow = submissionWindow;
+  cachedAt = Date.now();
+  return submissionWindow;
+};
+
+/**
+ * Work out where `now` falls in the window
+ * Status is one of: not_open, open, grace, closed
+ * Missing open/close times leave that side of the window unbounded
+ */
+export const getWindowStatus = (submissionWindow, now = new Date()) => {
+  if (submissionWindow.opensAt && now < submissionWindow.opensAt) {
+    return 'not_open';
+  }
+  if (!submissionWindow.closesAt || now <= submissionWindow.closesAt) {
+    return 'open';
+  }
+  if (now <= submissionWindow.graceEndsAt) {
+    return 'grace';
+  }
+  return 'closed';
+};
+
+/**
+ * Check whether edits are still allowed
+ * Edits are closed if no edit deadline (or closing time) is configured
+ */
+export const isEditAllowed = (submissionWindow, now = new Date()) => {
+  if (submissionWindow.opensAt && now < submissionWindow.opensAt) {
+    return false;
+  }
+  return Boolean(submissionWindow.editDeadline) && now <= submissionWindow.editDeadline;
+};
+
+/**
+ * Serialize the window for API responses
+ */
+export const serializeWindow = (submissionWindow, now = new Date()) => {
+  const status = getWindowStatus(submissionWindow, now);
+  return {
+    serverTime: now.toISOString(),
+    status,
+    isAcceptingSubmissions: status === 'open' || status === 'grace',
+    isLate: status === 'grace',
+    canEdit: isEditAllowed(submissionWindow, now),
+    opensAt: submissionWindow.opensAt?.toISOString() || null,
+    closesAt: submissionWindow.closesAt?.toISOString() || null,
+    graceEndsAt: submissionWindow.graceEndsAt?.toISOString() || null,
+    gracePeriodMinutes: submissionWindow.gracePeriodMinutes,
+    editDeadline: submissionWindow.editDeadline?.toISOString() || null,
+  };
+};
+
+/**
+ * Seconds left until each point of the window (0 once it has passed, null if unset)
+ * Pushed to the live countdown so clients don't depend on their own clock
+ */
+export const getCountdown = (submissionWindow, now = new Date()) => {
+  const secondsUntil = (date) => (date ? Math.max(0, Math.ceil((date.getTime() - now.getTime()) / 1000)) : null);
+  return {
+    secondsUntilOpen: secondsUntil(submissionWindow.opensAt),
+    secondsUntilClose: secondsUntil(submissionWindow.closesAt),
+    secondsUntilGraceEnds: secondsUntil(submissionWindow.graceEndsAt),
+    secondsUntilEditDeadline: secondsUntil(submissionWindow.editDeadline),
+  };
+};
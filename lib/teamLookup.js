@@ -0,0 +1,261 @@
+import { firestore } from '../firebase.js';
+import { config } from './config.js';
+import { logger, getRequestContext } from './logger.js';
+
+/**
+ * Team registration lookups by leader uid
+ * Most team routes need the leader's `teamRegistrations` document, so lookups
+ * are cached twice:
+ *   - per request: repeated lookups within one request share one result
+ *   - per instance: results are kept for TEAM_CACHE_TTL_SECONDS (0 turns this off)
+ * A snapshot listener on the collection (TEAM_CACHE_LISTENER) drops a cached
+ * team as soon as its registration changes, so the TTL only bounds staleness
+ * while the listener is down. Its first snapshot reads the collection once at
+ * boot (and on each restart) and seeds the cache with every registered leader.
+ * The listener also keeps an index of member emails, so member logins don't
+ * read every registration; while it isn't running they scan confirmed ones.
+ * Lookups return { id, teamId, data } or null - treat them as read-only.
+ */
+
+const COLLECTION = 'teamRegistrations';
+
+const TTL_MS = config.teamCache.ttlSeconds * 1000;
+// The oldest entries are dropped beyond this
+const MAX_ENTRIES = 10000;
+// How long to wait before listening again after the listener fails
+const LISTENER_RETRY_MS = 30 * 1000;
+
+// leaderUserId -> { team, expiresAt }; team is null for uids without a registration
+const cache = new Map();
+// leaderUserId -> Firestore read in progress, shared by concurrent lookups
+const inFlight = new Map();
+// Bumped on every invalidation, so a read that overlapped one isn't cached
+let generation = 0;
+// Normalized member email -> Map(docId -> team), kept by the listener
+const memberIndex = new Map();
+// docId -> the member emails it was indexed under
+const indexedMemberEmails = new Map();
+
+const stats = { hits: 0, misses: 0, requestHits: 0, invalidations: 0 };
+// off | starting | listening | failed
+let listenerStatus = 'off';
+let listening = false;
+
+/**
+ * Shape a registration document as a lookup result
+ */
+export const toTeamRecord = (doc) => {
+  const data = doc.data();
+  return Object.freeze({
+    id: doc.id,
+    teamId: data.teamId || doc.id,
+    data: Object.freeze(data),
+  });
+};
+
+const readTeam = async (leaderUserId) => {
+  const snapshot = await firestore
+    .collection(COLLECTION)
+    .where('leaderUserId', '==', leaderUserId)
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : toTeamRecord(snapshot.docs[0]);
+};
+
+/**
+ * Look up a team through the instance cache
+ */
+const lookupTeam = async (leaderUserId) => {
+  const entry = cache.get(leaderUserId);
+  if (entry && entry.expiresAt > Date.now()) {
+    stats.hits++;
+    return entry.team;
+  }
+  stats.misses++;
+
+  if (inFlight.has(leaderUserId)) {
+    return inFlight.get(leaderUserId);
+  }
+
+  const startedAt = generation;
+  const read = readTeam(leaderUserId)
+    .then((team) => {
+      if (TTL_MS > 0 && startedAt === generation) {
+        // Re-inserted so the Map stays ordered oldest first
+        cache.delete(leaderUserId);
+        cache.set(leaderUserId, { team, expiresAt: Date.now() + TTL_MS });
+        if (cache.size > MAX_ENTRIES) {
+          cache.delete(cache.keys().next().value);
+        }
+      }
+      return team;
+    })
+    .finally(() => {
+      inFlight.delete(leaderUserId);
+    });
+  inFlight.set(leaderUserId, read);
+  return read;
+};
+
+/**
+ * Find the team registration whose leader is leaderUserId, or null
+ */
+export const findTeamByLeader = (leaderUserId) => {
+  const context = getRequestContext();
+  if (!context) {
+    return lookupTeam(leaderUserId);
+  }
+
+  context.teamLookups = context.teamLookups || new Map();
+  if (context.teamLookups.has(leaderUserId)) {
+    stats.requestHits++;
+    return context.teamLookups.get(leaderUserId);
+  }
+  const lookup = lookupTeam(leaderUserId);
+  context.teamLookups.set(leaderUserId, lookup);
+  // A failed lookup is retried by the next caller
+  lookup.catch(() => context.teamLookups.delete(leaderUserId));
+  return lookup;
+};
+
+/**
+ * Normalized emails of a registration's members
+ */
+const memberEmailsOf = (data) => [...new Set((data.members || [])
+  .map((member) => member.email?.trim().toLowerCase())
+  .filter(Boolean))];
+
+/**
+ * Remove a registration from the member index
+ */
+const unindexMembers = (docId) => {
+  (indexedMemberEmails.get(docId) || []).forEach((email) => {
+    const teams = memberIndex.get(email);
+    teams?.delete(docId);
+    if (teams?.size === 0) {
+      memberIndex.delete(email);
+    }
+  });
+  indexedMemberEmails.delete(docId);
+};
+
+/**
+ * Add (or re-add) a registration to the member index
+ */
+const indexMembers = (doc) => {
+  unindexMembers(doc.id);
+  const emails = memberEmailsOf(doc.data());
+  const team = toTeamRecord(doc);
+  emails.forEach((email) => {
+    if (!memberIndex.has(email)) {
+      memberIndex.set(email, new Map());
+    }
+    memberIndex.get(email).set(doc.id, team);
+  });
+  indexedMemberEmails.set(doc.id, emails);
+};
+
+/**
+ * Find the confirmed team that lists this email in its members, or null
+ * Uses the listener's member index; while the listener isn't running,
+ * confirmed registrations are scanned (Firestore can't query inside an
+ * array of member objects)
+ */
+export const findTeamByMemberEmail = async (email) => {
+  const normalized = email.trim().toLowerCase();
+
+  if (listenerStatus === 'listening') {
+    const teams = [...(memberIndex.get(normalized)?.values() || [])];
+    return teams.find((team) => team.data.status === 'confirmed') || null;
+  }
+
+  const confirmedTeams = await firestore
+    .collection(COLLECTION)
+    .where('status', '==', 'confirmed')
+    .get();
+  const teamDoc = confirmedTeams.docs.find((doc) => memberEmailsOf(doc.data()).includes(normalized));
+  return teamDoc ? toTeamRecord(teamDoc) : null;
+};
+
+/**
+ * Drop the cached entries for a registration (by document id or leader uid)
+ */
+export const invalidateTeam = (docId, leaderUserId) => {
+  generation++;
+  for (const [key, entry] of cache) {
+    if (key === leaderUserId || entry.team?.id === docId) {
+      cache.delete(key);
+      stats.invalidations++;
+    }
+  }
+};
+
+/**
+ * Listen for registration changes: drop the cached teams they affect and
+ * keep the member index current
+ * Restarts itself LISTENER_RETRY_MS after the listener fails
+ */
+export const startTeamCacheInvalidation = () => {
+  if (TTL_MS === 0 || !config.teamCache.listener || listening) {
+    return;
+  }
+  listening = true;
+  listenerStatus = 'starting';
+
+  let initialSnapshot = true;
+  firestore.collection(COLLECTION).onSnapshot((snapshot) => {
+    if (initialSnapshot) {
+      initialSnapshot = false;
+      memberIndex.clear();
+      indexedMemberEmails.clear();
+      snapshot.docs.forEach(indexMembers);
+      listenerStatus = 'listening';
+      // Changes made before the listener started (or while it was down) weren't
+      // seen, so the cache is rebuilt from the snapshot it already read
+      generation++;
+      cache.clear();
+      const expiresAt = Date.now() + TTL_MS;
+      for (const doc of snapshot.docs) {
+        if (cache.size >= MAX_ENTRIES) {
+          break;
+        }
+        const { leaderUserId } = doc.data();
+        if (leaderUserId && !cache.has(leaderUserId)) {
+          cache.set(leaderUserId, { team: toTeamRecord(doc), expiresAt });
+        }
+      }
+      return;
+    }
+    snapshot.docChanges().forEach((change) => {
+      invalidateTeam(change.doc.id, change.doc.data().leaderUserId);
+      if (change.type === 'removed') {
+        unindexMembers(change.doc.id);
+      } else {
+        indexMembers(change.doc);
+      }
+    });
+  }, (error) => {
+    logger.error('[TEAM CACHE] Registration listener failed, cached teams expire by TTL until it restarts', { error });
+    listening = false;
+    listenerStatus = 'failed';
+    const timer = setTimeout(startTeamCacheInvalidation, LISTENER_RETRY_MS);
+    timer.unref?.();
+  });
+};
+
+/**
+ * Cache metrics for the admin metrics endpoint
+ * hits/misses count instance cache lookups; requestHits are lookups answered
+ * within the same request; memberEmails is the size of the member index
+ */
+export const getTeamLookupStats = () => {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null,
+    size: cache.size,
+    memberEmails: memberIndex.size,
+    ttlSeconds: config.teamCache.ttlSeconds,
+    listener: listenerStatus,
+  };
+};
@@ -0,0 +1,362 @@
+import crypto from 'crypto';
+import { firestore } from '../firebase.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { isPrivateHost } from './linkRules.js';
+import { assertPublicHost } from './linkChecker.js';
+import { SUBMISSION_FIELDS } from './submissionSchema.js';
+
+/**
+ * Outgoing webhooks
+ * Admins register endpoints (the `webhooks` collection) for some of
+ * WEBHOOK_EVENTS. Each event becomes one delivery per subscribed endpoint in
+ * `webhookDeliveries`:
+ *   { webhookId, url, event, eventId, body, status: 'pending' | 'delivered' | 'failed',
+ *     attempts: [{ attempt, at, httpStatus, error, durationMs }], attemptCount,
+ *     nextAttemptAt, deliveredAt, createdAt, replayOf? }
+ * Failed attempts are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS.
+ *
+ * Submission events carry toWebhookSubmission(), without the leader's contact details.
+ *
+ * Requests are POSTs of { id, event, createdAt, data } with headers:
+ *   X-Webhook-Event, X-Webhook-Delivery (delivery id), X-Webhook-Signature: t=<unix seconds>,v1=<hex>
+ * v1 is the HMAC-SHA256 of "<t>.<raw body>" with the endpoint's secret, so
+ * receivers can check both the sender and the age of a request.
+ */
+
+export const WEBHOOK_EVENTS = ['submission.created', 'submission.updated', 'submission.deleted', 'auth.login'];
+
+const WEBHOOKS_COLLECTION = 'webhooks';
+const DELIVERIES_COLLECTION = 'webhookDeliveries';
+
+const MAX_ATTEMPTS = config.webhooks.maxAttempts;
+const BASE_RETRY_DELAY_MS = config.webhooks.retryDelayMs;
+const TIMEOUT_MS = config.webhooks.timeoutMs;
+
+// Endpoints are read on every event (logins included), so they are cached briefly
+const WEBHOOKS_CACHE_TTL_MS = 30 * 1000;
+let cachedWebhooks = null;
+let cachedWebhooksAt = 0;
+
+const webhooksRef = () => firestore.collection(WEBHOOKS_COLLECTION);
+const deliveriesRef = () => firestore.collection(DELIVERIES_COLLECTION);
+
+/**
+ * Sign a request body
+ * Returns the X-Webhook-Signature header value
+ */
+export const signWebhookBody = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Shape a submission for webhook payloads
+ * Endpoints are third parties, so leader contact details (phone, email) and the
+ * description are left out: { teamId, teamName, links: { field: url },
+ * submissionTime, lastEditedTime, isLate }
+ */
+export const toWebhookSubmission = (submission) => ({
+  teamId: submission.teamId,
+  teamName: submission.teamName || '',
+  links: Object.fromEntries(SUBMISSION_FIELDS
+    .filter((field) => field.type === 'url' && submission[field.name])
+    .map((field) => [field.name, submission[field.name]])),
+  submissionTime: submission.submissionTime || null,
+  lastEditedTime: submission.lastEditedTime || null,
+  isLate: Boolean(submission.isLate),
+});
+
+/**
+ * Get every registered endpoint (cached)
+ */
+const getWebhooks = async () => {
+  if (cachedWebhooks && Date.now() - cachedWebhooksAt < WEBHOOKS_CACHE_TTL_MS) {
+    return cachedWebhooks;
+  }
+  const snapshot = await webhooksRef().get();
+  cachedWebhooks = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  cachedWebhooksAt = Date.now();
+  return cachedWebhooks;
+};
+
+/**
+ * Shape an endpoint for admin responses: the secret is only shown when it is created
+ */
+const toWebhookView = ({ secret, ...webhook }) => ({
+  ...webhook,
+  secretHint: secret ? `${secret.slice(0, 6)}...${secret.slice(-4)}` : null,
+});
+
+/**
+ * Check a new endpoint
+ * Returns a list of error messages (empty when valid)
+ * Production endpoints must be public https URLs
+ */
+export const validateWebhook = ({ url, events, description }) => {
+  const errors = [];
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    errors.push('url must be a valid URL');
+  }
+  if (parsed && !['http:', 'https:'].includes(parsed.protocol)) {
+    errors.push('url must use http or https protocol');
+  } else if (parsed && config.isProduction && (parsed.protocol !== 'https:' || isPrivateHost(parsed.hostname))) {
+    errors.push('url must be a public https URL');
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    errors.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+  } else {
+    events.filter((event) => !WEBHOOK_EVENTS.includes(event)).forEach((event) => {
+      errors.push(`Unknown event: ${event}`);
+    });
+  }
+
+  if (description !== undefined && description !== null
+    && (typeof description !== 'string' || description.length > 200)) {
+    errors.push('description must be a string of at most 200 characters');
+  }
+  return errors;
+};
+
+/**
+ * Register an endpoint
+ * Returns the endpoint with its signing secret (the only time it is returned)
+ */
+export const createWebhook = async ({ url, events, description }, actorUid) => {
+  const webhook = {
+    url,
+    events: [...new Set(events)],
+    description: description || '',
+    secret: `whsec_${crypto.randomBytes(32).toString('hex')}`,
+    active: true,
+    createdAt: new Date().toISOString(),
+    createdBy: actorUid || null,
+  };
+  const ref = await webhooksRef().add(webhook);
+  cachedWebhooks = null;
+  return { id: ref.id, ...webhook };
+};
+
+/**
+ * List endpoints for admins (secrets hidden)
+ */
+export const listWebhooks = async () => {
+  const snapshot = await webhooksRef().get();
+  return snapshot.docs.map((doc) => toWebhookView({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Remove an endpoint; pending deliveries to it fail on their next attempt
+ * Returns false if it doesn't exist
+ */
+export const deleteWebhook = async (webhookId) => {
+  const ref = webhooksRef().doc(webhookId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return false;
+  }
+  await ref.delete();
+  cachedWebhooks = null;
+  return true;
+};
+
+/**
+ * Send one attempt of a delivery and record it
+ */
+const attemptDelivery = async (deliveryId) => {
+  const ref = deliveriesRef().doc(deliveryId);
+  const doc = await ref.get();
+  if (!doc.exists || doc.data().status !== 'pending') {
+    return;
+  }
+  const delivery = doc.data();
+  const attempt = (delivery.attemptCount || 0) + 1;
+  const attemptedAt = new Date();
+
+  const webhookDoc = await webhooksRef().doc(delivery.webhookId).get();
+  let result;
+  if (!webhookDoc.exists) {
+    result = { httpStatus: null, error: 'Webhook was deleted', durationMs: 0, final: true };
+  } else {
+    const startedAt = Date.now();
+    try {
+      // Same rule as validateWebhook: local endpoints are only allowed outside
+      // production. Checked on every attempt, since DNS can change after registration
+      if (config.isProduction) {
+        await assertPublicHost(new URL(delivery.url));
+      }
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SubmissionWebhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': deliveryId,
+          'X-Webhook-Signature': signWebhookBody(webhookDoc.data().secret, delivery.body),
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      await response.body?.cancel();
+      result = {
+        httpStatus: response.status,
+        error: response.ok ? null : `Endpoint returned ${response.status}`,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (error) {
+      result = { httpStatus: null, error: error.message, durationMs: Date.now() - startedAt };
+    }
+  }
+
+  const delivered = !result.error;
+  const willRetry = !delivered && !result.final && attempt < MAX_ATTEMPTS;
+  const retryDelayMs = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+
+  await ref.update({
+    attempts: [...(delivery.attempts || []), {
+      attempt,
+      at: attemptedAt.toISOString(),
+      httpStatus: result.httpStatus,
+      error: result.error,
+      durationMs: result.durationMs,
+    }],
+    attemptCount: attempt,
+    status: delivered ? 'delivered' : (willRetry ? 'pending' : 'failed'),
+    nextAttemptAt: willRetry ? new Date(Date.now() + retryDelayMs).toISOString() : null,
+    deliveredAt: delivered ? new Date().toISOString() : null,
+  });
+
+  if (delivered) {
+    logger.info('[WEBHOOK] Delivered', { deliveryId, event: delivery.event, attempt });
+  } else {
+    logger.warn('[WEBHOOK] Delivery attempt failed', { deliveryId, event: delivery.event, attempt, maxAttempts: MAX_ATTEMPTS, error: result.error });
+  }
+  if (willRetry) {
+    scheduleDelivery(deliveryId, retryDelayMs);
+  }
+};
+
+/**
+ * Run a delivery attempt after delayMs
+ */
+const scheduleDelivery = (deliveryId, delayMs = 0) => {
+  const timer = setTimeout(() => {
+    attemptDelivery(deliveryId).catch((error) => {
+      logger.error('[WEBHOOK] Error delivering webhook', { deliveryId, error });
+    });
+  }, delayMs);
+  // Don't keep the process alive just for a pending retry
+  timer.unref?.();
+};
+
+/**
+ * Create a delivery and send it
+ */
+const queueDelivery = async ({ webhook, event, eventId, body, replayOf }) => {
+  const ref = await deliveriesRef().add({
+    webhookId: webhook.id,
+    url: webhook.url,
+    event,
+    eventId,
+    body,
+    status: 'pending',
+    attempts: [],
+    attemptCount: 0,
+    nextAttemptAt: new Date().toISOString(),
+    deliveredAt: null,
+    createdAt: new Date().toISOString(),
+    ...(replayOf && { replayOf }),
+  });
+  scheduleDelivery(ref.id);
+  return ref.id;
+};
+
+/**
+ * Send an event to every active endpoint subscribed to it
+ * Never throws: webhooks must not fail the request that triggered them
+ */
+export const emitWebhookEvent = async (event, data) => {
+  try {
+    const webhooks = (await getWebhooks())
+      .filter((webhook) => webhook.active !== false && webhook.events?.includes(event));
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const eventId = crypto.randomUUID();
+    const body = JSON.stringify({ id: eventId, event, createdAt: new Date().toISOString(), data });
+    await Promise.all(webhooks.map((webhook) => queueDelivery({ webhook, event, eventId, body })));
+  } catch (error) {
+    logger.error('[WEBHOOK] Error queueing event', { event, error });
+  }
+};
+
+/**
+ * Send a past delivery again as a new delivery (same event id and body, fresh signature)
+ * Returns the new delivery id, or null if the delivery or its endpoint no longer exists
+ */
+export const replayDelivery = async (deliveryId) => {
+  const doc = await deliveriesRef().doc(deliveryId).get();
+  if (!doc.exists) {
+    return null;
+  }
+  const delivery = doc.data();
+  const webhookDoc = await webhooksRef().doc(delivery.webhookId).get();
+  if (!webhookDoc.exists) {
+    return null;
+  }
+  return queueDelivery({
+    webhook: { id: webhookDoc.id, ...webhookDoc.data() },
+    event: delivery.event,
+    eventId: delivery.eventId,
+    body: delivery.body,
+    replayOf: deliveryId,
+  });
+};
+
+/**
+ * Recent deliveries, newest first
+ * Filtered by endpoint and/or status when given
+ */
+export const listDeliveries = async ({ webhookId, status, limit = 100 } = {}) => {
+  let query = deliveriesRef();
+  if (webhookId) {
+    query = query.where('webhookId', '==', webhookId);
+  }
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+  // Filtered lists are sorted here rather than in the query, so no composite index is needed
+  const snapshot = webhookId || status
+    ? await query.get()
+    : await query.orderBy('createdAt', 'desc').limit(limit).get();
+  return snapshot.docs
+    .map((doc) => {
+      const { body, ...delivery } = doc.data();
+      return { id: doc.id, ...delivery, payload: JSON.parse(body) };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+};
+
+/**
+ * Reschedule every pending delivery, e.g. after a restart
+ */
+export const resumePendingWebhookDeliveries = async () => {
+  try {
+    const snapshot = await deliveriesRef().where('status', '==', 'pending').get();
+    snapshot.docs.forEach((doc) => {
+      const nextAttemptAt = new Date(doc.data().nextAttemptAt || 0).getTime();
+      scheduleDelivery(doc.id, Math.max(nextAttemptAt - Date.now(), 0));
+    });
+    logger.info('[WEBHOOK] Resumed pending deliveries', { count: snapshot.size });
+  } catch (error) {
+    logger.error('[WEBHOOK] Error resuming pending deliveries', { error });
+  }
+};
@@ -0,0 +1,27 @@
+import { recordAuditEvent } from "../lib/auditLog.js";
+
+// Event streams can carry the access token in the query string; it must not be stored
+const redactAccessToken = (url) => url.replace(/([?&]access_token=)[^&]*/g, "$1[redacted]");
+
+/**
+ * Middleware to audit-log every admin request once the response is sent
+ * Controllers can add context through res.locals:
+ *   res.locals.auditActor   - { uid, email } when there is no req.user yet (login)
+ *   res.locals.auditDetails - anything worth keeping (e.g. the deleted submission)
+ */
+export const auditAdminRequest = (req, res, next) => {
+  res.on("finish", () => {
+    const actor = req.user || res.locals.auditActor || {};
+    recordAuditEvent({
+      actorUid: actor.uid || null,
+      actorEmail: actor.email || null,
+      method: req.method,
+      path: redactAccessToken(req.originalUrl),
+      statusCode: res.statusCode,
+      ip: req.ip || null,
+      userAgent: req.headers["user-agent"] || null,
+      details: res.locals.auditDetails || null,
+    });
+  });
+  next();
+};
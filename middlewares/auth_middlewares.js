@@ -1,51 +1,33 @@
 import jwt from "jsonwebtoken";
+import { config } from "../lib/config.js";
+import { isAccessTokenRevoked } from "../lib/sessions.js";
+import { getRequestToken } from "../lib/sessionTransport.js";
+import { logger } from "../lib/logger.js";
+
+// Roles whose sessions belong to a team (and must carry a teamId)
+const TEAM_ROLES = ["leader", "member"];
 
 /**
- * Middleware to verify JWT token from cookie
+ * Middleware to verify the JWT access token (Bearer header or session cookie,
+ * depending on SESSION_TRANSPORT)
  * Attaches user info to req.user if valid
  */
 export const verifyAuth = async (req, res, next) => {
   try {
-    // Debug: Log cookie information (without sensitive data)
-    console.log('[AUTH MIDDLEWARE] Cookies received:', {
-      hasSessionCookie: !!req.cookies?.session,
-      cookieNames: Object.keys(req.cookies || {}),
-      headers: {
-        cookie: req.headers.cookie ? 'present' : 'missing',
-        origin: req.headers.origin,
-        referer: req.headers.referer,
-      },
-    });
-
-    // Get token from Authorization header (Bearer) or fallback to cookie
-    const authHeader = req.headers.authorization || req.headers.Authorization;
-    let token = null;
-    if (authHeader && typeof authHeader === 'string' && authHeader.toLowerCase().startsWith('bearer ')) {
-      token = authHeader.slice(7).trim();
-    } else {
-      token = req.cookies?.session;
-    }
+    // Get token from Authorization header (Bearer) or the session cookie
+    const token = getRequestToken(req);
 
     if (!token) {
       return res.status(401).json({
         error: 'Unauthorized',
-        details: 'No session token found. Please login first. Send as `Authorization: Bearer <token>` for localStorage flows.'
+        details: 'No session token found. Please login first.'
       });
     }
 
     // Verify JWT token
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      console.error("[AUTH MIDDLEWARE] JWT_SECRET is not set in environment variables");
-      return res.status(500).json({ 
-        error: "Server configuration error",
-        details: "JWT secret is not configured"
-      });
-    }
-
     let decoded;
     try {
-      decoded = jwt.verify(token, jwtSecret);
+      decoded = jwt.verify(token, config.auth.jwtSecret);
     } catch (error) {
       if (error.name === "JsonWebTokenError") {
         return res.status(401).json({ 
@@ -62,26 +44,65 @@ export const verifyAuth = async (req, res, next) => {
       throw error;
     }
 
-    // Validate decoded token has required fields
-    if (!decoded.uid || !decoded.teamId) {
+    // Tokens issued before roles existed are team leader tokens
+    const role = decoded.role || "leader";
+
+    // Validate decoded token has required fields (admins and judges are not tied to a team)
+    const isTeamRole = TEAM_ROLES.includes(role);
+    if (!decoded.uid || (isTeamRole && !decoded.teamId)) {
       return res.status(401).json({ 
         error: "Unauthorized",
         details: "Invalid token payload. Please login again."
       });
     }
 
+    // Reject tokens revoked by logout or by an admin
+    if (await isAccessTokenRevoked(decoded)) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        details: "Session has been revoked. Please login again."
+      });
+    }
+
     // Attach user info to request object
     req.user = {
       uid: decoded.uid,
       email: decoded.email,
-      leaderUserId: decoded.leaderUserId || decoded.uid,
-      teamId: decoded.teamId,
+      role,
+      leaderUserId: isTeamRole ? (decoded.leaderUserId || decoded.uid) : null,
+      teamId: decoded.teamId || null,
     };
+    // The verified claims, for checks that outlive the request (event streams
+    // close at the token's expiry or revocation)
+    req.accessToken = decoded;
 
     next();
   } catch (error) {
-    console.error("[AUTH MIDDLEWARE ERROR]:", error);
+    logger.error("[AUTH MIDDLEWARE ERROR]", { error });
     next(error);
   }
 };
 
+/**
+ * Middleware to let verifyAuth also read the access token from ?access_token=
+ * (use before verifyAuth, only on event streams: EventSource can't send an
+ * Authorization header). Cookie sessions don't need it
+ */
+export const allowQueryToken = (req, res, next) => {
+  req.allowQueryToken = true;
+  next();
+};
+
+/**
+ * Middleware to only allow the given roles (use after verifyAuth)
+ * Roles: leader, member, admin, judge
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: "Forbidden",
+      details: `This route requires one of the roles: ${roles.join(", ")}`
+    });
+  }
+  next();
+};
@@ -0,0 +1,25 @@
+import { isCookieAuthenticated, hasValidCsrfToken } from "../lib/sessionTransport.js";
+import { logger } from "../lib/logger.js";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Middleware to require the double-submit CSRF token on state-changing requests
+ * Only cookie-authenticated requests are checked; Bearer requests and logins
+ * without a session cookie can't be forged by another site
+ */
+export const verifyCsrf = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method.toUpperCase()) || !isCookieAuthenticated(req)) {
+    return next();
+  }
+
+  if (!hasValidCsrfToken(req)) {
+    logger.warn("[CSRF] Blocked request without a valid CSRF token", { method: req.method, path: req.originalUrl });
+    return res.status(403).json({
+      error: "Forbidden",
+      details: "Missing or invalid CSRF token. Send the csrfToken from login in the X-CSRF-Token header.",
+    });
+  }
+
+  next();
+};
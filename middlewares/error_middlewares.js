@@ -1,9 +1,12 @@
+import { logger } from '../lib/logger.js';
+import { config } from '../lib/config.js';
+
 /**
  * Global error handling middleware
  * Catches all errors and sends appropriate responses
  */
 export const errorHandler = (err, req, res, next) => {
-  console.error('[ERROR HANDLER]:', err);
+  logger.error('[ERROR HANDLER]', { error: err });
 
   // Handle specific error types
   if (err.name === 'ValidationError') {
@@ -62,7 +65,8 @@ export const errorHandler = (err, req, res, next) => {
   const statusCode = err.status || err.statusCode || 500;
   return res.status(statusCode).json({
     error: err.message || 'Internal server error',
-    ...(process.env.NODE_ENV === 'development' && { 
+    ...(statusCode >= 500 && req.id && { requestId: req.id }),
+    ...(config.profile === 'development' && { 
       stack: err.stack,
       code: err.code,
     }),
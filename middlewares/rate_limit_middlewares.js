@@ -0,0 +1,146 @@
+import net from "net";
+import { rateLimit, ipKeyGenerator } from "express-rate-limit";
+import { config } from "../lib/config.js";
+import { createRateLimitStore } from "../lib/rateLimit/index.js";
+import { logger } from "../lib/logger.js";
+
+/**
+ * Rate limit policies
+ *   auth          - logins, per IP (brute force protection)
+ *   public        - other unauthenticated routes, per IP
+ *   unauthorized  - protected routes before verifyAuth, per IP; only requests
+ *                   that fail authentication count (guessed or stale tokens)
+ *   read          - authenticated routes, per team (admins and judges per user)
+ *   submit        - submitting and editing, per team; judge scores and admin
+ *                   changes per user
+ * Counting authenticated requests per team keeps teams sharing one NAT IP
+ * (campus Wi-Fi) from locking each other out. IPs in RATE_LIMIT_ALLOWLIST
+ * (the venue) skip the per-IP limits.
+ * Counters live in the RATE_LIMIT_STORE store (lib/rateLimit/); if it is
+ * unreachable, requests are let through rather than rejected.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const allowlist = new net.BlockList();
+config.rateLimit.allowlist.forEach((entry) => {
+  const [address, prefix] = entry.split("/");
+  const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+  if (prefix === undefined) {
+    allowlist.addAddress(address, type);
+  } else {
+    allowlist.addSubnet(address, Number(prefix), type);
+  }
+});
+
+/**
+ * Whether a client IP is in RATE_LIMIT_ALLOWLIST
+ * IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+ */
+const isAllowlisted = (ip) => {
+  if (!ip) {
+    return false;
+  }
+  const address = ip.startsWith("::ffff:") && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  return allowlist.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+const ipKey = (req) => `ip:${ipKeyGenerator(req.ip || "")}`;
+
+/**
+ * Count an authenticated request against its team (or user), anything else against its IP
+ */
+const clientKey = (req) => {
+  if (req.user?.teamId) {
+    return `team:${req.user.teamId}`;
+  }
+  if (req.user?.uid) {
+    return `user:${req.user.uid}`;
+  }
+  return ipKey(req);
+};
+
+/**
+ * Build the middleware for one policy
+ */
+const createLimiter = ({ policy, windowMs, max, keyGenerator, details, ...options }) => rateLimit({
+  ...options,
+  windowMs,
+  limit: max,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  store: createRateLimitStore(policy),
+  keyGenerator,
+  // Per-IP counting is what the allowlist exempts; team counters still apply at the venue
+  skip: (req) => keyGenerator(req).startsWith("ip:") && isAllowlisted(req.ip),
+  passOnStoreError: true,
+  handler: (req, res, next, options) => {
+    logger.warn("[RATE LIMIT] Limit reached", {
+      policy,
+      teamId: req.user?.teamId || null,
+      uid: req.user?.uid || null,
+      ip: req.ip,
+    });
+    const retryAfterSeconds = req.rateLimit.resetTime
+      ? Math.max(1, Math.ceil((req.rateLimit.resetTime.getTime() - Date.now()) / 1000))
+      : Math.ceil(windowMs / 1000);
+    res.status(options.statusCode).json({
+      error: "Too many requests",
+      details: `${details} Please try again in ${retryAfterSeconds} seconds.`,
+    });
+  },
+});
+
+export const limitAuth = createLimiter({
+  policy: "auth",
+  windowMs: 15 * MINUTE_MS,
+  max: config.rateLimit.authMax,
+  keyGenerator: ipKey,
+  details: "Too many login attempts from this network.",
+});
+
+export const limitPublic = createLimiter({
+  policy: "public",
+  windowMs: 5 * MINUTE_MS,
+  max: config.rateLimit.publicMax,
+  keyGenerator: ipKey,
+  details: "Too many requests from this network.",
+});
+
+/**
+ * Use before verifyAuth on protected routes
+ * Authenticated requests are uncounted once they finish (the read and submit
+ * policies count them per team), so teams sharing an IP only share the
+ * requests that were rejected
+ */
+export const limitUnauthorized = createLimiter({
+  policy: "unauthorized",
+  windowMs: 5 * MINUTE_MS,
+  max: config.rateLimit.unauthorizedMax,
+  keyGenerator: ipKey,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => Boolean(req.user),
+  details: "Too many unauthorized requests from this network.",
+});
+
+/**
+ * Use after verifyAuth, so requests are counted per team
+ */
+export const limitReads = createLimiter({
+  policy: "read",
+  windowMs: 5 * MINUTE_MS,
+  max: config.rateLimit.readMax,
+  keyGenerator: clientKey,
+  details: "Too many requests for this team.",
+});
+
+/**
+ * Use after verifyAuth, so requests are counted per team (or per judge or admin)
+ */
+export const limitSubmits = createLimiter({
+  policy: "submit",
+  windowMs: 5 * MINUTE_MS,
+  max: config.rateLimit.submitMax,
+  keyGenerator: clientKey,
+  details: "Too many submissions or changes in a short time.",
+});
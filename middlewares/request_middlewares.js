@@ -0,0 +1,63 @@
+import crypto from "crypto";
+import { logger, runWithRequestContext } from "../lib/logger.js";
+
+// Request IDs from a proxy in front of us are reused if they look sane
+const INCOMING_REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Probes hit these every few seconds, so their access logs are debug-level
+const PROBE_PATHS = ["/healthz", "/readyz"];
+
+/**
+ * Middleware to give every request an ID and write one access-log line per request
+ * The ID is returned in the X-Request-Id header and attached to req.id
+ * Must be registered before everything else so rejected requests are logged too
+ */
+export const logRequests = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const incomingId = req.headers["x-request-id"];
+  req.id = typeof incomingId === "string" && INCOMING_REQUEST_ID_PATTERN.test(incomingId)
+    ? incomingId
+    : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+
+  let logged = false;
+  const writeAccessLog = () => {
+    if (logged) {
+      return;
+    }
+    logged = true;
+
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      latencyMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      teamId: req.user?.teamId || null,
+      role: req.user?.role || null,
+      aborted: !res.writableFinished,
+    };
+
+    if (res.statusCode >= 500) {
+      logger.error("[ACCESS]", fields);
+    } else if (PROBE_PATHS.includes(fields.path)) {
+      logger.debug("[ACCESS]", fields);
+    } else {
+      logger.info("[ACCESS]", fields);
+    }
+  };
+  res.on("finish", writeAccessLog);
+  res.on("close", writeAccessLog);
+
+  next();
+};
+
+/**
+ * Middleware to run the rest of the request inside a logging context,
+ * so every log line written while handling it carries the requestId
+ * Registered after the body parsers, which don't keep async context
+ */
+export const bindRequestContext = (req, res, next) => {
+  runWithRequestContext({ requestId: req.id }, next);
+};
@@ -1,3 +1,10 @@
+import { logger } from '../lib/logger.js';
+import { SUBMISSION_FIELDS, validateSubmissionFields, normalizeFieldValue } from '../lib/submissionSchema.js';
+
+// Route ids (teamId, judgeUid, ...) end up in Firestore .doc() paths; "a/b"
+// (sent as a%2Fb) would be read as a path, so only plain ids are accepted
+const ID_PARAM_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/;
+
 /**
  * Sanitize string input to prevent XSS attacks
  */
@@ -12,91 +19,61 @@ const sanitizeString = (str, maxLength = 10000) => {
 
 /**
  * Validation middleware for team submission
- * Only validates: githubLink, pptLink, videoLink, description
+ * Only validates the fields in SUBMISSION_FIELDS (lib/submissionSchema.js)
  * Team and leader data are fetched from Firestore
  */
 export const validateSubmission = (req, res, next) => {
   try {
-    const {
-      githubLink,
-      pptLink,
-      videoLink,
-      description,
-    } = req.body;
+    const errors = validateSubmissionFields(req.body);
 
-    const errors = [];
-    const MAX_URL_LENGTH = 2048;
-    const MAX_DESCRIPTION_LENGTH = 5000;
-
-    // Validate githubLink
-    if (!githubLink || typeof githubLink !== 'string' || githubLink.trim().length === 0) {
-      errors.push('githubLink is required and must be a non-empty string');
-    } else {
-      const trimmed = githubLink.trim();
-      if (trimmed.length > MAX_URL_LENGTH) {
-        errors.push(`githubLink must be less than ${MAX_URL_LENGTH} characters`);
-      } else {
-        // Validate URL format
-        try {
-          const url = new URL(trimmed);
-          // Ensure it's http or https
-          if (!['http:', 'https:'].includes(url.protocol)) {
-            errors.push('githubLink must use http or https protocol');
-          }
-        } catch (error) {
-          errors.push('githubLink must be a valid URL');
-        }
-      }
+    // If there are validation errors, return them
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors,
+      });
     }
 
-    // Validate pptLink
-    if (!pptLink || typeof pptLink !== 'string' || pptLink.trim().length === 0) {
-      errors.push('pptLink is required and must be a non-empty string');
-    } else {
-      const trimmed = pptLink.trim();
-      if (trimmed.length > MAX_URL_LENGTH) {
-        errors.push(`pptLink must be less than ${MAX_URL_LENGTH} characters`);
-      } else {
-        // Validate URL format
-        try {
-          const url = new URL(trimmed);
-          if (!['http:', 'https:'].includes(url.protocol)) {
-            errors.push('pptLink must use http or https protocol');
-          }
-        } catch (error) {
-          errors.push('pptLink must be a valid URL');
-        }
-      }
-    }
+    // Sanitize and trim all fields, then normalize links (e.g. GitHub URLs to owner/repo)
+    SUBMISSION_FIELDS.forEach((field) => {
+      req.body[field.name] = normalizeFieldValue(field, sanitizeString(req.body[field.name], field.maxLength));
+    });
 
-    // Validate videoLink
-    if (!videoLink || typeof videoLink !== 'string' || videoLink.trim().length === 0) {
-      errors.push('videoLink is required and must be a non-empty string');
+    next();
+  } catch (error) {
+    logger.error('[VALIDATION MIDDLEWARE ERROR]', { error });
+    return res.status(500).json({
+      error: 'Internal server error during validation',
+    });
+  }
+};
+
+/**
+ * Validation middleware for a judge's score
+ * Checks the body shape: scores is an object of numbers, comment is optional text
+ * Criteria and ranges are checked against the rubric in the controller
+ */
+export const validateScore = (req, res, next) => {
+  try {
+    const { scores, comment } = req.body || {};
+
+    const errors = [];
+    const MAX_COMMENT_LENGTH = 2000;
+
+    if (!scores || typeof scores !== 'object' || Array.isArray(scores)) {
+      errors.push('scores is required and must be an object of criterion scores');
     } else {
-      const trimmed = videoLink.trim();
-      if (trimmed.length > MAX_URL_LENGTH) {
-        errors.push(`videoLink must be less than ${MAX_URL_LENGTH} characters`);
-      } else {
-        // Validate URL format
-        try {
-          const url = new URL(trimmed);
-          if (!['http:', 'https:'].includes(url.protocol)) {
-            errors.push('videoLink must use http or https protocol');
-          }
-        } catch (error) {
-          errors.push('videoLink must be a valid URL');
+      Object.entries(scores).forEach(([criterionId, score]) => {
+        if (typeof score !== 'number' || !Number.isFinite(score)) {
+          errors.push(`scores.${criterionId} must be a number`);
         }
-      }
+      });
     }
 
-    // Validate description
-    if (!description || typeof description !== 'string' || description.trim().length === 0) {
-      errors.push('description is required and must be a non-empty string');
-    } else {
-      const trimmed = description.trim();
-      if (trimmed.length > MAX_DESCRIPTION_LENGTH) {
-        errors.push(`description must be less than ${MAX_DESCRIPTION_LENGTH} characters`);
-      }
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      errors.push('comment must be a string');
+    } else if (typeof comment === 'string' && comment.trim().length > MAX_COMMENT_LENGTH) {
+      errors.push(`comment must be less than ${MAX_COMMENT_LENGTH} characters`);
     }
 
     // If there are validation errors, return them
@@ -107,18 +84,27 @@ export const validateSubmission = (req, res, next) => {
       });
     }
 
-    // Sanitize and trim all fields
-    req.body.githubLink = sanitizeString(githubLink, MAX_URL_LENGTH);
-    req.body.pptLink = sanitizeString(pptLink, MAX_URL_LENGTH);
-    req.body.videoLink = sanitizeString(videoLink, MAX_URL_LENGTH);
-    req.body.description = sanitizeString(description, MAX_DESCRIPTION_LENGTH);
+    req.body.comment = sanitizeString(comment || '', MAX_COMMENT_LENGTH);
 
     next();
   } catch (error) {
-    console.error('[VALIDATION MIDDLEWARE ERROR]:', error);
+    logger.error('[VALIDATION MIDDLEWARE ERROR]', { error });
     return res.status(500).json({
       error: 'Internal server error during validation',
     });
   }
 };
 
+/**
+ * Route param handler (router.param) for ids used as Firestore document ids
+ * Letters, numbers, _, - and . (not first), up to 128 characters
+ */
+export const validateIdParam = (req, res, next, value, name) => {
+  if (!ID_PARAM_PATTERN.test(value)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [`${name} is not a valid id`],
+    });
+  }
+  next();
+};
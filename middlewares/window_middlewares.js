@@ -0,0 +1,80 @@
+import {
+  getSubmissionWindow,
+  getWindowStatus,
+  isEditAllowed,
+} from '../lib/submissionWindow.js';
+import { logger } from '../lib/logger.js';
+
+/**
+ * Middleware to only accept new submissions inside the submission window
+ * Submissions during the grace period are accepted but flagged as late
+ * Attaches the window to req.submissionWindow
+ */
+export const enforceSubmissionWindow = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const submissionWindow = await getSubmissionWindow();
+    const status = getWindowStatus(submissionWindow, now);
+
+    if (status === 'not_open') {
+      return res.status(403).json({
+        error: 'Submissions are not open yet',
+        details: [`Submissions open at ${submissionWindow.opensAt.toISOString()}`],
+        serverTime: now.toISOString(),
+        opensAt: submissionWindow.opensAt.toISOString(),
+        deadline: submissionWindow.closesAt?.toISOString() || null,
+      });
+    }
+
+    if (status === 'closed') {
+      return res.status(403).json({
+        error: 'Submissions are closed',
+        details: [`Submissions were accepted until ${submissionWindow.graceEndsAt.toISOString()}`],
+        serverTime: now.toISOString(),
+        deadline: submissionWindow.closesAt.toISOString(),
+        graceEndsAt: submissionWindow.graceEndsAt.toISOString(),
+      });
+    }
+
+    req.submissionWindow = {
+      ...submissionWindow,
+      status,
+      isLate: status === 'grace',
+    };
+
+    next();
+  } catch (error) {
+    logger.error('[WINDOW MIDDLEWARE ERROR]', { error });
+    next(error);
+  }
+};
+
+/**
+ * Middleware to only allow submission edits until the edit deadline
+ * The edit deadline defaults to the closing time of the submission window
+ */
+export const enforceEditWindow = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const submissionWindow = await getSubmissionWindow();
+
+    if (!isEditAllowed(submissionWindow, now)) {
+      const { editDeadline } = submissionWindow;
+      return res.status(403).json({
+        error: 'Submission editing is closed',
+        details: editDeadline
+          ? [`Edits were accepted until ${editDeadline.toISOString()}`]
+          : ['Submission editing is not enabled'],
+        serverTime: now.toISOString(),
+        deadline: editDeadline?.toISOString() || null,
+      });
+    }
+
+    req.submissionWindow = submissionWindow;
+
+    next();
+  } catch (error) {
+    logger.error('[WINDOW MIDDLEWARE ERROR]', { error });
+    next(error);
+  }
+};
@@ -0,0 +1,96 @@
+import { Router } from "express";
+import {
+  authenticateAdmin,
+  listSubmissions,
+  exportSubmissions,
+  getTeamDetails,
+  deleteSubmission,
+  getSubmissionHistoryForTeam,
+  restoreSubmissionRevision,
+  revokeSessionsForTeam,
+  getSheetSyncStatus,
+  resyncTeamSubmission,
+  getMetrics,
+  listEmailTemplates,
+  updateEmailTemplate,
+  resetEmailTemplate,
+  getEmailLog,
+  getWebhooks,
+  addWebhook,
+  removeWebhook,
+  getWebhookDeliveries,
+  replayWebhookDelivery,
+  streamAdminEvents,
+} from "../controllers/admin_controllers.js";
+import {
+  getJudgingRubric,
+  updateJudgingRubric,
+  listJudgeAssignments,
+  autoAssignJudges,
+  assignJudge,
+  unassignJudge,
+  getLeaderboard,
+} from "../controllers/judge_controllers.js";
+import { verifyAuth, requireRole, allowQueryToken } from "../middlewares/auth_middlewares.js";
+import { auditAdminRequest } from "../middlewares/admin_middlewares.js";
+import { validateIdParam } from "../middlewares/validation_middlewares.js";
+import { limitAuth, limitReads, limitSubmits, limitUnauthorized } from "../middlewares/rate_limit_middlewares.js";
+
+const adminRoutes = Router();
+
+// Ids in the path are used as Firestore document ids
+["teamId", "judgeUid", "templateId", "webhookId", "deliveryId"].forEach((name) => {
+  adminRoutes.param(name, validateIdParam);
+});
+
+// Every admin request (including login attempts) is audit-logged
+adminRoutes.use(auditAdminRequest);
+
+// Public routes
+adminRoutes.post("/auth", limitAuth, authenticateAdmin);
+
+// Live submission counts (EventSource can pass the token in the query string)
+adminRoutes.get("/events", allowQueryToken, limitUnauthorized, verifyAuth, limitReads, requireRole("admin"), streamAdminEvents);
+
+// Protected routes (require admin authentication; rate limited per admin,
+// writes under the tighter submit limit)
+adminRoutes.use(limitUnauthorized, verifyAuth, requireRole("admin"));
+
+adminRoutes.get("/submissions", limitReads, listSubmissions);
+adminRoutes.get("/submissions/export", limitReads, exportSubmissions);
+adminRoutes.delete("/submissions/:teamId", limitSubmits, deleteSubmission);
+adminRoutes.get("/submissions/:teamId/history", limitReads, getSubmissionHistoryForTeam);
+adminRoutes.post("/submissions/:teamId/history/:revision/restore", limitSubmits, restoreSubmissionRevision);
+adminRoutes.get("/teams/:teamId", limitReads, getTeamDetails);
+adminRoutes.post("/teams/:teamId/sessions/revoke", limitSubmits, revokeSessionsForTeam);
+
+// Runtime metrics (per instance)
+adminRoutes.get("/metrics", limitReads, getMetrics);
+
+// Google Sheets mirroring (SUBMISSION_STORE=mirrored)
+adminRoutes.get("/sync", limitReads, getSheetSyncStatus);
+adminRoutes.post("/sync/:teamId", limitSubmits, resyncTeamSubmission);
+
+// Email notifications
+adminRoutes.get("/email/templates", limitReads, listEmailTemplates);
+adminRoutes.put("/email/templates/:templateId", limitSubmits, updateEmailTemplate);
+adminRoutes.delete("/email/templates/:templateId", limitSubmits, resetEmailTemplate);
+adminRoutes.get("/email/log", limitReads, getEmailLog);
+
+// Outgoing webhooks
+adminRoutes.get("/webhooks", limitReads, getWebhooks);
+adminRoutes.post("/webhooks", limitSubmits, addWebhook);
+adminRoutes.get("/webhooks/deliveries", limitReads, getWebhookDeliveries);
+adminRoutes.post("/webhooks/deliveries/:deliveryId/replay", limitSubmits, replayWebhookDelivery);
+adminRoutes.delete("/webhooks/:webhookId", limitSubmits, removeWebhook);
+
+// Judging
+adminRoutes.get("/judging/rubric", limitReads, getJudgingRubric);
+adminRoutes.put("/judging/rubric", limitSubmits, updateJudgingRubric);
+adminRoutes.get("/judging/assignments", limitReads, listJudgeAssignments);
+adminRoutes.post("/judging/assignments", limitSubmits, assignJudge);
+adminRoutes.post("/judging/assignments/auto", limitSubmits, autoAssignJudges);
+adminRoutes.delete("/judging/assignments/:judgeUid/:teamId", limitSubmits, unassignJudge);
+adminRoutes.get("/judging/leaderboard", limitReads, getLeaderboard);
+
+export { adminRoutes };
@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { getLiveness, getReadinessStatus } from "../controllers/health_controllers.js";
+
+const healthRoutes = Router();
+
+// Public probes (no auth, not rate limited)
+healthRoutes.get("/healthz", getLiveness);
+healthRoutes.get("/readyz", getReadinessStatus);
+
+export { healthRoutes };
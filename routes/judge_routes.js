@@ -0,0 +1,23 @@
+import { Router } from "express";
+import {
+  authenticateJudge,
+  getJudgeQueue,
+  submitScore,
+} from "../controllers/judge_controllers.js";
+import { verifyAuth, requireRole } from "../middlewares/auth_middlewares.js";
+import { validateScore, validateIdParam } from "../middlewares/validation_middlewares.js";
+import { limitAuth, limitReads, limitSubmits, limitUnauthorized } from "../middlewares/rate_limit_middlewares.js";
+
+const judgeRoutes = Router();
+
+// The team id in the path is used as part of a Firestore document id
+judgeRoutes.param("teamId", validateIdParam);
+
+// Public routes
+judgeRoutes.post("/auth", limitAuth, authenticateJudge);
+
+// Protected routes (require judge authentication; rate limited per judge, scores under the submit limit)
+judgeRoutes.get("/queue", limitUnauthorized, verifyAuth, limitReads, requireRole("judge"), getJudgeQueue);
+judgeRoutes.post("/scores/:teamId", limitUnauthorized, verifyAuth, limitSubmits, requireRole("judge"), validateScore, submitScore);
+
+export { judgeRoutes };
@@ -4,22 +4,38 @@ import {
   getTeamRegistration,
   submitTeamData,
   getSubmission,
+  updateSubmission,
+  getSubmissionHistory,
+  streamTeamEvents,
+  getWindowInfo,
+  getSubmissionFields,
+  refreshUserSession,
   logoutUser,
+  getCsrfTokenInfo,
 } from "../controllers/user_controllers.js";
-import { verifyAuth } from "../middlewares/auth_middlewares.js";
+import { verifyAuth, requireRole, allowQueryToken } from "../middlewares/auth_middlewares.js";
 import { validateSubmission } from "../middlewares/validation_middlewares.js";
+import { enforceSubmissionWindow, enforceEditWindow } from "../middlewares/window_middlewares.js";
+import { limitAuth, limitPublic, limitReads, limitSubmits, limitUnauthorized } from "../middlewares/rate_limit_middlewares.js";
 
 const userRoutres = Router();
 
-// Public routes
-userRoutres.post("/auth", authenticateUser);
-userRoutres.post("/logout", logoutUser);
+// Public routes (rate limited per IP)
+userRoutres.post("/auth", limitAuth, authenticateUser);
+userRoutres.post("/refresh", limitPublic, refreshUserSession);
+userRoutres.post("/logout", limitPublic, logoutUser);
+userRoutres.get("/csrf", limitPublic, getCsrfTokenInfo);
+userRoutres.get("/window", limitPublic, getWindowInfo);
+userRoutres.get("/submission/fields", limitPublic, getSubmissionFields);
 
-// Protected routes (require authentication)
-userRoutres.get("/about", verifyAuth, getTeamRegistration);
-userRoutres.get("/submission", verifyAuth, getSubmission);
+// Protected routes (require team authentication - leaders and members can read; rate limited per team)
+userRoutres.get("/about", limitUnauthorized, verifyAuth, limitReads, requireRole("leader", "member"), getTeamRegistration);
+userRoutres.get("/submission", limitUnauthorized, verifyAuth, limitReads, requireRole("leader", "member"), getSubmission);
+userRoutres.get("/submission/history", limitUnauthorized, verifyAuth, limitReads, requireRole("leader"), getSubmissionHistory);
+userRoutres.get("/events", allowQueryToken, limitUnauthorized, verifyAuth, limitReads, requireRole("leader", "member"), streamTeamEvents);
 
-// Protected route with validation (require authentication + validation)
-userRoutres.post("/submit", verifyAuth, validateSubmission, submitTeamData);
+// Protected route with validation (leader only + validation)
+userRoutres.post("/submit", limitUnauthorized, verifyAuth, limitSubmits, requireRole("leader"), enforceSubmissionWindow, validateSubmission, submitTeamData);
+userRoutres.put("/submission", limitUnauthorized, verifyAuth, limitSubmits, requireRole("leader"), enforceEditWindow, validateSubmission, updateSubmission);
 
 export { userRoutres };
\ No newline at end of file
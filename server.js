@@ -1,15 +1,27 @@
 import express from 'express'
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
 import hpp from 'hpp';
-dotenv.config();
 
+// Loads and validates the configuration first, so a bad deploy fails before anything starts
+import { config, getConfigSummary, usesSheetsStore } from './lib/config.js';
 import './firebase.js';
 import { userRoutres } from './routes/user_routes.js';
+import { adminRoutes } from './routes/admin_routes.js';
+import { judgeRoutes } from './routes/judge_routes.js';
+import { healthRoutes } from './routes/health_routes.js';
+import { getSubmissionStore } from './lib/storage/index.js';
+import { resumePendingSheetSyncs } from './lib/sheetSync.js';
+import { warmTeamRowIndex } from './lib/googleSheets.js';
+import { resumePendingLinkChecks } from './lib/linkChecker.js';
+import { startDeadlineReminders } from './lib/notifications.js';
+import { resumePendingWebhookDeliveries } from './lib/webhooks.js';
+import { startTeamCacheInvalidation } from './lib/teamLookup.js';
 import { errorHandler, notFoundHandler } from './middlewares/error_middlewares.js';
+import { verifyCsrf } from './middlewares/csrf_middlewares.js';
+import { logRequests, bindRequestContext } from './middlewares/request_middlewares.js';
+import { logger } from './lib/logger.js';
 
 const app = express()
 
@@ -17,16 +29,22 @@ const app = express()
 app.disable('x-powered-by');
 
 // Trust proxy in production (needed for secure cookies and rate limiting behind proxies)
-if (process.env.NODE_ENV === 'production') {
+if (config.server.trustProxy) {
 	app.set('trust proxy', 1);
 }
 
+// Request IDs and access logging (first, so every request is logged)
+app.use(logRequests);
+
 // Basic health
 app.get('/', (req, res) => {
   res.send('Hello World!')
 });
 
-const PORT = process.env.PORT || 8000
+// Liveness and readiness probes
+app.use(healthRoutes);
+
+const PORT = config.server.port
 
 // Security: Helmet
 app.use(helmet({
@@ -38,21 +56,14 @@ app.use(express.json({ limit: '100kb', type: ['application/json', 'application/*
 app.use(express.urlencoded({ extended: true, limit: '100kb' }));
 app.use(cookieParser());
 
+// Log lines written while handling a request carry its requestId
+app.use(bindRequestContext);
+
 // Prevent HTTP Parameter Pollution
 app.use(hpp());
 
 // CORS (configured for cross-origin)
-const allowedOrigin = process.env.CLIENT_ORIGIN;
-console.log('[SERVER] Allowed CORS origin:', allowedOrigin);
-
-// Build allowed origins array
-const allowedOrigins = [];
-if (allowedOrigin) {
-	allowedOrigins.push(allowedOrigin);
-}
-if (process.env.NODE_ENV !== 'production') {
-	allowedOrigins.push('http://localhost:5173');
-}
+const allowedOrigins = config.server.allowedOrigins;
 
 app.use(cors({
 	origin: function (origin, callback) {
@@ -63,7 +74,7 @@ app.use(cors({
 		if (allowedOrigins.includes(origin)) {
 			callback(null, true);
 		} else {
-			console.warn('[CORS] Blocked origin:', origin);
+			logger.warn('[CORS] Blocked origin', { origin });
 			callback(new Error('Not allowed by CORS'));
 		}
 	},
@@ -73,39 +84,46 @@ app.use(cors({
 	exposedHeaders: ['Set-Cookie'], // Expose Set-Cookie header
 }));
 
-// Anti-CSRF: validate Origin for state-changing requests (production only)
-// Note: Relaxed for cross-origin cookie support
-if (process.env.NODE_ENV === 'production' && process.env.COOKIE_SAME_SITE !== 'none') {
-	app.use((req, res, next) => {
-		const method = req.method.toUpperCase();
-		if (['POST','PUT','PATCH','DELETE'].includes(method)) {
-			const origin = req.headers.origin;
-			if (origin && !allowedOrigins.includes(origin)) {
-				console.warn('[CSRF] Blocked request from origin:', origin);
-				return res.status(403).json({ error: 'Forbidden: invalid origin' });
-			}
-		}
-		next();
-	});
-}
+// Anti-CSRF: cookie sessions must echo the CSRF token on state-changing requests
+app.use('/api/', verifyCsrf);
 
-// Rate limiting (per IP)
-const limiter = rateLimit({
-	windowMs: 5 * 60 * 1000, // 5 minutes
-	max: Number(process.env.RATE_LIMIT_MAX || 200), // max requests per window per IP
-	standardHeaders: true,
-	legacyHeaders: false,
-	message: { error: 'Too many requests, please try again later.' },
-});
-app.use('/api/', limiter);
+// Rate limiting is per route (auth, public, unauthorized, read and submit policies),
+// see middlewares/rate_limit_middlewares.js
 
 // Routes
 app.use('/api/users', userRoutres);
+app.use('/api/admin', adminRoutes);
+app.use('/api/judges', judgeRoutes);
 
 // Error handling middleware (must be after routes)
 app.use(notFoundHandler);
 app.use(errorHandler);
 
 app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`)
+    logger.info('[SERVER] Server is running', { port: PORT })
+    logger.info('[CONFIG] Effective configuration', { config: getConfigSummary(config) })
+
+    // Load the teamId -> row index so the first lookups don't scan the sheet
+    if (usesSheetsStore()) {
+        warmTeamRowIndex();
+    }
+
+    // Pick up submissions that were saved but not yet copied to the sheet
+    if (getSubmissionStore().name === 'mirrored') {
+        resumePendingSheetSyncs();
+    }
+
+    // Finish link checks that were queued before a restart
+    if (config.linkChecks.enabled) {
+        resumePendingLinkChecks();
+    }
+
+    // Email confirmed teams that haven't submitted as the deadline approaches
+    startDeadlineReminders();
+
+    // Retry webhook deliveries that were pending before a restart
+    resumePendingWebhookDeliveries();
+
+    // Drop cached team registrations as soon as they change
+    startTeamCacheInvalidation();
 })
\ No newline at end of file
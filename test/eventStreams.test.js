@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+// Revocation is re-checked every second, without caching lookups
+process.env.SSE_SESSION_CHECK_SECONDS = '1';
+process.env.REVOCATION_CACHE_SECONDS = '0';
+await import('./helpers/env.js');
+
+const { setFirebaseServices } = await import('../firebase.js');
+const { config } = await import('../lib/config.js');
+const { fileStore } = await import('../lib/storage/fileStore.js');
+const { countTeamStreams } = await import('../lib/liveEvents.js');
+const { verifyAuth } = await import('../middlewares/auth_middlewares.js');
+const { streamTeamEvents } = await import('../controllers/user_controllers.js');
+const { createFakeFirestore } = await import('./helpers/fakeFirestore.js');
+
+const LEADER_UID = 'leader-uid-0003';
+const TEAM_ID = 'T-stream';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let firestore;
+let server;
+let baseUrl;
+
+before(async () => {
+  firestore = createFakeFirestore();
+  firestore.documents.set('teamRegistrations/reg-3', {
+    teamId: TEAM_ID,
+    leaderUserId: LEADER_UID,
+    status: 'confirmed',
+  });
+  setFirebaseServices({ firestore });
+  await fileStore.create({ teamId: TEAM_ID, teamName: 'Streams' });
+
+  const app = express();
+  app.get('/events', verifyAuth, streamTeamEvents);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const signToken = (expiresInSeconds) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { uid: LEADER_UID, role: 'leader', teamId: TEAM_ID, leaderUserId: LEADER_UID },
+    config.auth.jwtSecret,
+    { expiresIn: expiresInSeconds, jwtid: jti }
+  );
+  return { token, jti };
+};
+
+const openStream = (token, signal) => fetch(`${baseUrl}/events`, {
+  headers: { Authorization: `Bearer ${token}` },
+  signal,
+});
+
+/**
+ * Read a stream until the server ends it; returns the events as { event, data }
+ */
+const readEvents = async (response) => {
+  const text = await response.text();
+  return text.split('\n\n')
+    .map((block) => block.match(/^event: (.+)\ndata: (.*)$/))
+    .filter(Boolean)
+    .map(([, event, data]) => ({ event, data: JSON.parse(data) }));
+};
+
+const waitForNoStreams = async () => {
+  for (let i = 0; i < 100 && countTeamStreams(TEAM_ID) > 0; i++) {
+    await sleep(10);
+  }
+  return countTeamStreams(TEAM_ID);
+};
+
+test('a client that leaves while the stream is starting does not stay subscribed', async () => {
+  const findByTeamId = fileStore.findByTeamId;
+  let reading;
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+  fileStore.findByTeamId = (teamId) => {
+    reading?.();
+    return released.then(() => findByTeamId.call(fileStore, teamId));
+  };
+
+  try {
+    const controller = new AbortController();
+    const started = new Promise((resolve) => {
+      reading = resolve;
+    });
+    const response = openStream(signToken(3600).token, controller.signal).catch(() => null);
+    await started;
+    assert.equal(countTeamStreams(TEAM_ID), 1);
+
+    controller.abort();
+    await response;
+    await sleep(50);
+    release();
+
+    assert.equal(await waitForNoStreams(), 0);
+  } finally {
+    fileStore.findByTeamId = findByTeamId;
+  }
+});
+
+test('a stream ends with sessionEnded when its access token expires', { timeout: 10000 }, async () => {
+  const response = await openStream(signToken(2).token);
+  assert.equal(response.status, 200);
+
+  const events = await readEvents(response);
+
+  assert.deepEqual(events.map(({ event }) => event), ['submission', 'linkCheck', 'window', 'sessionEnded']);
+  assert.deepEqual(events.at(-1).data, { reason: 'expired' });
+  assert.equal(await waitForNoStreams(), 0);
+});
+
+test('a stream ends with sessionEnded once its access token is revoked', { timeout: 10000 }, async () => {
+  const { token, jti } = signToken(3600);
+  const response = await openStream(token);
+  assert.equal(response.status, 200);
+
+  firestore.documents.set(`revokedAccessTokens/${jti}`, { revokedAt: new Date().toISOString() });
+  const events = await readEvents(response);
+
+  assert.deepEqual(events.at(-1), { event: 'sessionEnded', data: { reason: 'revoked' } });
+  assert.equal(await waitForNoStreams(), 0);
+});
@@ -0,0 +1,95 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { config } from '../lib/config.js';
+import { fileStore } from '../lib/storage/fileStore.js';
+import { getSubmissionStore } from '../lib/storage/index.js';
+
+const submission = (teamId, overrides = {}) => ({
+  teamId,
+  teamName: `Team ${teamId}`,
+  submissionTime: '2026-01-15 14:30:45',
+  githubLink: `https://github.com/example/${teamId}`,
+  ...overrides,
+});
+
+test('SUBMISSION_STORE=file selects the file store without Firebase credentials', () => {
+  assert.equal(getSubmissionStore(), fileStore);
+  assert.equal(fileStore.hasAtomicCreate, true);
+});
+
+test('create stores a submission that findByTeamId returns', async () => {
+  const created = await fileStore.create(submission('T-create'));
+
+  assert.deepEqual(created, submission('T-create'));
+  assert.deepEqual(await fileStore.findByTeamId('T-create'), submission('T-create'));
+  const onDisk = JSON.parse(await fs.readFile(config.submissions.storeFile, 'utf8'));
+  assert.deepEqual(onDisk['T-create'], submission('T-create'));
+});
+
+test('findByTeamId returns null for a team without a submission', async () => {
+  assert.equal(await fileStore.findByTeamId('T-missing'), null);
+});
+
+test('create rejects a second submission for the same team with status 409', async () => {
+  await fileStore.create(submission('T-twice'));
+
+  await assert.rejects(
+    fileStore.create(submission('T-twice', { teamName: 'Second' })),
+    (error) => error.status === 409
+  );
+  assert.equal((await fileStore.findByTeamId('T-twice')).teamName, 'Team T-twice');
+});
+
+test('concurrent creates for one team store exactly one submission', async () => {
+  const results = await Promise.allSettled(
+    Array.from({ length: 10 }, (_, index) => fileStore.create(submission('T-race', { teamName: `Attempt ${index}` })))
+  );
+
+  assert.equal(results.filter((result) => result.status === 'fulfilled').length, 1);
+  assert.ok(results
+    .filter((result) => result.status === 'rejected')
+    .every((result) => result.reason.status === 409));
+  const stored = (await fileStore.list()).filter((entry) => entry.teamId === 'T-race');
+  assert.equal(stored.length, 1);
+});
+
+test('update replaces the submission of a team', async () => {
+  await fileStore.create(submission('T-update'));
+
+  const updated = await fileStore.update('T-update', submission('T-update', { githubLink: 'https://github.com/example/new' }));
+
+  assert.equal(updated.githubLink, 'https://github.com/example/new');
+  assert.equal((await fileStore.findByTeamId('T-update')).githubLink, 'https://github.com/example/new');
+});
+
+test('update fails with status 404 for a team without a submission', async () => {
+  await assert.rejects(
+    fileStore.update('T-nobody', submission('T-nobody')),
+    (error) => error.status === 404
+  );
+  assert.equal(await fileStore.findByTeamId('T-nobody'), null);
+});
+
+test('remove deletes a submission and reports whether there was one', async () => {
+  await fileStore.create(submission('T-remove'));
+
+  assert.equal(await fileStore.remove('T-remove'), true);
+  assert.equal(await fileStore.findByTeamId('T-remove'), null);
+  assert.equal(await fileStore.remove('T-remove'), false);
+});
+
+test('list and iterate return every submission', async () => {
+  await fileStore.create(submission('T-list-1'));
+  await fileStore.create(submission('T-list-2'));
+
+  const listed = (await fileStore.list()).map((entry) => entry.teamId);
+  const iterated = [];
+  for await (const entry of fileStore.iterate()) {
+    iterated.push(entry.teamId);
+  }
+
+  assert.ok(listed.includes('T-list-1') && listed.includes('T-list-2'));
+  assert.deepEqual(iterated, listed);
+});
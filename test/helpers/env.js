@@ -0,0 +1,37 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test environment; import this before anything that loads lib/config.js
+ * Runs in the test profile (no Firebase credentials needed) with the file
+ * submission store in a fresh temporary directory. Variables already set win,
+ * so a test file can set its own before importing this.
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hackathon-test-'));
+
+const defaults = {
+  APP_ENV: 'test',
+  LOG_LEVEL: 'silent',
+  JWT_SECRET: 'test-secret',
+  SUBMISSION_STORE: 'file',
+  SUBMISSION_STORE_FILE: path.join(dataDir, 'submissions.json'),
+  MAIL_OUTBOX_FILE: path.join(dataDir, 'outbox.ndjson'),
+  LINK_CHECKS_ENABLED: 'false',
+  TEAM_CACHE_LISTENER: 'false',
+  // Short enough for a test to wait out a held lock
+  SUBMISSION_LOCK_WAIT_MS: '1000',
+};
+
+Object.entries(defaults).forEach(([name, value]) => {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+});
+
+process.on('exit', () => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+export const testDataDir = dataDir;
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+
+/**
+ * In-memory stand-in for the parts of Firestore the server uses
+ * Install it with setFirebaseServices({ firestore: createFakeFirestore() }).
+ * Documents live in a Map keyed by path ("collection/id"). Transactions run
+ * one at a time, which is enough to exercise code that relies on them.
+ */
+
+// gRPC codes the real client reports
+const ALREADY_EXISTS = 6;
+const NOT_FOUND = 5;
+
+const firestoreError = (code, message) => Object.assign(new Error(message), { code });
+
+const getField = (data, field) => field.split('.').reduce((value, key) => value?.[key], data);
+
+// Apply "a.b" style keys the way update() and set({ merge }) do
+const applyFields = (target, fields) => {
+  Object.entries(fields).forEach(([key, value]) => {
+    const parts = key.split('.');
+    let node = target;
+    parts.slice(0, -1).forEach((part) => {
+      node[part] = node[part] && typeof node[part] === 'object' ? node[part] : {};
+      node = node[part];
+    });
+    node[parts.at(-1)] = value;
+  });
+  return target;
+};
+
+const OPERATORS = {
+  '==': (value, expected) => (value ?? null) === expected,
+  '!=': (value, expected) => (value ?? null) !== expected,
+  '<': (value, expected) => value < expected,
+  '<=': (value, expected) => value <= expected,
+  '>': (value, expected) => value > expected,
+  '>=': (value, expected) => value >= expected,
+  in: (value, expected) => expected.includes(value),
+  'array-contains': (value, expected) => Array.isArray(value) && value.includes(expected),
+};
+
+export const createFakeFirestore = () => {
+  const documents = new Map();
+  let transactionQueue = Promise.resolve();
+
+  const snapshotOf = (path) => {
+    const stored = documents.get(path);
+    return {
+      id: path.split('/').pop(),
+      exists: stored !== undefined,
+      ref: docRef(path),
+      data: () => (stored === undefined ? undefined : structuredClone(stored)),
+    };
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => snapshotOf(path),
+    create: async (data) => {
+      if (documents.has(path)) {
+        throw firestoreError(ALREADY_EXISTS, `Document already exists: ${path}`);
+      }
+      documents.set(path, structuredClone(data));
+    },
+    set: async (data, { merge = false } = {}) => {
+      const base = merge ? structuredClone(documents.get(path) || {}) : {};
+      documents.set(path, applyFields(base, structuredClone(data)));
+    },
+    update: async (fields) => {
+      if (!documents.has(path)) {
+        throw firestoreError(NOT_FOUND, `No document to update: ${path}`);
+      }
+      documents.set(path, applyFields(structuredClone(documents.get(path)), structuredClone(fields)));
+    },
+    delete: async () => {
+      documents.delete(path);
+    },
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  const query = (collectionPath, { filters = [], order = null, max = null } = {}) => {
+    const run = () => {
+      const depth = collectionPath.split('/').length + 1;
+      let docs = [...documents.keys()]
+        .filter((path) => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth)
+        .map(snapshotOf)
+        .filter((doc) => filters.every(([field, op, expected]) => OPERATORS[op](getField(doc.data(), field), expected)));
+      if (order) {
+        const [field, direction] = order;
+        docs.sort((a, b) => {
+          const x = getField(a.data(), field);
+          const y = getField(b.data(), field);
+          const compared = x < y ? -1 : x > y ? 1 : 0;
+          return direction === 'desc' ? -compared : compared;
+        });
+      }
+      if (max !== null) {
+        docs = docs.slice(0, max);
+      }
+      return docs;
+    };
+
+    return {
+      where: (field, op, expected) => query(collectionPath, { filters: [...filters, [field, op, expected]], order, max }),
+      orderBy: (field, direction = 'asc') => query(collectionPath, { filters, order: [field, direction], max }),
+      limit: (count) => query(collectionPath, { filters, order, max: count }),
+      select: () => query(collectionPath, { filters, order, max }),
+      get: async () => {
+        const docs = run();
+        return { empty: docs.length === 0, size: docs.length, docs, forEach: (fn) => docs.forEach(fn) };
+      },
+      count: () => ({ get: async () => ({ data: () => ({ count: run().length }) }) }),
+      // Delivers the current documents once; later changes are not streamed
+      onSnapshot: (onNext) => {
+        const docs = run();
+        setImmediate(() => onNext({ docs, size: docs.length, empty: docs.length === 0, docChanges: () => [] }));
+        return () => {};
+      },
+    };
+  };
+
+  const collectionRef = (collectionPath) => ({
+    ...query(collectionPath),
+    doc: (id = crypto.randomUUID()) => docRef(`${collectionPath}/${id}`),
+    add: async (data) => {
+      const ref = docRef(`${collectionPath}/${crypto.randomUUID()}`);
+      await ref.set(data);
+      return ref;
+    },
+  });
+
+  // Writes are buffered and applied when the batch or transaction commits
+  const writeBuffer = () => {
+    const writes = [];
+    return {
+      writes,
+      set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+      create: (ref, data) => writes.push(() => ref.create(data)),
+      update: (ref, fields) => writes.push(() => ref.update(fields)),
+      delete: (ref) => writes.push(() => ref.delete()),
+    };
+  };
+
+  const commit = async (writes) => {
+    for (const write of writes) {
+      await write();
+    }
+  };
+
+  return {
+    // Exposed so tests can seed and inspect documents directly
+    documents,
+    collection: collectionRef,
+    doc: (path) => docRef(path),
+    getAll: async (...refs) => refs.map((ref) => snapshotOf(ref.path)),
+    batch: () => {
+      const buffer = writeBuffer();
+      const batch = {
+        set: (...args) => { buffer.set(...args); return batch; },
+        create: (...args) => { buffer.create(...args); return batch; },
+        update: (...args) => { buffer.update(...args); return batch; },
+        delete: (...args) => { buffer.delete(...args); return batch; },
+        commit: () => commit(buffer.writes),
+      };
+      return batch;
+    },
+    runTransaction: (fn) => {
+      const run = transactionQueue.then(async () => {
+        const buffer = writeBuffer();
+        const transaction = {
+          get: (refOrQuery) => refOrQuery.get(),
+          getAll: (...refs) => Promise.all(refs.map((ref) => ref.get())),
+          set: (...args) => { buffer.set(...args); return transaction; },
+          create: (...args) => { buffer.create(...args); return transaction; },
+          update: (...args) => { buffer.update(...args); return transaction; },
+          delete: (...args) => { buffer.delete(...args); return transaction; },
+        };
+        const result = await fn(transaction);
+        await commit(buffer.writes);
+        return result;
+      });
+      transactionQueue = run.catch(() => {});
+      return run;
+    },
+  };
+};
@@ -0,0 +1,174 @@
+import net from 'net';
+
+/**
+ * Minimal Redis stand-in speaking RESP over TCP, for the rate limit store
+ * Supports INFO, GET, INCR, DECR, DEL, PTTL, PEXPIRE, MULTI/EXEC and EVAL of
+ * the rate limit increment and decrement scripts (EVALSHA always answers
+ * NOSCRIPT, so clients fall back to EVAL). Keys live in `keys` as { value, expiresAt }.
+ * Set `failing` to answer every command after the handshake with an error.
+ */
+
+const simple = (value) => `+${value}\r\n`;
+const error = (message) => `-${message}\r\n`;
+const integer = (value) => `:${value}\r\n`;
+const bulk = (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`);
+const array = (items) => `*${items.length}\r\n${items.join('')}`;
+
+/**
+ * Read one command (an array of bulk strings) from the buffer
+ * Returns { args, next } or null if it hasn't fully arrived
+ */
+const readCommand = (buffer, offset) => {
+  const readLine = (at) => {
+    const end = buffer.indexOf('\r\n', at);
+    return end === -1 ? null : { line: buffer.toString('utf8', at, end), next: end + 2 };
+  };
+
+  const header = readLine(offset);
+  if (!header) {
+    return null;
+  }
+  const count = Number(header.line.slice(1));
+  const args = [];
+  let next = header.next;
+  for (let i = 0; i < count; i++) {
+    const length = readLine(next);
+    if (!length) {
+      return null;
+    }
+    const size = Number(length.line.slice(1));
+    if (buffer.length < length.next + size + 2) {
+      return null;
+    }
+    args.push(buffer.toString('utf8', length.next, length.next + size));
+    next = length.next + size + 2;
+  }
+  return { args, next };
+};
+
+export const createFakeRedis = () => {
+  const keys = new Map();
+  const sockets = new Set();
+
+  const live = (key) => {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const pttl = (key) => {
+    const entry = live(key);
+    if (!entry) {
+      return -2;
+    }
+    return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+  };
+
+  const incrementBy = (key, by) => {
+    const entry = live(key) || { value: '0', expiresAt: null };
+    entry.value = String(Number(entry.value) + by);
+    keys.set(key, entry);
+    return Number(entry.value);
+  };
+
+  const pexpire = (key, ms) => {
+    const entry = live(key);
+    if (!entry) {
+      return 0;
+    }
+    entry.expiresAt = Date.now() + Number(ms);
+    return 1;
+  };
+
+  const run = ([name, ...args]) => {
+    switch (name.toUpperCase()) {
+      case 'INFO':
+        return bulk('# Server\r\nredis_version:7.0.0\r\nloading:0\r\n');
+      case 'GET':
+        return bulk(live(args[0])?.value ?? null);
+      case 'INCR':
+        return integer(incrementBy(args[0], 1));
+      case 'DECR':
+        return integer(incrementBy(args[0], -1));
+      case 'DEL':
+        return integer(args.filter((key) => live(key) && keys.delete(key)).length);
+      case 'PTTL':
+        return integer(pttl(args[0]));
+      case 'PEXPIRE':
+        return integer(pexpire(args[0], args[1]));
+      case 'EVALSHA':
+        return error('NOSCRIPT No matching script. Please use EVAL.');
+      case 'EVAL': {
+        const [script, , key, windowMs] = args;
+        // The rate limit decrement script: DECR only an existing key
+        if (script.includes("'DECR'")) {
+          return integer(live(key) ? incrementBy(key, -1) : 0);
+        }
+        // The rate limit increment script: INCR, then start the window if it has none
+        const hits = incrementBy(key, 1);
+        let ttl = pttl(key);
+        if (ttl < 0) {
+          pexpire(key, windowMs);
+          ttl = Number(windowMs);
+        }
+        return array([integer(hits), integer(ttl)]);
+      }
+      default:
+        return error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let command;
+      let offset = 0;
+      while ((command = readCommand(buffer, offset))) {
+        offset = command.next;
+        const name = command.args[0].toUpperCase();
+
+        if (fake.failing && name !== 'INFO') {
+          socket.write(error('ERR stand-in failure'));
+        } else if (name === 'MULTI') {
+          queued = [];
+          socket.write(simple('OK'));
+        } else if (name === 'EXEC') {
+          socket.write(array(queued.map(run)));
+          queued = null;
+        } else if (queued) {
+          queued.push(command.args);
+          socket.write(simple('QUEUED'));
+        } else {
+          socket.write(run(command.args));
+        }
+      }
+      buffer = buffer.subarray(offset);
+    });
+  });
+
+  const fake = {
+    keys,
+    failing: false,
+    /**
+     * Start listening on a free local port; returns the redis:// URL
+     */
+    listen: async () => {
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      return `redis://127.0.0.1:${server.address().port}`;
+    },
+    close: () => {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+  return fake;
+};
@@ -0,0 +1,45 @@
+/**
+ * Minimal Express response stand-in for calling controllers directly
+ * Records the status and JSON body; `done` resolves once a response is sent
+ */
+export const createResponse = () => {
+  let finish;
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    locals: {},
+    done: new Promise((resolve) => {
+      finish = resolve;
+    }),
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      finish(res);
+      return res;
+    },
+  };
+  return res;
+};
+
+/**
+ * Call a controller and wait for its response; errors passed to next() are thrown
+ */
+export const callController = async (controller, req) => {
+  const res = createResponse();
+  let nextError = null;
+  await controller(req, res, (error) => {
+    nextError = error || null;
+  });
+  if (nextError) {
+    throw nextError;
+  }
+  return res;
+};
@@ -0,0 +1,142 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setFirebaseServices } from '../firebase.js';
+import { fileStore } from '../lib/storage/fileStore.js';
+import { planAssignments, buildLeaderboard } from '../lib/judging.js';
+import { getJudgeQueue } from '../controllers/judge_controllers.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { callController } from './helpers/http.js';
+
+// One criterion out of 10, so a score of 4 is a total of 40
+const RUBRIC = { criteria: [{ id: 'overall', name: 'Overall', weight: 1, maxScore: 10 }] };
+
+const score = (judgeUid, teamId, overall) => ({ judgeUid, teamId, scores: { overall } });
+
+const loadsOf = (assignments) => assignments.reduce((loads, { judgeUid }) => {
+  loads[judgeUid] = (loads[judgeUid] || 0) + 1;
+  return loads;
+}, {});
+
+test('assignments skip conflicted judges and team members and go to the least loaded judge', () => {
+  const { assignments, shortfalls } = planAssignments({
+    teamIds: ['T1', 'T2', 'T3'],
+    judges: [
+      { uid: 'j1', conflicts: ['T1'] },
+      { uid: 'j2' },
+      { uid: 'j3', email: 'J3@example.com' },
+    ],
+    existingAssignments: [{ judgeUid: 'j2', teamId: 'T3' }],
+    registrations: new Map([['T2', { members: [{ email: 'j3@example.com' }] }]]),
+    judgesPerSubmission: 2,
+  });
+
+  assert.deepEqual(assignments, [
+    { judgeUid: 'j3', teamId: 'T1' },
+    { judgeUid: 'j2', teamId: 'T1' },
+    { judgeUid: 'j1', teamId: 'T2' },
+    { judgeUid: 'j2', teamId: 'T2' },
+    { judgeUid: 'j1', teamId: 'T3' },
+  ]);
+  assert.deepEqual(shortfalls, []);
+});
+
+test('assignments are spread evenly across judges', () => {
+  const { assignments } = planAssignments({
+    teamIds: ['T1', 'T2', 'T3', 'T4', 'T5', 'T6'],
+    judges: [{ uid: 'j1' }, { uid: 'j2' }, { uid: 'j3' }, { uid: 'j4' }],
+    existingAssignments: [],
+    registrations: new Map(),
+    judgesPerSubmission: 2,
+  });
+
+  assert.equal(assignments.length, 12);
+  assert.deepEqual(loadsOf(assignments), { j1: 3, j2: 3, j3: 3, j4: 3 });
+});
+
+test('teams without enough eligible judges are reported as shortfalls', () => {
+  const { assignments, shortfalls } = planAssignments({
+    teamIds: ['T1', 'T2'],
+    judges: [{ uid: 'j1', conflicts: ['T1'] }, { uid: 'j2' }],
+    existingAssignments: [],
+    registrations: new Map(),
+    judgesPerSubmission: 2,
+  });
+
+  assert.deepEqual(assignments.filter(({ teamId }) => teamId === 'T1'), [{ judgeUid: 'j2', teamId: 'T1' }]);
+  assert.deepEqual(shortfalls, [{ teamId: 'T1', missing: 1 }]);
+});
+
+test('scores are normalized per judge, so a harsh judge does not sink their teams', () => {
+  // hard scores 20 and 40, easy scores 80 and 100
+  const { teams, judges } = buildLeaderboard([
+    score('hard', 'A', 2),
+    score('hard', 'B', 4),
+    score('easy', 'C', 8),
+    score('easy', 'D', 10),
+  ], RUBRIC);
+
+  // Overall mean 60 and spread sqrt(1000); each judge's best is +1 sd, worst -1 sd
+  assert.deepEqual(
+    teams.map(({ teamId, rank, rawScore, normalizedScore }) => ({ teamId, rank, rawScore, normalizedScore })),
+    [
+      { teamId: 'D', rank: 1, rawScore: 100, normalizedScore: 91.62 },
+      { teamId: 'B', rank: 2, rawScore: 40, normalizedScore: 91.62 },
+      { teamId: 'C', rank: 3, rawScore: 80, normalizedScore: 28.38 },
+      { teamId: 'A', rank: 4, rawScore: 20, normalizedScore: 28.38 },
+    ]
+  );
+  assert.deepEqual(judges, [
+    { judgeUid: 'hard', scoreCount: 2, mean: 30, stdDev: 10 },
+    { judgeUid: 'easy', scoreCount: 2, mean: 90, stdDev: 10 },
+  ]);
+});
+
+test('a judge without spread maps to the overall mean and team scores average their judges', () => {
+  const { teams } = buildLeaderboard([
+    score('one', 'A', 9),
+    score('two', 'A', 5),
+    score('two', 'B', 7),
+  ], RUBRIC);
+
+  const teamA = teams.find(({ teamId }) => teamId === 'A');
+  assert.equal(teamA.judgeCount, 2);
+  assert.equal(teamA.rawScore, 70);
+  // Judge "one" scored once: z-score 0, so the overall mean (70)
+  assert.equal(teamA.judges.find(({ judgeUid }) => judgeUid === 'one').normalized, 70);
+});
+
+test('the judge queue reads the submission store once and skips deleted submissions', async () => {
+  const firestore = createFakeFirestore();
+  firestore.documents.set('judgeAssignments/judge-1_T-q1', { judgeUid: 'judge-1', teamId: 'T-q1' });
+  firestore.documents.set('judgeAssignments/judge-1_T-q2', { judgeUid: 'judge-1', teamId: 'T-q2' });
+  firestore.documents.set('judgeAssignments/judge-1_T-gone', { judgeUid: 'judge-1', teamId: 'T-gone' });
+  firestore.documents.set('judgeScores/judge-1_T-q2', { judgeUid: 'judge-1', teamId: 'T-q2', scores: { overall: 6 }, comment: 'ok' });
+  setFirebaseServices({ firestore });
+  await fileStore.create({ teamId: 'T-q1', teamName: 'Queue one' });
+  await fileStore.create({ teamId: 'T-q2', teamName: 'Queue two' });
+
+  const { findByTeamId, list } = fileStore;
+  let listCalls = 0;
+  fileStore.findByTeamId = () => {
+    throw new Error('Unexpected per-team read');
+  };
+  fileStore.list = (...args) => {
+    listCalls++;
+    return list.apply(fileStore, args);
+  };
+  try {
+    const res = await callController(getJudgeQueue, { user: { uid: 'judge-1', role: 'judge' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(listCalls, 1);
+    assert.deepEqual(res.body.data.queue.map((item) => [item.submission.teamId, item.isScored]), [
+      ['T-q1', false],
+      ['T-q2', true],
+    ]);
+    assert.equal(res.body.data.scored, 1);
+  } finally {
+    fileStore.findByTeamId = findByTeamId;
+    fileStore.list = list;
+  }
+});
@@ -0,0 +1,168 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// Link checks are off in the default test environment
+process.env.LINK_CHECKS_ENABLED = 'true';
+process.env.EVENT_STARTS_AT = '2026-03-01T09:00:00.000Z';
+await import('./helpers/env.js');
+
+const { setFirebaseServices } = await import('../firebase.js');
+const { requestLinkCheck, getLinkCheck, setLinkCheckHttpClient } = await import('../lib/linkChecker.js');
+const { getSubmission } = await import('../controllers/user_controllers.js');
+const { createFakeFirestore } = await import('./helpers/fakeFirestore.js');
+const { callController } = await import('./helpers/http.js');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const json = (res, status, body) => {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const commit = (date) => ({ commit: { committer: { date } } });
+
+/**
+ * Mock server for every link: requests arrive as /<host><path>
+ */
+const routes = {
+  '/slides.example/deck': (req, res) => res.writeHead(200).end(),
+  '/video.example/watch': (req, res) => res.writeHead(200).end(),
+  '/slides.example/private': (req, res) => res.writeHead(403).end(),
+  '/video.example/gone': (req, res) => res.writeHead(404).end(),
+  '/github.com/acme/app': (req, res) => res.writeHead(200).end(),
+  '/github.com/acme/fresh': (req, res) => res.writeHead(200).end(),
+  // The connection drops without an answer
+  '/github.com/acme/down': (req) => req.socket.destroy(),
+  '/api.github.com/repos/acme/app': (req, res) => json(res, 200, { private: false }),
+  '/api.github.com/repos/acme/app/commits': (req, res, url) => json(res, 200, url.searchParams.has('until')
+    ? [commit('2026-02-20T12:00:00Z')]
+    : [commit('2026-03-02T10:00:00Z')]),
+  '/api.github.com/repos/acme/fresh': (req, res) => json(res, 200, { private: false }),
+  '/api.github.com/repos/acme/fresh/commits': (req, res, url) => json(res, 200, url.searchParams.has('until')
+    ? []
+    : [commit('2026-03-01T12:00:00Z')]),
+  '/api.github.com/repos/acme/down': (req, res) => json(res, 404, { message: 'Not Found' }),
+};
+
+let server;
+let firestore;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[url.pathname];
+    if (route) {
+      route(req, res, url);
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  // Send every request to the mock server; fetch is used directly since it is local
+  setLinkCheckHttpClient((url, options) => {
+    const target = new URL(url);
+    return fetch(`http://127.0.0.1:${port}/${target.host}${target.pathname}${target.search}`, options);
+  });
+
+  firestore = createFakeFirestore();
+  setFirebaseServices({ firestore });
+});
+
+after(() => {
+  setLinkCheckHttpClient(null);
+  server.close();
+});
+
+/**
+ * Request a check and wait until it has finished
+ */
+const checkLinks = async (teamId, links) => {
+  await requestLinkCheck({ teamId, ...links });
+  for (let i = 0; i < 200; i++) {
+    const linkCheck = await getLinkCheck(teamId);
+    if (linkCheck.status !== 'pending') {
+      return linkCheck;
+    }
+    await sleep(10);
+  }
+  throw new Error('Link check did not finish');
+};
+
+test('reachable links and a public repo with older commits', async () => {
+  const linkCheck = await checkLinks('T-ok', {
+    githubLink: 'https://github.com/acme/app',
+    pptLink: 'https://slides.example/deck',
+    videoLink: 'https://video.example/watch',
+  });
+
+  assert.equal(linkCheck.status, 'done');
+  assert.equal(linkCheck.ok, true);
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(linkCheck.links).map(([field, result]) => [field, result.status])),
+    { githubLink: 'ok', pptLink: 'ok', videoLink: 'ok' }
+  );
+  assert.equal(linkCheck.links.pptLink.httpStatus, 200);
+  assert.deepEqual(linkCheck.github, {
+    owner: 'acme',
+    repo: 'app',
+    visibility: 'public',
+    lastCommitAt: '2026-03-02T10:00:00Z',
+    eventStartsAt: '2026-03-01T09:00:00.000Z',
+    commitsBeforeEventStart: true,
+    status: 'ok',
+  });
+});
+
+test('a repo with no commits before the event start', async () => {
+  const linkCheck = await checkLinks('T-fresh', {
+    githubLink: 'https://github.com/acme/fresh',
+    pptLink: 'https://slides.example/deck',
+    videoLink: 'https://video.example/watch',
+  });
+
+  assert.equal(linkCheck.github.commitsBeforeEventStart, false);
+  assert.equal(linkCheck.github.lastCommitAt, '2026-03-01T12:00:00Z');
+});
+
+test('private, missing and unreachable links', async () => {
+  const linkCheck = await checkLinks('T-bad', {
+    githubLink: 'https://github.com/acme/down',
+    pptLink: 'https://slides.example/private',
+    videoLink: 'https://video.example/gone',
+  });
+
+  assert.equal(linkCheck.status, 'done');
+  assert.equal(linkCheck.ok, false);
+  assert.equal(linkCheck.links.pptLink.status, 'private');
+  assert.equal(linkCheck.links.pptLink.httpStatus, 403);
+  assert.equal(linkCheck.links.videoLink.status, 'not_found');
+  assert.equal(linkCheck.links.githubLink.status, 'unreachable');
+  assert.equal(linkCheck.github.status, 'not_found');
+  assert.equal(linkCheck.github.visibility, null);
+});
+
+test('getSubmission returns linkCheck null when the link check cannot be read', async () => {
+  const { fileStore } = await import('../lib/storage/fileStore.js');
+  await fileStore.create({ teamId: 'T-read', teamName: 'Read', githubLink: 'https://github.com/acme/app' });
+  firestore.documents.set('teamRegistrations/reg-read', { teamId: 'T-read', leaderUserId: 'leader-read-01', status: 'confirmed' });
+
+  const collection = firestore.collection;
+  firestore.collection = (name) => {
+    if (name === 'linkChecks') {
+      throw new Error('Firestore unavailable');
+    }
+    return collection(name);
+  };
+  try {
+    const res = await callController(getSubmission, { user: { leaderUserId: 'leader-read-01' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.hasSubmission, true);
+    assert.equal(res.body.linkCheck, null);
+  } finally {
+    firestore.collection = collection;
+  }
+});
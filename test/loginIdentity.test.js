@@ -0,0 +1,117 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { setFirebaseServices } from '../firebase.js';
+import { config, loadConfig } from '../lib/config.js';
+import { verifyLoginRequest, setIdTokenVerifier, isLegacyLoginEnabled } from '../lib/loginIdentity.js';
+import { authenticateUser } from '../controllers/user_controllers.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { callController } from './helpers/http.js';
+
+const LEADER = { uid: 'leader-uid-0001', email: 'lead@example.com' };
+const MEMBER = { uid: 'member-uid-0001', email: 'member@example.com' };
+
+// Test tokens are the JSON of their claims; the verifier below decodes them
+const idTokenFor = (claims) => JSON.stringify(claims);
+
+const firebaseError = (code) => Object.assign(new Error(code), { code });
+
+before(() => {
+  const firestore = createFakeFirestore();
+  firestore.documents.set('teamRegistrations/reg-1', {
+    teamId: 'T1',
+    teamName: 'Team One',
+    leaderUserId: LEADER.uid,
+    status: 'confirmed',
+    members: [{ email: LEADER.email }, { email: MEMBER.email }],
+  });
+  setFirebaseServices({ firestore });
+
+  setIdTokenVerifier(async (idToken) => {
+    const claims = JSON.parse(idToken);
+    if (claims.revoked) {
+      throw firebaseError('auth/id-token-revoked');
+    }
+    if (claims.expired) {
+      throw firebaseError('auth/id-token-expired');
+    }
+    return claims;
+  });
+});
+
+after(() => {
+  setIdTokenVerifier(null);
+});
+
+const login = (body) => callController(authenticateUser, { body, headers: {}, cookies: {} });
+
+test('a valid ID token logs the leader in', async () => {
+  const res = await login({ idToken: idTokenFor({ uid: LEADER.uid, email: 'Lead@Example.com', email_verified: true }) });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.role, 'leader');
+  assert.equal(res.body.teamId, 'T1');
+  assert.equal(res.body.email, LEADER.email);
+  const claims = jwt.verify(res.body.token, config.auth.jwtSecret);
+  assert.equal(claims.uid, LEADER.uid);
+  assert.equal(claims.teamId, 'T1');
+});
+
+test('a valid ID token of a listed member logs in read-only', async () => {
+  const res = await login({ idToken: idTokenFor({ uid: MEMBER.uid, email: MEMBER.email, email_verified: true }) });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.role, 'member');
+});
+
+test('a revoked ID token is rejected with 401', async () => {
+  const res = await login({ idToken: idTokenFor({ uid: LEADER.uid, email: LEADER.email, revoked: true }) });
+
+  assert.equal(res.statusCode, 401);
+  assert.match(res.body.details[0], /revoked/);
+});
+
+test('an expired ID token is rejected with 401', async () => {
+  await assert.rejects(
+    verifyLoginRequest({ idToken: idTokenFor({ uid: LEADER.uid, email: LEADER.email, expired: true }) }),
+    (error) => error.status === 401 && /expired/.test(error.details[0])
+  );
+});
+
+test('a token whose email matches no team member is rejected with 403', async () => {
+  const res = await login({ idToken: idTokenFor({ uid: 'stranger-uid-01', email: 'stranger@example.com', email_verified: true }) });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'Only registered team members are allowed to login');
+});
+
+test('a member email that is not verified is rejected with 403', async () => {
+  const res = await login({ idToken: idTokenFor({ uid: MEMBER.uid, email: MEMBER.email, email_verified: false }) });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'Email not verified');
+});
+
+test('the legacy uid/email login is rejected when ALLOW_LEGACY_UID_LOGIN is unset', async () => {
+  assert.equal(isLegacyLoginEnabled(), false);
+
+  const res = await login({ uid: LEADER.uid, email: LEADER.email });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.details, ['idToken is required']);
+});
+
+test('the legacy uid/email login cannot be enabled in production', () => {
+  const { problems } = loadConfig({
+    APP_ENV: 'production',
+    ALLOW_LEGACY_UID_LOGIN: 'true',
+    JWT_SECRET: 'x'.repeat(32),
+    SUBMISSION_STORE: 'file',
+    FIREBASE_ADMIN_PROJECT_ID: 'project',
+    FIREBASE_ADMIN_CLIENT_EMAIL: 'admin@project.iam.gserviceaccount.com',
+    FIREBASE_ADMIN_PRIVATE_KEY: 'key',
+  });
+
+  assert.deepEqual(problems, ['ALLOW_LEGACY_UID_LOGIN cannot be enabled in production']);
+});
@@ -0,0 +1,149 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+
+// Messages go to the outbox file; a failed send is retried once after 300ms
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_MAX_ATTEMPTS = '2';
+process.env.MAIL_RETRY_DELAY_MS = '300';
+await import('./helpers/env.js');
+
+const { setFirebaseServices } = await import('../firebase.js');
+const { config } = await import('../lib/config.js');
+const { fileStore } = await import('../lib/storage/fileStore.js');
+const { renderTemplate, DEFAULT_TEMPLATES } = await import('../lib/emailTemplates.js');
+const { notifySubmissionReceipt, sendDueReminders, listEmailLog } = await import('../lib/notifications.js');
+const { createFakeFirestore } = await import('./helpers/fakeFirestore.js');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let firestore;
+
+before(() => {
+  firestore = createFakeFirestore();
+  setFirebaseServices({ firestore });
+});
+
+beforeEach(async () => {
+  await fs.rm(config.mail.outboxFile, { recursive: true, force: true });
+});
+
+const readOutbox = async () => {
+  try {
+    const contents = await fs.readFile(config.mail.outboxFile, 'utf8');
+    return contents.trim().split('\n').map((line) => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Wait until the team's email log has `count` entries
+ */
+const waitForLog = async (teamId, count) => {
+  for (let i = 0; i < 200; i++) {
+    const entries = await listEmailLog({ teamId });
+    if (entries.length >= count) {
+      return entries.reverse();
+    }
+    await sleep(10);
+  }
+  throw new Error(`Expected ${count} email log entries for ${teamId}`);
+};
+
+const submission = (overrides = {}) => ({
+  teamId: 'T-receipt',
+  teamName: 'Receipts',
+  leaderName: 'Lead',
+  leaderEmail: 'Lead@Example.com',
+  submissionTime: '2026-03-01 10:00:00',
+  githubLink: 'https://github.com/example/receipts',
+  description: 'Our project',
+  isLate: false,
+  ...overrides,
+});
+
+test('a receipt goes once to every distinct address of the leader and members', async () => {
+  await notifySubmissionReceipt(submission(), [
+    { email: 'lead@example.com' },
+    { email: ' Member@Example.com ' },
+    { email: 'member@example.com' },
+    { email: 'not-an-email' },
+    {},
+  ]);
+
+  const [message] = await readOutbox();
+  assert.deepEqual(message.to, ['lead@example.com', 'member@example.com']);
+  assert.equal(message.subject, 'Submission received: Receipts');
+  assert.match(message.text, /Github link: https:\/\/github\.com\/example\/receipts/);
+});
+
+test('templates escape variables in the HTML body only', () => {
+  const rendered = renderTemplate(DEFAULT_TEMPLATES.submissionReceipt, {
+    teamName: '<script>alert("x")</script>',
+    description: 'Tom & Jerry\'s <b>app</b>',
+    linksHtml: '<ul><li>kept as is</li></ul>',
+  });
+
+  assert.equal(rendered.subject, 'Submission received: <script>alert("x")</script>');
+  assert.match(rendered.text, /Tom & Jerry's <b>app<\/b>/);
+  assert.match(rendered.html, /Hi &lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;,/);
+  assert.match(rendered.html, /Tom &amp; Jerry&#39;s &lt;b&gt;app&lt;\/b&gt;/);
+  assert.match(rendered.html, /<ul><li>kept as is<\/li><\/ul>/);
+});
+
+test('submitted links are escaped in the receipt HTML', async () => {
+  await notifySubmissionReceipt(submission({ teamId: 'T-escape', githubLink: 'https://github.com/a/b?x="><img src=x>' }), []);
+
+  const [message] = await readOutbox();
+  assert.ok(message.html.includes('href="https://github.com/a/b?x=&quot;&gt;&lt;img src=x&gt;"'));
+  assert.ok(!message.html.includes('<img'));
+});
+
+test('a deadline reminder is claimed and sent once per team', async () => {
+  const now = new Date();
+  firestore.documents.set('settings/submissionWindow', {
+    opensAt: new Date(now.getTime() - 60 * 60 * 1000).toISOString(),
+    closesAt: new Date(now.getTime() + 30 * 60 * 1000).toISOString(),
+  });
+  firestore.documents.set('teamRegistrations/reg-late', {
+    teamId: 'T-late', teamName: 'Late', status: 'confirmed', members: [{ email: 'late@example.com' }],
+  });
+  firestore.documents.set('teamRegistrations/reg-done', {
+    teamId: 'T-done', teamName: 'Done', status: 'confirmed', members: [{ email: 'done@example.com' }],
+  });
+  await fileStore.create({ teamId: 'T-done', teamName: 'Done' });
+
+  // Two instances checking at the same time, then a later check
+  const reminded = await Promise.all([sendDueReminders(now), sendDueReminders(now)]);
+  const remindedLater = await sendDueReminders(new Date(now.getTime() + 60 * 1000));
+
+  assert.equal(reminded[0] + reminded[1], 1);
+  assert.equal(remindedLater, 0);
+  const reminders = (await readOutbox()).filter((message) => message.subject.startsWith('Reminder'));
+  assert.equal(reminders.length, 1);
+  assert.deepEqual(reminders[0].to, ['late@example.com']);
+  assert.equal([...firestore.documents.keys()].filter((path) => path.startsWith('emailReminders/')).length, 1);
+});
+
+test('a failed send is logged and retried', async () => {
+  // A directory where the outbox file should be makes the file transport fail
+  await fs.mkdir(config.mail.outboxFile, { recursive: true });
+
+  await notifySubmissionReceipt(submission({ teamId: 'T-retry' }), []);
+  const [failed] = await waitForLog('T-retry', 1);
+  await fs.rm(config.mail.outboxFile, { recursive: true, force: true });
+  const [, sent] = await waitForLog('T-retry', 2);
+
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempt, 1);
+  assert.equal(failed.transport, 'file');
+  assert.ok(failed.error);
+  assert.equal(sent.status, 'sent');
+  assert.equal(sent.attempt, 2);
+  assert.ok(sent.messageId);
+  assert.equal((await readOutbox()).length, 1);
+});
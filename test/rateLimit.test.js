@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+process.env.RATE_LIMIT_UNAUTHORIZED_MAX = '2';
+await import('./helpers/env.js');
+
+const { setFirebaseServices } = await import('../firebase.js');
+const { config } = await import('../lib/config.js');
+const { verifyAuth } = await import('../middlewares/auth_middlewares.js');
+const { limitUnauthorized } = await import('../middlewares/rate_limit_middlewares.js');
+const { createFakeFirestore } = await import('./helpers/fakeFirestore.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  setFirebaseServices({ firestore: createFakeFirestore() });
+
+  const app = express();
+  app.get('/protected', limitUnauthorized, verifyAuth, (req, res) => res.json({ ok: true }));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const request = (token) => fetch(`${baseUrl}/protected`, {
+  headers: { Authorization: `Bearer ${token}` },
+});
+
+test('only requests that fail authentication count against the IP before verifyAuth', async () => {
+  const token = jwt.sign(
+    { uid: 'leader-uid-0004', role: 'leader', teamId: 'T-limit' },
+    config.auth.jwtSecret,
+    { expiresIn: 60, jwtid: 'limit-test-token-0001' }
+  );
+
+  const statuses = [];
+  for (const value of [token, token, token, 'not-a-token', 'not-a-token', 'not-a-token', token]) {
+    statuses.push((await request(value)).status);
+  }
+
+  // Authenticated requests are uncounted; the third failure and what follows are limited
+  assert.deepEqual(statuses, [200, 200, 200, 401, 401, 429, 429]);
+});
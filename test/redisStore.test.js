@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+
+const redis = createFakeRedis();
+process.env.RATE_LIMIT_STORE = 'redis';
+process.env.RATE_LIMIT_REDIS_URL = await redis.listen();
+await import('./helpers/env.js');
+
+const { createRedisStore, closeRedisStore } = await import('../lib/rateLimit/redisStore.js');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Commands aren't queued while connecting, so wait for the connection first
+before(async () => {
+  const store = createRedisStore('ready');
+  store.init({ windowMs: 1000 });
+  for (let i = 0; i < 200; i++) {
+    try {
+      await store.get('probe');
+      return;
+    } catch {
+      await sleep(10);
+    }
+  }
+  throw new Error('Could not connect to the Redis stand-in');
+});
+
+after(async () => {
+  await closeRedisStore();
+  await redis.close();
+});
+
+const createStore = (prefix, windowMs) => {
+  const store = createRedisStore(prefix);
+  store.init({ windowMs });
+  return store;
+};
+
+test('hits are counted per key within the window', async () => {
+  const store = createStore('read', 60 * 1000);
+
+  const first = await store.increment('team:T1');
+  const second = await store.increment('team:T1');
+  const other = await store.increment('team:T2');
+
+  assert.equal(first.totalHits, 1);
+  assert.equal(second.totalHits, 2);
+  assert.equal(other.totalHits, 1);
+  assert.ok(second.resetTime.getTime() - Date.now() <= 60 * 1000);
+  assert.equal(redis.keys.get('rl:read:team:T1').value, '2');
+  assert.equal((await store.get('team:T1')).totalHits, 2);
+});
+
+test('instances sharing the server share the counters', async () => {
+  const one = createStore('submit', 60 * 1000);
+  const two = createStore('submit', 60 * 1000);
+
+  await one.increment('team:T1');
+  const { totalHits } = await two.increment('team:T1');
+
+  assert.equal(totalHits, 2);
+});
+
+test('decrement and resetKey adjust the count', async () => {
+  const store = createStore('auth', 60 * 1000);
+  await store.increment('ip:10.0.0.1');
+  await store.increment('ip:10.0.0.1');
+
+  await store.decrement('ip:10.0.0.1');
+  assert.equal((await store.get('ip:10.0.0.1')).totalHits, 1);
+
+  await store.resetKey('ip:10.0.0.1');
+  assert.equal(await store.get('ip:10.0.0.1'), undefined);
+});
+
+test('decrementing an expired or reset key leaves nothing behind', async () => {
+  const store = createStore('public', 50);
+  await store.increment('ip:10.0.0.3');
+
+  await sleep(80);
+  await store.decrement('ip:10.0.0.3');
+  await store.resetKey('ip:10.0.0.4');
+  await store.decrement('ip:10.0.0.4');
+
+  assert.equal(redis.keys.has('rl:public:ip:10.0.0.3'), false);
+  assert.equal(redis.keys.has('rl:public:ip:10.0.0.4'), false);
+});
+
+test('a new window starts once the previous one expires', async () => {
+  const store = createStore('public', 50);
+  await store.increment('ip:10.0.0.2');
+  await store.increment('ip:10.0.0.2');
+
+  await sleep(80);
+  const { totalHits } = await store.increment('ip:10.0.0.2');
+
+  assert.equal(totalHits, 1);
+});
+
+test('requests are let through uncounted while the server fails', async () => {
+  const store = createStore('read', 60 * 1000);
+  redis.failing = true;
+  try {
+    const results = await Promise.all([1, 2, 3].map(() => store.increment('team:T3')));
+
+    assert.deepEqual(results.map(({ totalHits }) => totalHits), [1, 1, 1]);
+    assert.equal(redis.keys.has('rl:read:team:T3'), false);
+  } finally {
+    redis.failing = false;
+  }
+  assert.equal((await store.increment('team:T3')).totalHits, 1);
+});
+
+test('decrement and resetKey do not throw while the server fails', async () => {
+  const store = createStore('read', 60 * 1000);
+  await store.increment('team:T4');
+  redis.failing = true;
+  try {
+    await store.decrement('team:T4');
+    await store.resetKey('team:T4');
+  } finally {
+    redis.failing = false;
+  }
+  assert.equal(redis.keys.get('rl:read:team:T4').value, '1');
+});
@@ -0,0 +1,68 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { setFirebaseServices } from '../firebase.js';
+import { config } from '../lib/config.js';
+import { adminRoutes } from '../routes/admin_routes.js';
+import { judgeRoutes } from '../routes/judge_routes.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  setFirebaseServices({ firestore: createFakeFirestore() });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/judges', judgeRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const tokenFor = (uid, role) => jwt.sign({ uid, role }, config.auth.jwtSecret, {
+  expiresIn: 60,
+  jwtid: crypto.randomUUID(),
+});
+
+const request = (method, path, role, body) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: {
+    Authorization: `Bearer ${tokenFor(`${role}-uid-0001`, role)}`,
+    ...(body && { 'Content-Type': 'application/json' }),
+  },
+  body: body && JSON.stringify(body),
+});
+
+test('ids that are not plain ids are rejected with 400 before reaching Firestore', async () => {
+  for (const [method, path] of [
+    ['GET', '/api/admin/teams/a%2Fb'],
+    ['GET', '/api/admin/teams/.hidden'],
+    ['DELETE', '/api/admin/submissions/teamRegistrations%2Fx'],
+    ['GET', '/api/admin/submissions/a%2Fb/history'],
+    ['POST', '/api/admin/teams/%2F/sessions/revoke'],
+    ['DELETE', '/api/admin/judging/assignments/j%2F1/T1'],
+    ['DELETE', `/api/admin/webhooks/${'x'.repeat(129)}`],
+  ]) {
+    const res = await request(method, path, 'admin');
+    assert.equal(res.status, 400, `${method} ${path}`);
+    assert.equal((await res.json()).error, 'Validation failed');
+  }
+
+  const score = await request('POST', '/api/judges/scores/a%2Fb', 'judge', { scores: { innovation: 5 } });
+  assert.equal(score.status, 400);
+});
+
+test('plain ids reach the handler, and bad ids still need a session', async () => {
+  assert.equal((await request('GET', '/api/admin/teams/T-missing', 'admin')).status, 404);
+  assert.equal((await fetch(`${baseUrl}/api/admin/teams/a%2Fb`)).status, 401);
+});
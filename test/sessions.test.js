@@ -0,0 +1,45 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setFirebaseServices } from '../firebase.js';
+import { issueSession, refreshSession, revokeRefreshToken } from '../lib/sessions.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+const CLAIMS = { uid: 'leader-uid-0001', email: 'lead@example.com', role: 'leader', teamId: 'T1', leaderUserId: 'leader-uid-0001' };
+const DAY_SECONDS = 24 * 60 * 60;
+
+let firestore;
+
+beforeEach(() => {
+  firestore = createFakeFirestore();
+  setFirebaseServices({ firestore });
+});
+
+test('a refresh token is exchanged once for the next one in its family', async () => {
+  const session = await issueSession(CLAIMS, DAY_SECONDS);
+
+  const refreshed = await refreshSession(session.refreshToken);
+
+  assert.deepEqual(refreshed.claims, CLAIMS);
+  assert.notEqual(refreshed.refreshToken, session.refreshToken);
+  await assert.rejects(refreshSession(session.refreshToken), (error) => error.status === 401);
+  // Reusing the old token revoked the whole family, including the new token
+  await assert.rejects(refreshSession(refreshed.refreshToken), (error) => error.status === 401);
+});
+
+test('malformed refresh token ids are rejected with 401 without a Firestore read', async () => {
+  const session = await issueSession(CLAIMS, DAY_SECONDS);
+  const secret = session.refreshToken.split('.')[1];
+  const collection = firestore.collection;
+  const lookedUp = [];
+  firestore.collection = (name) => {
+    lookedUp.push(name);
+    return collection(name);
+  };
+
+  for (const jti of ['refreshTokens/other', '../../settings/x', 'short', 'x'.repeat(65), 'has space in it 1234']) {
+    await assert.rejects(refreshSession(`${jti}.${secret}`), (error) => error.status === 401);
+    await revokeRefreshToken(`${jti}.${secret}`);
+  }
+  assert.deepEqual(lookedUp, []);
+});
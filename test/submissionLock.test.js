@@ -0,0 +1,123 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setFirebaseServices } from '../firebase.js';
+import { config } from '../lib/config.js';
+import { withSubmissionLock } from '../lib/submissionLock.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let firestore;
+
+beforeEach(() => {
+  firestore = createFakeFirestore();
+  setFirebaseServices({ firestore });
+});
+
+/**
+ * A critical section that records how many holders were inside it at once
+ */
+const trackOverlap = () => {
+  const tracker = { active: 0, maxActive: 0, order: [] };
+  tracker.run = (label) => async () => {
+    tracker.active++;
+    tracker.maxActive = Math.max(tracker.maxActive, tracker.active);
+    await sleep(10);
+    tracker.order.push(label);
+    tracker.active--;
+    return label;
+  };
+  return tracker;
+};
+
+test('holders of the same team lock run one at a time, in order', async () => {
+  const tracker = trackOverlap();
+
+  const results = await Promise.all([1, 2, 3, 4].map((n) => withSubmissionLock('T1', tracker.run(n))));
+
+  assert.deepEqual(results, [1, 2, 3, 4]);
+  assert.deepEqual(tracker.order, [1, 2, 3, 4]);
+  assert.equal(tracker.maxActive, 1);
+});
+
+test('different teams do not wait for each other', async () => {
+  const tracker = trackOverlap();
+
+  await Promise.all(['T1', 'T2', 'T3'].map((teamId) => withSubmissionLock(teamId, tracker.run(teamId))));
+
+  assert.equal(tracker.maxActive, 3);
+});
+
+test('a failing holder does not block the next one', async () => {
+  await assert.rejects(withSubmissionLock('T1', async () => {
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.equal(await withSubmissionLock('T1', async () => 'next'), 'next');
+});
+
+test('a distributed lock holds the lease while running and releases it after', async () => {
+  let leaseWhileRunning = null;
+
+  await withSubmissionLock('T1', async () => {
+    leaseWhileRunning = firestore.documents.get('submissionLocks/T1');
+  }, { distributed: true });
+
+  assert.ok(leaseWhileRunning.owner);
+  assert.ok(leaseWhileRunning.expiresAt > Date.now());
+  assert.equal(firestore.documents.has('submissionLocks/T1'), false);
+});
+
+test('a distributed lock waits while another instance holds the lease', async () => {
+  firestore.documents.set('submissionLocks/T1', { owner: 'other-instance', expiresAt: Date.now() + 60 * 1000 });
+  const releasedAt = Date.now() + 300;
+  setTimeout(() => firestore.documents.delete('submissionLocks/T1'), 300);
+
+  let ranAt = null;
+  await withSubmissionLock('T1', async () => {
+    ranAt = Date.now();
+    assert.notEqual(firestore.documents.get('submissionLocks/T1').owner, 'other-instance');
+  }, { distributed: true });
+
+  assert.ok(ranAt >= releasedAt);
+});
+
+test('an expired lease from a crashed instance is taken over', async () => {
+  firestore.documents.set('submissionLocks/T1', { owner: 'crashed-instance', expiresAt: Date.now() - 1 });
+
+  const startedAt = Date.now();
+  assert.equal(await withSubmissionLock('T1', async () => 'ran', { distributed: true }), 'ran');
+  assert.ok(Date.now() - startedAt < 250);
+});
+
+test('a release never deletes a lease another holder has taken over', async () => {
+  await withSubmissionLock('T1', async () => {
+    // Our lease expired and another instance took it
+    firestore.documents.set('submissionLocks/T1', { owner: 'other-instance', expiresAt: Date.now() + 60 * 1000 });
+  }, { distributed: true });
+
+  assert.equal(firestore.documents.get('submissionLocks/T1').owner, 'other-instance');
+});
+
+test('a distributed lock gives up with status 409 after SUBMISSION_LOCK_WAIT_MS', { timeout: config.submissions.lockWaitMs + 5000 }, async () => {
+  firestore.documents.set('submissionLocks/T1', { owner: 'other-instance', expiresAt: Date.now() + 10 * 60 * 1000 });
+  let ran = false;
+
+  await assert.rejects(
+    withSubmissionLock('T1', async () => {
+      ran = true;
+    }, { distributed: true }),
+    (error) => error.status === 409
+  );
+  assert.equal(ran, false);
+});
+
+test('concurrent distributed holders never overlap', async () => {
+  const tracker = trackOverlap();
+
+  await Promise.all([1, 2, 3].map((n) => withSubmissionLock('T1', tracker.run(n), { distributed: true })));
+
+  assert.equal(tracker.maxActive, 1);
+  assert.equal(firestore.documents.has('submissionLocks/T1'), false);
+});
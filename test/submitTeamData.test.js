@@ -0,0 +1,49 @@
+import './helpers/env.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setFirebaseServices } from '../firebase.js';
+import { fileStore } from '../lib/storage/fileStore.js';
+import { submitTeamData } from '../controllers/user_controllers.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { callController } from './helpers/http.js';
+
+const LEADER_UID = 'leader-uid-0001';
+const TEAM_ID = 'T-concurrent';
+
+const fields = {
+  githubLink: 'https://github.com/example/project',
+  pptLink: 'https://docs.google.com/presentation/d/abc',
+  videoLink: 'https://youtu.be/abc',
+  description: 'A project',
+};
+
+before(() => {
+  const firestore = createFakeFirestore();
+  firestore.documents.set('teamRegistrations/reg-1', {
+    teamId: TEAM_ID,
+    teamName: 'Concurrent',
+    leaderUserId: LEADER_UID,
+    status: 'confirmed',
+    members: [{ name: 'Lead', email: 'lead@example.com', phoneNumber: '555' }],
+  });
+  setFirebaseServices({ firestore });
+});
+
+test('concurrent submits for one team store one row and return the same submission', async () => {
+  const submitCount = 8;
+  const responses = await Promise.all(Array.from({ length: submitCount }, () => callController(submitTeamData, {
+    user: { uid: LEADER_UID, teamId: TEAM_ID, role: 'leader' },
+    body: { ...fields },
+    submissionWindow: { isLate: false },
+  })));
+
+  const stored = (await fileStore.list()).filter((submission) => submission.teamId === TEAM_ID);
+  assert.equal(stored.length, 1);
+
+  assert.deepEqual(responses.map((res) => res.statusCode).sort(), [...Array(submitCount - 1).fill(200), 201]);
+  assert.equal(responses.filter((res) => res.body.isExisting === false).length, 1);
+  responses.forEach((res) => {
+    assert.deepEqual(res.body.data, responses[0].body.data);
+  });
+  assert.equal(responses[0].body.data.githubLink, fields.githubLink);
+});
@@ -0,0 +1,122 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The default test environment leaves the listener off
+process.env.TEAM_CACHE_LISTENER = 'true';
+await import('./helpers/env.js');
+
+const { setFirebaseServices } = await import('../firebase.js');
+const {
+  findTeamByLeader,
+  findTeamByMemberEmail,
+  startTeamCacheInvalidation,
+  getTeamLookupStats,
+} = await import('../lib/teamLookup.js');
+const { createFakeFirestore } = await import('./helpers/fakeFirestore.js');
+
+let firestore;
+// Sends a snapshot to the registration listener once it has started
+let emitSnapshot = null;
+
+const registrationDoc = (id, data) => ({ id, data: () => data });
+
+/**
+ * Run fn with every Firestore read failing
+ */
+const withoutReads = async (fn) => {
+  const collection = firestore.collection;
+  firestore.collection = () => {
+    throw new Error('Unexpected Firestore read');
+  };
+  try {
+    return await fn();
+  } finally {
+    firestore.collection = collection;
+  }
+};
+
+before(() => {
+  firestore = createFakeFirestore();
+  firestore.documents.set('teamRegistrations/reg-a', {
+    teamId: 'T-a',
+    leaderUserId: 'leader-a',
+    status: 'confirmed',
+    members: [{ email: 'lead-a@example.com' }, { email: ' Ana@Example.com ' }],
+  });
+  firestore.documents.set('teamRegistrations/reg-b', {
+    teamId: 'T-b',
+    leaderUserId: 'leader-b',
+    status: 'confirmed',
+    members: [{ email: 'ben@example.com' }],
+  });
+  firestore.documents.set('teamRegistrations/reg-none', {
+    teamId: 'T-none',
+    status: 'pending',
+    members: [{ email: 'pending@example.com' }],
+  });
+
+  const collection = firestore.collection;
+  firestore.collection = (name) => {
+    const ref = collection(name);
+    return {
+      ...ref,
+      onSnapshot: (onNext, onError) => {
+        emitSnapshot = onNext;
+        return ref.onSnapshot(onNext, onError);
+      },
+    };
+  };
+  setFirebaseServices({ firestore });
+});
+
+test('member emails are matched by scanning confirmed teams until the listener runs', async () => {
+  assert.equal((await findTeamByMemberEmail('ana@example.com')).teamId, 'T-a');
+  assert.equal(await findTeamByMemberEmail('pending@example.com'), null);
+  assert.equal(await findTeamByMemberEmail('nobody@example.com'), null);
+});
+
+test('the first listener snapshot seeds the cache with every registered leader', async () => {
+  startTeamCacheInvalidation();
+  for (let i = 0; i < 100 && getTeamLookupStats().listener !== 'listening'; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  // Lookups after the snapshot are answered without a query
+  const [teamA, teamB] = await withoutReads(() => Promise.all([
+    findTeamByLeader('leader-a'),
+    findTeamByLeader('leader-b'),
+  ]));
+
+  assert.equal(teamA.id, 'reg-a');
+  assert.equal(teamA.teamId, 'T-a');
+  assert.equal(teamB.data.status, 'confirmed');
+
+  const stats = getTeamLookupStats();
+  assert.equal(stats.size, 2);
+  assert.equal(stats.hits, 2);
+  assert.equal(stats.misses, 0);
+});
+
+test('members are found through the listener index, which follows changes', async () => {
+  await withoutReads(async () => {
+    assert.equal((await findTeamByMemberEmail('ana@example.com')).teamId, 'T-a');
+    assert.equal((await findTeamByMemberEmail('BEN@example.com')).teamId, 'T-b');
+    assert.equal(await findTeamByMemberEmail('pending@example.com'), null);
+  });
+
+  // Ana moves to team B, team A is removed and the pending team is confirmed
+  emitSnapshot({
+    docs: [],
+    docChanges: () => [
+      { type: 'modified', doc: registrationDoc('reg-b', { teamId: 'T-b', leaderUserId: 'leader-b', status: 'confirmed', members: [{ email: 'ben@example.com' }, { email: 'ana@example.com' }] }) },
+      { type: 'removed', doc: registrationDoc('reg-a', { teamId: 'T-a', leaderUserId: 'leader-a', status: 'confirmed', members: [{ email: 'ana@example.com' }] }) },
+      { type: 'modified', doc: registrationDoc('reg-none', { teamId: 'T-none', status: 'confirmed', members: [{ email: 'pending@example.com' }] }) },
+    ],
+  });
+
+  await withoutReads(async () => {
+    assert.equal((await findTeamByMemberEmail('ana@example.com')).teamId, 'T-b');
+    assert.equal(await findTeamByMemberEmail('lead-a@example.com'), null);
+    assert.equal((await findTeamByMemberEmail('pending@example.com')).teamId, 'T-none');
+  });
+});
@@ -0,0 +1,112 @@
+import './helpers/env.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setFirebaseServices } from '../firebase.js';
+import { fileStore } from '../lib/storage/fileStore.js';
+import { listRevisions } from '../lib/submissionHistory.js';
+import { updateSubmission } from '../controllers/user_controllers.js';
+import { deleteSubmission } from '../controllers/admin_controllers.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { callController } from './helpers/http.js';
+
+const LEADER_UID = 'leader-uid-0002';
+const TEAM_ID = 'T-edits';
+
+let firestore;
+
+before(async () => {
+  firestore = createFakeFirestore();
+  firestore.documents.set('teamRegistrations/reg-2', {
+    teamId: TEAM_ID,
+    leaderUserId: LEADER_UID,
+    status: 'confirmed',
+  });
+  setFirebaseServices({ firestore });
+
+  await fileStore.create({
+    teamId: TEAM_ID,
+    teamName: 'Edits',
+    submissionTime: '2026-03-01 10:00:00',
+    githubLink: 'https://github.com/example/edits',
+    description: 'edit 0',
+  });
+});
+
+const edit = (description) => callController(updateSubmission, {
+  user: { uid: LEADER_UID, teamId: TEAM_ID, leaderUserId: LEADER_UID, role: 'leader' },
+  body: { description },
+});
+
+test('concurrent edits apply in turn and each revision diffs against the one before', async () => {
+  const responses = await Promise.all([1, 2, 3, 4, 5].map((n) => edit(`edit ${n}`)));
+
+  assert.ok(responses.every((res) => res.statusCode === 200));
+  const revisions = (await listRevisions(TEAM_ID)).reverse();
+  assert.equal(revisions.length, 5);
+
+  let previous = 'edit 0';
+  revisions.forEach((revision) => {
+    const change = revision.changes.find((entry) => entry.field === 'description');
+    assert.equal(change.from, previous);
+    previous = change.to;
+  });
+  assert.equal((await fileStore.findByTeamId(TEAM_ID)).description, previous);
+});
+
+test('editing a team without a submission returns 404', async () => {
+  const res = await callController(updateSubmission, {
+    user: { uid: 'leader-uid-none', leaderUserId: 'leader-uid-none', role: 'leader' },
+    body: { description: 'x' },
+  });
+
+  assert.equal(res.statusCode, 404);
+});
+
+test('an admin delete racing an edit runs before or after it, never in between', async () => {
+  const [edited, deleted] = await Promise.all([
+    edit('edit before delete'),
+    callController(deleteSubmission, {
+      params: { teamId: TEAM_ID },
+      user: { uid: 'admin-uid', role: 'admin' },
+    }),
+  ]);
+
+  // Whichever got the lock first, the delete removed what the latest revision left
+  assert.ok([200, 404].includes(edited.statusCode));
+  assert.equal(deleted.statusCode, 200);
+  assert.equal(await fileStore.findByTeamId(TEAM_ID), null);
+
+  const [deleteRevision, previousRevision] = await listRevisions(TEAM_ID);
+  assert.equal(deleteRevision.action, 'delete');
+  assert.deepEqual(deleteRevision.snapshot, previousRevision.snapshot);
+  assert.equal(deleted.locals.auditDetails.deletedSubmission.description, previousRevision.snapshot.description);
+  if (edited.statusCode === 200) {
+    assert.equal(previousRevision.snapshot.description, 'edit before delete');
+  }
+
+  assert.equal((await edit('edit after delete')).statusCode, 404);
+});
+
+test('a failed revision write is retried, and fails the edit once retries run out', async () => {
+  await fileStore.create({ teamId: TEAM_ID, teamName: 'Edits', description: 'again' });
+  const runTransaction = firestore.runTransaction;
+  let failures = 1;
+  firestore.runTransaction = (fn) => {
+    if (failures > 0) {
+      failures--;
+      return Promise.reject(new Error('Firestore unavailable'));
+    }
+    return runTransaction(fn);
+  };
+
+  try {
+    const retried = await edit('retried');
+    assert.equal(retried.statusCode, 200);
+    assert.equal((await listRevisions(TEAM_ID))[0].snapshot.description, 'retried');
+
+    failures = Infinity;
+    await assert.rejects(edit('not recorded'), /Firestore unavailable/);
+  } finally {
+    firestore.runTransaction = runTransaction;
+  }
+});
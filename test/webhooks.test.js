@@ -0,0 +1,92 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { setFirebaseServices } from '../firebase.js';
+import { createWebhook, emitWebhookEvent, toWebhookSubmission, listDeliveries } from '../lib/webhooks.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+const submission = {
+  teamId: 'T-hook',
+  teamName: 'Hooks',
+  leaderName: 'Lead',
+  leaderPhone: '+1 555 0100',
+  leaderEmail: 'lead@example.com',
+  githubLink: 'https://github.com/example/hooks',
+  pptLink: 'https://slides.example/deck',
+  videoLink: '',
+  description: 'Private notes',
+  submissionTime: '2026-03-01 10:00:00',
+  lastEditedTime: '',
+  isLate: true,
+};
+
+let server;
+let endpointUrl;
+const received = [];
+
+before(async () => {
+  setFirebaseServices({ firestore: createFakeFirestore() });
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  endpointUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('webhook submissions leave out the leader contact details and description', () => {
+  assert.deepEqual(toWebhookSubmission(submission), {
+    teamId: 'T-hook',
+    teamName: 'Hooks',
+    links: {
+      githubLink: 'https://github.com/example/hooks',
+      pptLink: 'https://slides.example/deck',
+    },
+    submissionTime: '2026-03-01 10:00:00',
+    lastEditedTime: null,
+    isLate: true,
+  });
+});
+
+test('an event is delivered signed to a subscribed endpoint', async () => {
+  const webhook = await createWebhook({ url: endpointUrl, events: ['submission.created'] }, 'admin-uid');
+
+  await emitWebhookEvent('submission.created', { submission: toWebhookSubmission(submission) });
+  for (let i = 0; i < 200 && received.length === 0; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  assert.equal(received.length, 1);
+  const [{ headers, body }] = received;
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, 'submission.created');
+  assert.equal(payload.data.submission.teamId, 'T-hook');
+  assert.ok(!body.includes('lead@example.com') && !body.includes('555 0100'));
+
+  const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+  assert.equal(signature, expected);
+
+  let delivery;
+  for (let i = 0; i < 200; i++) {
+    [delivery] = await listDeliveries({ webhookId: webhook.id });
+    if (delivery?.status !== 'pending') {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts[0].httpStatus, 204);
+});